@@ -0,0 +1,164 @@
+import crypto from "crypto";
+import { createJsonStore } from "../utils/jsonStore.js";
+
+// Outcomes are persisted so a retry after a restart still sees the first result
+const store = createJsonStore("idempotency-keys", { records: {} });
+
+// Identifies this process, to tell interrupted requests from in-flight ones
+const INSTANCE_ID = crypto.randomUUID();
+
+const MAX_KEY_LENGTH = 255;
+
+/**
+ * Serializes a value as JSON with object keys sorted, so equivalent bodies
+ * produce the same fingerprint regardless of key order
+ * @param {*} value - The value to serialize
+ * @returns {string} The canonical JSON
+ */
+function canonicalJson(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJson).join(",")}]`;
+  }
+  if (value && typeof value === "object") {
+    return `{${Object.keys(value)
+      .sort()
+      .map((key) => `${JSON.stringify(key)}:${canonicalJson(value[key])}`)
+      .join(",")}}`;
+  }
+  return JSON.stringify(value) ?? "null";
+}
+
+/**
+ * Removes expired records
+ * @param {Object} records - The stored records
+ */
+function pruneExpired(records) {
+  const now = new Date().toISOString();
+  for (const [key, record] of Object.entries(records)) {
+    if (record.expiresAt <= now) {
+      delete records[key];
+    }
+  }
+}
+
+/**
+ * Marks the request as having broadcast a transaction, so a server error
+ * after this point is stored and replayed rather than releasing the key
+ * @param {Object} res - The Express response
+ */
+export function markBroadcast(res) {
+  res.locals.broadcast = true;
+}
+
+/**
+ * Creates middleware honoring the `Idempotency-Key` header. The first
+ * request with a key runs normally and its response is stored; repeats with
+ * the same key and body get that response replayed, repeats while it is
+ * still running get 409, and repeats with a different body get 422. A 5xx
+ * response is not stored, so the key can be used again, unless the route
+ * called markBroadcast first: a retry could then send a second transaction.
+ * Keys are scoped to the API key and route, so it must run after API key
+ * validation.
+ * @param {Object} options - Middleware settings (optional)
+ * @param {number} options.ttlMs - How long outcomes are kept (defaults to
+ *   IDEMPOTENCY_TTL_MS or 24 hours)
+ * @returns {Function} Express middleware
+ */
+export function createIdempotency({ ttlMs } = {}) {
+  const middleware = (req, res, next) => {
+    const idempotencyKey = req.get("Idempotency-Key");
+    if (idempotencyKey === undefined) {
+      return next();
+    }
+
+    if (idempotencyKey.length === 0 || idempotencyKey.length > MAX_KEY_LENGTH) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid Idempotency-Key. Expected 1 to ${MAX_KEY_LENGTH} characters`,
+      });
+    }
+
+    const keyId = req.apiKey ? req.apiKey.id : "anonymous";
+    const recordKey = `${keyId}:${req.method} ${req.baseUrl}${req.path}:${idempotencyKey}`;
+    const fingerprint = crypto
+      .createHash("sha256")
+      .update(canonicalJson(req.body ?? {}))
+      .digest("hex");
+    const lifetimeMs =
+      ttlMs || Number(process.env.IDEMPOTENCY_TTL_MS) || 24 * 60 * 60 * 1000;
+
+    const existing = store.update(({ records }) => {
+      pruneExpired(records);
+
+      if (records[recordKey]) {
+        return records[recordKey];
+      }
+
+      // Claim the key before running the request
+      const now = Date.now();
+      records[recordKey] = {
+        fingerprint,
+        status: "in_progress",
+        instanceId: INSTANCE_ID,
+        createdAt: new Date(now).toISOString(),
+        expiresAt: new Date(now + lifetimeMs).toISOString(),
+      };
+      return null;
+    });
+
+    if (existing) {
+      if (existing.fingerprint !== fingerprint) {
+        return res.status(422).json({
+          success: false,
+          error: "Idempotency-Key reused with a different request body",
+          details: "Use a new Idempotency-Key for a different request",
+        });
+      }
+
+      if (existing.status === "completed") {
+        res.setHeader("Idempotent-Replayed", "true");
+        return res.status(existing.statusCode).json(existing.body);
+      }
+
+      if (existing.instanceId !== INSTANCE_ID) {
+        return res.status(409).json({
+          success: false,
+          error: "The original request with this Idempotency-Key was interrupted",
+          details:
+            "It may or may not have minted; verify on-chain before retrying with a new Idempotency-Key",
+        });
+      }
+
+      res.setHeader("Retry-After", "1");
+      return res.status(409).json({
+        success: false,
+        error: "A request with this Idempotency-Key is still in progress",
+      });
+    }
+
+    // Record the response body as it is sent, even if the client has gone.
+    // Server errors release the key instead, so the request can be retried,
+    // as long as no transaction went out.
+    const json = res.json.bind(res);
+    res.json = (body) => {
+      store.update(({ records }) => {
+        if (res.statusCode >= 500 && !res.locals.broadcast) {
+          delete records[recordKey];
+        } else if (records[recordKey]) {
+          Object.assign(records[recordKey], {
+            status: "completed",
+            statusCode: res.statusCode,
+            body,
+          });
+        }
+      });
+      return json(body);
+    };
+
+    next();
+  };
+
+  // Lets the OpenAPI document list the Idempotency-Key header for the route
+  middleware.idempotent = true;
+  return middleware;
+}
@@ -0,0 +1,116 @@
+/**
+ * Creates an in-memory rate limit store for a single server instance
+ * @returns {Object} Rate limit store
+ */
+export function createMemoryStore() {
+  const windows = new Map();
+
+  // Drop expired windows so idle clients don't accumulate forever
+  const cleanup = setInterval(() => {
+    const now = Date.now();
+    for (const [key, window] of windows) {
+      if (window.resetAt <= now) {
+        windows.delete(key);
+      }
+    }
+  }, 60 * 1000);
+  cleanup.unref();
+
+  return {
+    async increment(key, windowMs, cost = 1) {
+      const now = Date.now();
+      let window = windows.get(key);
+
+      if (!window || window.resetAt <= now) {
+        window = { count: 0, resetAt: now + windowMs };
+        windows.set(key, window);
+      }
+
+      window.count += cost;
+      return { count: window.count, resetAt: window.resetAt };
+    },
+  };
+}
+
+/**
+ * Creates a rate limit store backed by Redis. Works with any client that
+ * exposes ioredis-style `incrby`, `pexpire` and `pttl` methods returning
+ * promises, so limits are shared by every server instance.
+ * @param {Object} redis - Redis client
+ * @param {string} prefix - Key prefix (optional)
+ * @returns {Object} Rate limit store
+ */
+export function createRedisStore(redis, prefix = "ratelimit:") {
+  return {
+    async increment(key, windowMs, cost = 1) {
+      const redisKey = prefix + key;
+      const count = Number(await redis.incrby(redisKey, cost));
+
+      // The first hit of a window starts its expiry
+      if (count === cost) {
+        await redis.pexpire(redisKey, windowMs);
+      }
+
+      let ttl = Number(await redis.pttl(redisKey));
+      if (ttl < 0) {
+        // Key lost its expiry (e.g. a crash between calls); restart the window
+        await redis.pexpire(redisKey, windowMs);
+        ttl = windowMs;
+      }
+
+      return { count, resetAt: Date.now() + ttl };
+    },
+  };
+}
+
+/**
+ * Creates a fixed-window rate limiting middleware. Requests are counted per
+ * API key and client IP, so it must run after API key validation.
+ * @param {Object} options - Limiter settings
+ * @param {string} options.name - Budget name, e.g. "read" or "mint"
+ * @param {number} options.limit - Requests allowed per window
+ * @param {number} options.windowMs - Window length in milliseconds
+ * @param {Object} options.store - Rate limit store implementing
+ *   `increment(key, windowMs, cost)` that resolves to `{ count, resetAt }`
+ * @param {Function} options.cost - Returns how many units a request uses (optional)
+ * @returns {Function} Express middleware
+ */
+export function createRateLimiter({ name, limit, windowMs, store, cost }) {
+  return async (req, res, next) => {
+    const keyId = req.apiKey ? req.apiKey.id : "anonymous";
+    const key = `${name}:${keyId}:${req.ip}`;
+    const units = cost ? Math.max(1, cost(req)) : 1;
+
+    let result;
+    try {
+      result = await store.increment(key, windowMs, units);
+    } catch (error) {
+      // Fail open: a broken store should not take the API down
+      console.error("Rate limit store error:", error);
+      return next();
+    }
+
+    const resetSeconds = Math.max(
+      0,
+      Math.ceil((result.resetAt - Date.now()) / 1000)
+    );
+
+    res.setHeader("RateLimit-Policy", `${limit};w=${Math.ceil(windowMs / 1000)}`);
+    res.setHeader("RateLimit-Limit", String(limit));
+    res.setHeader("RateLimit-Remaining", String(Math.max(0, limit - result.count)));
+    res.setHeader("RateLimit-Reset", String(resetSeconds));
+
+    if (result.count > limit) {
+      res.setHeader("Retry-After", String(resetSeconds));
+      return res.status(429).json({
+        success: false,
+        error: "Too many requests",
+        message: `The ${name} rate limit of ${limit} per ${Math.ceil(
+          windowMs / 1000
+        )}s has been exceeded. Retry in ${resetSeconds}s.`,
+      });
+    }
+
+    next();
+  };
+}
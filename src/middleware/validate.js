@@ -0,0 +1,322 @@
+import { getAddress } from "thirdweb";
+
+const MAX_UINT256 = 2n ** 256n - 1n;
+
+/**
+ * Creates a field-level validation error
+ * @param {string} location - Where the field is: body, query or params
+ * @param {string} field - The field path, e.g. "items[0].toAddress"
+ * @param {string} code - A stable, machine readable error code
+ * @param {string} message - A human readable description
+ * @returns {Object} The field error
+ */
+export function fieldError(location, field, code, message) {
+  return { location, field, code, message };
+}
+
+/**
+ * Sends the uniform validation error envelope
+ * @param {Object} res - Express response
+ * @param {Array<Object>} errors - Field errors from fieldError
+ * @param {number} status - HTTP status (defaults to 400)
+ * @returns {Object} The response
+ */
+export function sendValidationError(res, errors, status = 400) {
+  return res.status(status).json({
+    success: false,
+    error: "Validation failed",
+    code: "validation_error",
+    details: errors,
+  });
+}
+
+/**
+ * Describes the JSON type of a value
+ * @param {*} value - The value
+ * @returns {string} string, number, boolean, object, array or null
+ */
+function typeOf(value) {
+  if (value === null) {
+    return "null";
+  }
+  return Array.isArray(value) ? "array" : typeof value;
+}
+
+/**
+ * Checks a value against one schema type
+ * @param {*} value - The value
+ * @param {string} type - The schema type
+ * @returns {boolean} Whether the value has the type
+ */
+function hasType(value, type) {
+  if (type === "integer") {
+    return Number.isInteger(value);
+  }
+  if (type === "number") {
+    return typeof value === "number" && Number.isFinite(value);
+  }
+  return typeOf(value) === type;
+}
+
+/**
+ * Converts query and path strings to the numeric or boolean type a schema expects
+ * @param {*} value - The raw value
+ * @param {Array<string>} types - The allowed schema types
+ * @returns {*} The converted value, or the raw value if it does not convert
+ */
+function coerce(value, types) {
+  if (typeof value !== "string" || types.includes("string")) {
+    return value;
+  }
+  if ((types.includes("integer") || types.includes("number")) && value.trim() !== "") {
+    const number = Number(value);
+    if (!Number.isNaN(number)) {
+      return number;
+    }
+  }
+  if (types.includes("boolean") && (value === "true" || value === "false")) {
+    return value === "true";
+  }
+  return value;
+}
+
+/**
+ * Checks string formats, normalizing Ethereum addresses to their checksum form
+ * @param {string} value - The string
+ * @param {string} format - address, uint256 (a decimal string, after the
+ *   schema's pattern has checked it is digits only) or url
+ * @param {Function} fail - Records an error code and message
+ * @returns {string} The normalized value
+ */
+function checkFormat(value, format, fail) {
+  if (format === "address") {
+    if (!/^0x[a-fA-F0-9]{40}$/.test(value)) {
+      fail("invalid_address", "Must be a 0x-prefixed 20-byte hex address");
+      return value;
+    }
+    // All-lowercase and all-uppercase hex carry no checksum; mixed case is an
+    // EIP-55 checksum, which must match
+    const hex = value.slice(2);
+    const checksummed = getAddress(`0x${hex.toLowerCase()}`);
+    if (hex !== hex.toLowerCase() && hex !== hex.toUpperCase() && value !== checksummed) {
+      fail("invalid_checksum", "Address checksum does not match");
+      return value;
+    }
+    return checksummed;
+  }
+
+  if (format === "uint256" && BigInt(value) > MAX_UINT256) {
+    fail("too_large", "Must be at most 2^256 - 1");
+    return value;
+  }
+
+  if (format === "url") {
+    let url;
+    try {
+      url = new URL(value);
+    } catch {
+      url = null;
+    }
+    if (!url || !["http:", "https:"].includes(url.protocol)) {
+      fail("invalid_url", "Must be an absolute http(s) URL");
+    }
+  }
+
+  return value;
+}
+
+/**
+ * Validates a value against a schema. Supports a JSON Schema subset: type,
+ * anyOf, enum, required, properties, additionalProperties, items, minItems,
+ * maxItems, uniqueItems, minLength, maxLength, pattern, format (address,
+ * uint256, url), minimum and maximum, plus `notBlank` to reject whitespace-only
+ * strings and `nullable` to accept null for optional fields.
+ * @param {Object} schema - The schema
+ * @param {*} value - The value to check
+ * @param {Object} context - location, field path, coercion and strict flags
+ *   and error list
+ * @returns {*} The value, with addresses checksummed and coerced values converted
+ */
+function validateValue(schema, value, context) {
+  const { location, path, errors } = context;
+  const fail = (code, message) =>
+    errors.push(fieldError(location, path || location, code, message));
+
+  // Valid when any option matches; otherwise report the closest option
+  if (schema.anyOf) {
+    const attempts = schema.anyOf.map((option) => {
+      const optionErrors = [];
+      const result = validateValue(option, value, { ...context, errors: optionErrors });
+      return { result, errors: optionErrors };
+    });
+    const match = attempts.find((attempt) => attempt.errors.length === 0);
+    if (match) {
+      return match.result;
+    }
+    attempts.sort((a, b) => a.errors.length - b.errors.length);
+    errors.push(...attempts[0].errors);
+    return value;
+  }
+
+  const types = schema.type ? [].concat(schema.type) : [];
+  if (context.coerce) {
+    value = coerce(value, types);
+  }
+
+  if (types.length > 0 && !types.some((type) => hasType(value, type))) {
+    fail("invalid_type", `Must be of type ${types.join(" or ")}`);
+    return value;
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    fail("invalid_value", `Must be one of: ${schema.enum.join(", ")}`);
+    return value;
+  }
+
+  if (typeof value === "string") {
+    if (schema.notBlank && value.trim() === "") {
+      fail("blank", "Must not be blank");
+    } else if (schema.minLength !== undefined && value.length < schema.minLength) {
+      fail("too_short", `Must be at least ${schema.minLength} characters`);
+    } else if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      fail("too_long", `Must be at most ${schema.maxLength} characters`);
+    } else if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      fail("invalid_format", `Must match ${schema.pattern}`);
+    } else if (schema.format) {
+      value = checkFormat(value, schema.format, fail);
+    }
+  }
+
+  if (typeof value === "number") {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      fail("too_small", `Must be at least ${schema.minimum}`);
+    } else if (schema.maximum !== undefined && value > schema.maximum) {
+      fail("too_large", `Must be at most ${schema.maximum}`);
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      fail("too_few_items", `Must have at least ${schema.minItems} items`);
+    } else if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      fail("too_many_items", `Must have at most ${schema.maxItems} items`);
+    } else if (schema.uniqueItems && new Set(value).size !== value.length) {
+      fail("duplicate_items", "Must not contain duplicates");
+    }
+
+    if (schema.items) {
+      value = value.map((item, index) =>
+        validateValue(schema.items, item, { ...context, path: `${path}[${index}]` })
+      );
+    }
+  }
+
+  if (typeOf(value) === "object" && (schema.properties || schema.required)) {
+    const properties = schema.properties || {};
+    const result = { ...value };
+    const missing = new Set();
+
+    for (const name of schema.required || []) {
+      // Strict checks only need the field present; requests also need a value
+      const absent = context.strict
+        ? value[name] === undefined
+        : value[name] === undefined || value[name] === null || value[name] === "";
+      if (absent) {
+        missing.add(name);
+        errors.push(
+          fieldError(
+            location,
+            path ? `${path}.${name}` : name,
+            "required",
+            `Missing required field: ${name}`
+          )
+        );
+      }
+    }
+
+    for (const [name, fieldValue] of Object.entries(value)) {
+      const fieldPath = path ? `${path}.${name}` : name;
+
+      if (properties[name]) {
+        // Optional fields may be left out, or sent as null when nullable
+        if (
+          missing.has(name) ||
+          fieldValue === undefined ||
+          (fieldValue === null && properties[name].nullable)
+        ) {
+          continue;
+        }
+        result[name] = validateValue(properties[name], fieldValue, {
+          ...context,
+          path: fieldPath,
+        });
+      } else if (
+        schema.additionalProperties === false ||
+        (context.strict && schema.properties && schema.additionalProperties !== true)
+      ) {
+        errors.push(fieldError(location, fieldPath, "unknown_field", `Unknown field: ${name}`));
+      }
+    }
+
+    return result;
+  }
+
+  return value;
+}
+
+/**
+ * Validates a value against a schema outside of a request, e.g. to check a
+ * response against its documented schema
+ * @param {Object} schema - The schema
+ * @param {*} value - The value to check
+ * @param {Object} options - Check settings (optional)
+ * @param {string} options.location - Location reported in errors (defaults to body)
+ * @param {boolean} options.strict - Treat null as present and report fields
+ *   the schema does not list, unless it sets additionalProperties: true
+ * @returns {Array<Object>} Field errors, empty when the value is valid
+ */
+export function validateSchema(schema, value, { location = "body", strict = false } = {}) {
+  const errors = [];
+  validateValue(schema, value, { location, path: "", coerce: false, strict, errors });
+  return errors;
+}
+
+/**
+ * Creates middleware that validates the request body, query string and path
+ * parameters against schemas. Invalid requests get a 400 with every field
+ * error; valid values replace the originals, so addresses reach the route
+ * checksummed and query numbers arrive as numbers.
+ * @param {Object} schemas - Schemas for body, query and/or params
+ * @returns {Function} Express middleware
+ */
+export function validate(schemas) {
+  const middleware = (req, res, next) => {
+    const errors = [];
+    const validated = {};
+
+    for (const location of ["params", "query", "body"]) {
+      if (!schemas[location]) {
+        continue;
+      }
+
+      validated[location] = validateValue(schemas[location], req[location] ?? {}, {
+        location,
+        path: "",
+        coerce: location !== "body",
+        errors,
+      });
+    }
+
+    if (errors.length > 0) {
+      return sendValidationError(res, errors);
+    }
+
+    Object.assign(req, validated);
+
+    next();
+  };
+
+  // Exposed so the OpenAPI document can be generated from the routes
+  middleware.schemas = schemas;
+  return middleware;
+}
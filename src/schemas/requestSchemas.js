@@ -0,0 +1,292 @@
+import { API_KEY_SCOPES } from "../services/apiKeyService.js";
+import { STORAGE_BACKENDS } from "../services/metadataStorage.js";
+import { TRANSACTION_STATUSES } from "../services/transactionService.js";
+import { WEBHOOK_EVENTS } from "../services/webhookService.js";
+
+// Request schemas for every route, enforced by the validate middleware
+
+const address = { type: "string", format: "address" };
+
+const text = { type: "string", notBlank: true, maxLength: 2000 };
+
+const description = { type: "string", maxLength: 1000, nullable: true };
+
+const template = { type: "string", minLength: 1, maxLength: 64, nullable: true };
+
+const storage = { type: "string", enum: STORAGE_BACKENDS, nullable: true };
+
+const signerId = { type: "string", minLength: 1, maxLength: 128, nullable: true };
+
+const id = { type: "string", minLength: 1, maxLength: 128 };
+
+// Decimal uint256
+const tokenId = { type: "string", pattern: "^\\d{1,78}$", format: "uint256" };
+
+// Per-request fee override in gwei, capped by GAS_MAX_FEE_GWEI
+const fees = {
+  type: "object",
+  nullable: true,
+  properties: {
+    maxFeeGwei: { type: "number", minimum: 0, nullable: true },
+    priorityFeeGwei: { type: "number", minimum: 0, nullable: true },
+  },
+};
+
+// Optional chain/contract selector accepted by contract-specific routes
+const selector = {
+  chain: { type: ["string", "integer"], minLength: 1, maxLength: 64, minimum: 1 },
+  contract: { type: "string", minLength: 1, maxLength: 100 },
+};
+
+export const contractQuerySchema = {
+  type: "object",
+  properties: selector,
+};
+
+export const prepareMintSchema = {
+  type: "object",
+  required: ["text"],
+  properties: { text, description, template, ...selector },
+};
+
+export const previewSchema = {
+  type: "object",
+  required: ["text"],
+  properties: {
+    text,
+    template,
+    style: { type: "object" },
+  },
+};
+
+export const mintSchema = {
+  type: "object",
+  required: ["text", "toAddress"],
+  properties: {
+    text,
+    toAddress: address,
+    description,
+    template,
+    storage,
+    signerId,
+    fees,
+    async: { type: "boolean" },
+    ...selector,
+  },
+};
+
+export const estimateMintSchema = {
+  type: "object",
+  required: ["text", "toAddress"],
+  properties: {
+    text,
+    toAddress: address,
+    description,
+    template,
+    signerId,
+    ...selector,
+  },
+};
+
+export const batchMintSchema = {
+  type: "object",
+  required: ["items"],
+  properties: {
+    items: {
+      type: "array",
+      minItems: 1,
+      items: {
+        type: "object",
+        required: ["text", "toAddress"],
+        properties: { text, toAddress: address, description, template, storage },
+      },
+    },
+    storage,
+    signerId,
+    fees,
+    ...selector,
+  },
+};
+
+export const jobParamsSchema = {
+  type: "object",
+  properties: { id },
+};
+
+export const walletNFTsSchema = {
+  type: "object",
+  required: ["walletAddress"],
+  properties: {
+    walletAddress: address,
+    limit: { type: "integer", minimum: 1 },
+    cursor: { type: "string", maxLength: 200, nullable: true },
+    ...selector,
+  },
+};
+
+export const txParamsSchema = {
+  type: "object",
+  properties: {
+    hash: { type: "string", pattern: "^0x[a-fA-F0-9]{64}$" },
+  },
+};
+
+export const walletParamsSchema = {
+  type: "object",
+  properties: { walletAddress: address },
+};
+
+export const tokenParamsSchema = {
+  type: "object",
+  properties: {
+    tokenId,
+  },
+};
+
+export const tokenLookupSchema = {
+  type: "object",
+  required: ["tokenIds"],
+  properties: {
+    tokenIds: {
+      type: "array",
+      minItems: 1,
+      uniqueItems: true,
+      items: tokenId,
+    },
+    ...selector,
+  },
+};
+
+export const transferTokenSchema = {
+  type: "object",
+  required: ["toAddress"],
+  properties: {
+    toAddress: address,
+    signerId,
+    fees,
+    ...selector,
+  },
+};
+
+export const burnTokenSchema = {
+  type: "object",
+  properties: {
+    signerId,
+    fees,
+    ...selector,
+  },
+};
+
+export const updateMetadataSchema = {
+  type: "object",
+  required: ["text"],
+  properties: {
+    text,
+    description,
+    template,
+    storage,
+    signerId,
+    fees,
+    ...selector,
+  },
+};
+
+export const createWebhookSchema = {
+  type: "object",
+  required: ["url"],
+  properties: {
+    url: { type: "string", format: "url", pattern: "^https://", maxLength: 2048 },
+    events: {
+      type: "array",
+      minItems: 1,
+      uniqueItems: true,
+      items: { type: "string", enum: WEBHOOK_EVENTS },
+    },
+    description: { type: "string", maxLength: 500, nullable: true },
+  },
+};
+
+export const webhookParamsSchema = {
+  type: "object",
+  properties: { id, deliveryId: id },
+};
+
+export const deliveriesQuerySchema = {
+  type: "object",
+  properties: {
+    limit: { type: "integer", minimum: 1, maximum: 500 },
+  },
+};
+
+export const createApiKeySchema = {
+  type: "object",
+  required: ["name", "scopes"],
+  properties: {
+    name: { type: "string", notBlank: true, maxLength: 200 },
+    scopes: {
+      type: "array",
+      minItems: 1,
+      uniqueItems: true,
+      items: { type: "string", enum: API_KEY_SCOPES },
+    },
+    allowedContracts: {
+      type: "array",
+      items: { type: "string", minLength: 1, maxLength: 100 },
+    },
+  },
+};
+
+export const transactionsQuerySchema = {
+  type: "object",
+  properties: {
+    status: { type: "string", enum: TRANSACTION_STATUSES },
+    limit: { type: "integer", minimum: 1, maximum: 500 },
+  },
+};
+
+export const authNonceSchema = {
+  type: "object",
+  required: ["address"],
+  properties: {
+    address,
+    chainId: { type: "integer", minimum: 1 },
+  },
+};
+
+export const authVerifySchema = {
+  type: "object",
+  required: ["message", "signature"],
+  properties: {
+    message: { type: "string", notBlank: true, maxLength: 4000 },
+    signature: { type: "string", pattern: "^0x[a-fA-F0-9]+$", maxLength: 20000 },
+  },
+};
+
+export const apiKeyParamsSchema = {
+  type: "object",
+  properties: { id },
+};
+
+// A role name such as "MINTER_ROLE" or "minter", or a 32-byte role ID
+const role = { type: "string", pattern: "^([A-Za-z_]{1,64}|0x[a-fA-F0-9]{64})$" };
+
+export const roleParamsSchema = {
+  type: "object",
+  properties: { role },
+};
+
+export const roleHolderParamsSchema = {
+  type: "object",
+  properties: { role, address },
+};
+
+export const roleChangeSchema = {
+  type: "object",
+  required: ["address"],
+  properties: {
+    address,
+    signerId,
+    fees,
+    ...selector,
+  },
+};
@@ -0,0 +1,1225 @@
+import { API_KEY_SCOPES } from "../services/apiKeyService.js";
+import { WEBHOOK_EVENTS } from "../services/webhookService.js";
+import { TRANSACTION_STATUSES } from "../services/transactionService.js";
+
+// Response schemas and per-route documentation for the OpenAPI document.
+// Responses are checked against these by `npm run test:contract`.
+
+const string = { type: "string" };
+
+const nullableString = { type: "string", nullable: true };
+
+const integer = { type: "integer" };
+
+const timestamp = { type: "string", description: "ISO 8601 timestamp" };
+
+const nullableTimestamp = { ...timestamp, nullable: true };
+
+const address = { type: "string", pattern: "^0x[a-fA-F0-9]{40}$" };
+
+const nullableAddress = { ...address, nullable: true };
+
+const txHash = { type: "string", pattern: "^0x[a-fA-F0-9]{64}$", nullable: true };
+
+const tokenId = { type: "string", pattern: "^\\d+$", description: "Decimal token ID" };
+
+const success = { type: "boolean", enum: [true] };
+
+const failure = { type: "boolean", enum: [false] };
+
+// Token metadata is free-form JSON as stored or resolved
+const metadata = { type: "object", description: "ERC-721 metadata JSON" };
+
+export const errorResponseSchema = {
+  type: "object",
+  required: ["success", "error"],
+  properties: {
+    success: failure,
+    error: string,
+    details: string,
+    message: string,
+  },
+};
+
+export const validationErrorSchema = {
+  type: "object",
+  required: ["success", "error", "code", "details"],
+  properties: {
+    success: failure,
+    error: { type: "string", enum: ["Validation failed"] },
+    code: { type: "string", enum: ["validation_error"] },
+    details: {
+      type: "array",
+      items: {
+        type: "object",
+        required: ["location", "field", "code", "message"],
+        properties: {
+          location: { type: "string", enum: ["body", "query", "params"] },
+          field: string,
+          code: string,
+          message: string,
+        },
+      },
+    },
+  },
+};
+
+const indexerStatus = {
+  type: "object",
+  required: ["indexed"],
+  properties: {
+    indexed: { type: "boolean" },
+    startBlock: integer,
+    lastBlock: { type: "integer", nullable: true },
+    headBlock: { type: "integer", nullable: true },
+    tokenCount: integer,
+    ready: { type: "boolean" },
+  },
+};
+
+const contractSummary = {
+  type: "object",
+  required: ["alias", "chain", "chainId", "address", "indexed", "default"],
+  properties: {
+    alias: string,
+    chain: string,
+    chainId: integer,
+    address: nullableAddress,
+    indexed: { type: "boolean" },
+    default: { type: "boolean" },
+  },
+};
+
+const walletNFT = {
+  type: "object",
+  required: ["tokenId", "name", "description", "image", "attributes"],
+  properties: {
+    tokenId,
+    name: string,
+    description: string,
+    image: nullableString,
+    attributes: { type: "array" },
+  },
+};
+
+const mintJob = {
+  type: "object",
+  required: [
+    "id",
+    "status",
+    "transactionHash",
+    "tokenId",
+    "to",
+    "requestedBy",
+    "contract",
+    "chainId",
+    "attempts",
+    "error",
+    "createdAt",
+    "updatedAt",
+  ],
+  properties: {
+    id: string,
+    status: { type: "string", enum: ["queued", "submitted", "confirmed", "failed"] },
+    transactionHash: txHash,
+    tokenId: { ...tokenId, nullable: true },
+    to: address,
+    requestedBy: nullableAddress,
+    contract: address,
+    chainId: integer,
+    attempts: integer,
+    error: nullableString,
+    createdAt: timestamp,
+    updatedAt: timestamp,
+  },
+};
+
+const batchResult = {
+  type: "object",
+  required: ["index", "to", "success", "status"],
+  properties: {
+    index: integer,
+    to: address,
+    success: { type: "boolean" },
+    status: { type: "string", enum: ["confirmed", "submitted", "failed"] },
+    transactionHash: txHash,
+    tokenId: { ...tokenId, nullable: true },
+    confirmations: integer,
+    tokenUri: string,
+    metadata,
+    error: string,
+  },
+};
+
+const batchResponse = {
+  type: "object",
+  required: [
+    "success",
+    "status",
+    "total",
+    "minted",
+    "confirmed",
+    "failed",
+    "requestedBy",
+    "contract",
+    "chainId",
+    "results",
+  ],
+  properties: {
+    success: { type: "boolean" },
+    status: { type: "string", enum: ["confirmed", "submitted", "partial", "failed"] },
+    total: integer,
+    minted: integer,
+    confirmed: integer,
+    failed: integer,
+    requestedBy: nullableAddress,
+    contract: address,
+    chainId: integer,
+    results: { type: "array", items: batchResult },
+  },
+};
+
+const transactionStatus = {
+  type: "object",
+  required: [
+    "transactionHash",
+    "status",
+    "minedHash",
+    "chainId",
+    "blockNumber",
+    "blockHash",
+    "confirmations",
+    "requiredConfirmations",
+    "error",
+  ],
+  properties: {
+    transactionHash: txHash,
+    status: {
+      type: "string",
+      enum: ["pending", "included", "confirmed", "reverted", "dropped"],
+    },
+    minedHash: txHash,
+    chainId: integer,
+    blockNumber: { type: "integer", nullable: true },
+    blockHash: txHash,
+    confirmations: integer,
+    requiredConfirmations: integer,
+    error: nullableString,
+  },
+};
+
+const preflightReport = {
+  type: "object",
+  required: ["signer", "minterRole", "simulation", "gas", "balance", "reasons"],
+  properties: {
+    signer: address,
+    minterRole: { type: "boolean", nullable: true },
+    simulation: {
+      type: "object",
+      required: ["success", "tokenId", "error"],
+      properties: {
+        success: { type: "boolean" },
+        tokenId: { ...tokenId, nullable: true },
+        error: nullableString,
+      },
+    },
+    gas: {
+      type: "object",
+      nullable: true,
+      required: ["limit", "costWei", "costEther", "totalCostWei", "totalCostEther"],
+      properties: {
+        limit: string,
+        costWei: string,
+        costEther: string,
+        totalCostWei: string,
+        totalCostEther: string,
+      },
+    },
+    balance: {
+      type: "object",
+      required: ["wei", "ether"],
+      properties: { wei: string, ether: string },
+    },
+    reasons: {
+      type: "array",
+      items: {
+        type: "object",
+        required: ["code", "message"],
+        properties: {
+          code: {
+            type: "string",
+            enum: ["not_minter", "simulation_reverted", "insufficient_funds"],
+          },
+          message: string,
+        },
+      },
+    },
+  },
+};
+
+// Returned instead of sending when the preflight check finds a mint would fail
+const preflightFailed = {
+  type: "object",
+  required: ["success", "error", "code", "details", "preflight"],
+  properties: {
+    success: failure,
+    error: string,
+    code: { type: "string", enum: ["preflight_failed"] },
+    details: preflightReport.properties.reasons,
+    preflight: {
+      ...preflightReport,
+      required: ["ok", ...preflightReport.required],
+      properties: { ok: { type: "boolean" }, ...preflightReport.properties },
+    },
+  },
+};
+
+const transfer = {
+  type: "object",
+  required: ["type", "from", "to", "blockNumber", "transactionHash", "logIndex", "timestamp"],
+  properties: {
+    type: { type: "string", enum: ["mint", "transfer", "burn"] },
+    from: address,
+    to: address,
+    blockNumber: integer,
+    transactionHash: txHash,
+    logIndex: integer,
+    timestamp: nullableTimestamp,
+  },
+};
+
+const tokenLookup = {
+  tokenId,
+  owner: address,
+  tokenUri: string,
+  metadata: { ...metadata, nullable: true },
+  metadataError: nullableString,
+  mintedAt: { ...transfer, nullable: true },
+};
+
+const signer = {
+  type: "object",
+  required: ["signerId", "address", "default"],
+  properties: {
+    signerId: string,
+    address: string,
+    default: { type: "boolean" },
+  },
+};
+
+const webhook = {
+  type: "object",
+  required: ["id", "url", "events", "description", "apiKeyId", "createdAt"],
+  properties: {
+    id: string,
+    url: string,
+    events: { type: "array", items: { type: "string", enum: WEBHOOK_EVENTS } },
+    description: nullableString,
+    apiKeyId: string,
+    createdAt: timestamp,
+  },
+};
+
+const webhookDelivery = {
+  type: "object",
+  required: [
+    "id",
+    "endpointId",
+    "event",
+    "eventId",
+    "status",
+    "attempts",
+    "nextAttemptAt",
+    "replayOf",
+    "log",
+    "createdAt",
+    "updatedAt",
+  ],
+  properties: {
+    id: string,
+    endpointId: string,
+    event: { type: "string", enum: WEBHOOK_EVENTS },
+    eventId: string,
+    status: { type: "string", enum: ["pending", "delivered", "failed", "cancelled"] },
+    attempts: integer,
+    nextAttemptAt: nullableTimestamp,
+    replayOf: nullableString,
+    log: {
+      type: "array",
+      items: {
+        type: "object",
+        required: ["attempt", "at", "success", "durationMs"],
+        properties: {
+          attempt: integer,
+          at: timestamp,
+          success: { type: "boolean" },
+          statusCode: integer,
+          error: string,
+          durationMs: integer,
+        },
+      },
+    },
+    createdAt: timestamp,
+    updatedAt: timestamp,
+  },
+};
+
+const apiKey = {
+  type: "object",
+  required: [
+    "id",
+    "name",
+    "prefix",
+    "scopes",
+    "allowedContracts",
+    "createdAt",
+    "revokedAt",
+    "lastUsedAt",
+    "requestCount",
+  ],
+  properties: {
+    id: string,
+    name: string,
+    prefix: string,
+    scopes: { type: "array", items: { type: "string", enum: API_KEY_SCOPES } },
+    allowedContracts: { type: "array", items: string },
+    createdAt: timestamp,
+    revokedAt: nullableTimestamp,
+    lastUsedAt: nullableTimestamp,
+    requestCount: integer,
+  },
+};
+
+const walletSession = {
+  tokenType: { type: "string", enum: ["Bearer"] },
+  token: { type: "string", description: "Send as 'Authorization: Bearer <token>'" },
+  address,
+  chainId: integer,
+  expiresAt: timestamp,
+};
+
+const gwei = { type: "string", description: "Decimal amount in gwei" };
+
+const trackedTransaction = {
+  type: "object",
+  required: [
+    "id",
+    "status",
+    "transactionHash",
+    "minedHash",
+    "chainId",
+    "contract",
+    "from",
+    "signerId",
+    "nonce",
+    "fees",
+    "attempts",
+    "error",
+    "createdAt",
+    "updatedAt",
+  ],
+  properties: {
+    id: string,
+    status: { type: "string", enum: TRANSACTION_STATUSES },
+    transactionHash: txHash,
+    minedHash: txHash,
+    chainId: integer,
+    contract: address,
+    from: address,
+    signerId: string,
+    nonce: integer,
+    fees: {
+      type: "object",
+      description: "Fees of the latest attempt; EIP-1559 fees, or gasPriceGwei on legacy chains",
+      properties: {
+        maxFeePerGasGwei: gwei,
+        maxPriorityFeePerGasGwei: gwei,
+        gasPriceGwei: gwei,
+      },
+    },
+    attempts: {
+      type: "array",
+      items: {
+        type: "object",
+        required: ["hash", "kind", "sentAt"],
+        properties: {
+          hash: txHash,
+          kind: { type: "string", enum: ["original", "speedup", "cancel"] },
+          sentAt: timestamp,
+        },
+      },
+    },
+    error: nullableString,
+    createdAt: timestamp,
+    updatedAt: timestamp,
+  },
+};
+
+/**
+ * Wraps a schema as a documented response
+ * @param {string} description - What the response means
+ * @param {Object} schema - The JSON body schema
+ * @returns {Object} The response documentation
+ */
+function json(description, schema) {
+  return { description, schema };
+}
+
+/**
+ * Builds a `{ success: true, ...fields }` response schema
+ * @param {Object} properties - The other response fields
+ * @returns {Object} The response schema
+ */
+function ok(properties) {
+  return {
+    type: "object",
+    required: ["success", ...Object.keys(properties)],
+    properties: { success, ...properties },
+  };
+}
+
+const notFound = (description) => json(description, errorResponseSchema);
+
+// A mint refused because the signer lacks MINTER_ROLE
+const notMinter = {
+  type: "object",
+  required: ["success", "error", "code", "details", "signer"],
+  properties: {
+    success: failure,
+    error: string,
+    code: { type: "string", enum: ["not_minter"] },
+    details: string,
+    signer: address,
+  },
+};
+
+const roleId = { type: "string", pattern: "^0x[a-fA-F0-9]{64}$" };
+
+/**
+ * Builds the schema of a role grant or revocation response
+ * @param {Array<string>} statuses - The statuses the response can have
+ * @returns {Object} JSON schema
+ */
+function roleChangeResult(statuses) {
+  return ok({
+    status: { type: "string", enum: statuses },
+    role: nullableString,
+    roleId,
+    address,
+    hasRole: { type: "boolean" },
+    transactionHash: txHash,
+    confirmations: { type: "integer", nullable: true },
+    requiredConfirmations: { type: "integer", nullable: true },
+    statusUrl: nullableString,
+    signer: address,
+    contract: address,
+    chainId: integer,
+  });
+}
+
+/**
+ * Documents a role grant or revocation route
+ * @param {string} summary - The route summary
+ * @returns {Object} The route documentation
+ */
+function roleChangeDocs(summary) {
+  return {
+    tags: ["Admin"],
+    summary,
+    responses: {
+      400: json(
+        "Validation failed, the role is unknown, a privateKey was sent, or the contract has no AccessControl roles",
+        badRequest
+      ),
+      200: json(
+        "Sent with the required confirmations, or unchanged because the account already had (or lacked) the role",
+        roleChangeResult(["confirmed", "unchanged"])
+      ),
+      202: json("Sent, but not yet mined or confirmed in time", roleChangeResult(["submitted"])),
+      409: json(
+        "The signer does not hold the role's admin role, or a request with this Idempotency-Key is in progress",
+        errorResponseSchema
+      ),
+    },
+  };
+}
+
+/**
+ * Builds the schema of a direct mint response
+ * @param {string} status - "confirmed" or "submitted"
+ * @returns {Object} The response schema
+ */
+function mintResult(status) {
+  return ok({
+    status: { type: "string", enum: [status] },
+    tokenId: { ...tokenId, nullable: true, description: "Null until the mint is mined" },
+    transactionHash: txHash,
+    confirmations: integer,
+    requiredConfirmations: integer,
+    statusUrl: string,
+    to: address,
+    requestedBy: nullableAddress,
+    contract: address,
+    chainId: integer,
+    tokenUri: string,
+    metadata,
+  });
+}
+
+/**
+ * Builds the schema of a token transfer or burn response
+ * @param {string} status - "confirmed" or "submitted"
+ * @returns {Object} The response schema
+ */
+function tokenTransactionResult(status) {
+  return ok({
+    status: { type: "string", enum: [status] },
+    tokenId,
+    transactionHash: txHash,
+    confirmations: integer,
+    requiredConfirmations: integer,
+    statusUrl: string,
+    from: address,
+    to: address,
+    requestedBy: nullableAddress,
+    contract: address,
+    chainId: integer,
+  });
+}
+
+/**
+ * Documents a custodial token transfer or burn route
+ * @param {string} summary - The route summary
+ * @param {string|null} capability - What the contract has to implement, for
+ *   the 400 (optional)
+ * @returns {Object} The route documentation
+ */
+function tokenTransactionDocs(summary, capability = null) {
+  return {
+    tags: ["Tokens"],
+    summary,
+    responses: {
+      400: json(
+        capability
+          ? `Validation failed, a privateKey was sent, or the contract is not ${capability}`
+          : "Validation failed, or a privateKey was sent",
+        badRequest
+      ),
+      200: json("Sent with the required confirmations", tokenTransactionResult("confirmed")),
+      202: json("Sent, but not yet mined or confirmed in time", tokenTransactionResult("submitted")),
+      404: notFound("Token not found, or burned"),
+      409: json(
+        "The token is not held by the signer, or a request with this Idempotency-Key is in progress",
+        errorResponseSchema
+      ),
+    },
+  };
+}
+
+/**
+ * Builds the schema of a metadata update response
+ * @param {string} status - "confirmed" or "submitted"
+ * @returns {Object} The response schema
+ */
+function metadataUpdateResult(status) {
+  return ok({
+    status: { type: "string", enum: [status] },
+    tokenId,
+    transactionHash: txHash,
+    confirmations: integer,
+    requiredConfirmations: integer,
+    statusUrl: string,
+    revision: integer,
+    metadataUpdateEvent: {
+      type: "boolean",
+      nullable: true,
+      description:
+        "Whether the contract emitted an EIP-4906 MetadataUpdate event for the token; null until the update is mined",
+    },
+    requestedBy: nullableAddress,
+    contract: address,
+    chainId: integer,
+    tokenUri: string,
+    metadata,
+  });
+}
+
+// Some routes also reject requests for reasons outside of schema validation
+const badRequest = { anyOf: [validationErrorSchema, errorResponseSchema] };
+
+// What the selected contract implements, from GET /api/contract
+const capabilityNames = [
+  "erc721",
+  "erc721Enumerable",
+  "erc721Metadata",
+  "erc2981Royalties",
+  "erc4906MetadataUpdate",
+  "accessControl",
+  "accessControlEnumerable",
+  "ownable",
+  "totalSupply",
+  "mintTo",
+  "burn",
+  "setTokenURI",
+  "lazyMint",
+  "claimConditions",
+];
+
+const capabilities = {
+  type: "object",
+  required: capabilityNames,
+  properties: Object.fromEntries(capabilityNames.map((name) => [name, { type: "boolean" }])),
+};
+
+/**
+ * Documentation for every route, keyed by "METHOD /path" as registered with
+ * Express. Request parameters, bodies, scopes and the shared 400/401/403/429
+ * responses come from the route middleware; only route specific responses
+ * are listed here. `public: true` marks routes that need no API key.
+ */
+export const ROUTE_DOCS = {
+  "GET /health": {
+    tags: ["System"],
+    summary: "Health check",
+    responses: {
+      200: json("The API is up", {
+        type: "object",
+        required: ["status", "message", "timestamp"],
+        properties: { status: string, message: string, timestamp },
+      }),
+    },
+  },
+  "GET /api/openapi.json": {
+    public: true,
+    tags: ["System"],
+    summary: "This OpenAPI document",
+    responses: {
+      200: json("The OpenAPI 3 document", { type: "object" }),
+    },
+  },
+  "GET /api/docs": {
+    public: true,
+    tags: ["System"],
+    summary: "Human readable API reference",
+    responses: {
+      200: { description: "HTML page rendered from this document", contentType: "text/html" },
+    },
+  },
+  "POST /api/auth/nonce": {
+    public: true,
+    tags: ["Auth"],
+    summary: "Get a Sign-In with Ethereum message for a wallet to sign",
+    responses: {
+      200: json(
+        "The single-use nonce and the EIP-4361 message",
+        ok({ nonce: string, expiresAt: timestamp, message: string })
+      ),
+      503: json("Wallet sign-in is not configured", errorResponseSchema),
+    },
+  },
+  "POST /api/auth/verify": {
+    public: true,
+    tags: ["Auth"],
+    summary: "Exchange a signed sign-in message for a wallet session token",
+    responses: {
+      200: json("The wallet session", ok(walletSession)),
+      401: json("The message or signature is not valid", errorResponseSchema),
+      503: json("Wallet sign-in is not configured", errorResponseSchema),
+    },
+  },
+  "GET /api/auth/session": {
+    tags: ["Auth"],
+    summary: "Get the signed-in wallet",
+    responses: {
+      200: json(
+        "The wallet session",
+        ok({
+          session: {
+            type: "object",
+            required: ["address", "chainId", "expiresAt"],
+            properties: { address, chainId: integer, expiresAt: timestamp },
+          },
+        })
+      ),
+    },
+  },
+  "POST /api/auth/logout": {
+    tags: ["Auth"],
+    summary: "End the wallet session",
+    responses: {
+      200: json("The session token is revoked", ok({ message: string })),
+    },
+  },
+  "GET /api/contract": {
+    tags: ["Contracts"],
+    summary: "Read on-chain details of the selected contract",
+    responses: {
+      200: json(
+        "Contract details and indexer progress",
+        ok({
+          contract: {
+            type: "object",
+            required: [
+              "name",
+              "symbol",
+              "owner",
+              "totalSupply",
+              "address",
+              "alias",
+              "chainId",
+              "capabilities",
+            ],
+            properties: {
+              name: nullableString,
+              symbol: nullableString,
+              owner: nullableAddress,
+              totalSupply: { type: "string", pattern: "^\\d+$", nullable: true },
+              address,
+              alias: string,
+              chainId: integer,
+              capabilities,
+            },
+          },
+          indexer: indexerStatus,
+        })
+      ),
+    },
+  },
+  "GET /api/contracts": {
+    tags: ["Contracts"],
+    summary: "List the configured contracts",
+    responses: {
+      200: json(
+        "Configured contracts",
+        ok({ count: integer, contracts: { type: "array", items: contractSummary } })
+      ),
+    },
+  },
+  "POST /api/mint/text/prepare": {
+    tags: ["Minting"],
+    summary: "Build token metadata for a client-side mint",
+    responses: {
+      400: json("Validation failed", badRequest),
+      200: json(
+        "Metadata and instructions",
+        ok({
+          status: { type: "string", enum: ["prepared"] },
+          message: string,
+          contract: address,
+          chainId: integer,
+          metadata,
+          instructions: { type: "array", items: string },
+        })
+      ),
+    },
+  },
+  "POST /api/mint/text/preview": {
+    tags: ["Minting"],
+    summary: "Render the SVG image for a text without minting",
+    responses: {
+      200: { description: "The SVG image", contentType: "image/svg+xml" },
+    },
+  },
+  "POST /api/mint/text/estimate": {
+    tags: ["Minting"],
+    summary: "Dry-run a mint: simulate it, check the minter role and estimate gas",
+    responses: {
+      400: json("Validation failed", badRequest),
+      200: json(
+        "The preflight report; willSucceed is false with reasons when the mint would fail",
+        ok({
+          willSucceed: { type: "boolean" },
+          contract: address,
+          chainId: integer,
+          signerId: string,
+          ...preflightReport.properties,
+        })
+      ),
+    },
+  },
+  "POST /api/mint/text": {
+    tags: ["Minting"],
+    summary: "Mint a text NFT with a server-managed signer",
+    responses: {
+      400: json(
+        "Validation failed, a privateKey was sent, or the contract has no mintTo",
+        badRequest
+      ),
+      200: json("Minted with the required confirmations", mintResult("confirmed")),
+      202: json(
+        "Sent but not yet mined or confirmed in time, or queued as a mint job (async: true)",
+        {
+          anyOf: [
+            mintResult("submitted"),
+            ok({
+              status: { type: "string", enum: ["queued"] },
+              jobId: string,
+              statusUrl: string,
+            }),
+          ],
+        }
+      ),
+      422: json(
+        "The signer is not a minter, the preflight check found the mint would fail, or an Idempotency-Key was reused with a different body",
+        { anyOf: [notMinter, preflightFailed, errorResponseSchema] }
+      ),
+      502: json("The signer's minter role could not be read from the chain", errorResponseSchema),
+    },
+  },
+  "POST /api/mint/text/batch": {
+    tags: ["Minting"],
+    summary: "Mint many text NFTs from one signer",
+    responses: {
+      400: json(
+        "Validation failed, a privateKey was sent, or the contract has no mintTo",
+        badRequest
+      ),
+      200: json("Every item, or some items, mined", batchResponse),
+      422: json(
+        "The signer is not a minter, the preflight check found the batch would fail, or an Idempotency-Key was reused with a different body",
+        { anyOf: [notMinter, preflightFailed, errorResponseSchema] }
+      ),
+      502: json("The signer's minter role could not be read from the chain", errorResponseSchema),
+      500: json("No item mined, or the batch could not be sent", {
+        anyOf: [batchResponse, errorResponseSchema],
+      }),
+    },
+  },
+  "GET /api/mint/jobs/:id": {
+    tags: ["Minting"],
+    summary: "Get the status of a mint job",
+    responses: {
+      200: json("The job", ok({ job: mintJob })),
+      404: notFound("Mint job not found"),
+    },
+  },
+  "GET /api/tx/:hash": {
+    tags: ["Minting"],
+    summary: "Get the status and confirmations of a transaction",
+    responses: {
+      200: json("The transaction", ok({ transaction: transactionStatus })),
+      404: notFound("Transaction not found"),
+    },
+  },
+  "POST /api/nfts": {
+    tags: ["Tokens"],
+    summary: "List the NFTs owned by a wallet, one page at a time",
+    responses: {
+      200: json(
+        "A page of NFTs",
+        ok({
+          wallet: address,
+          contract: address,
+          chainId: integer,
+          total: integer,
+          count: integer,
+          nfts: { type: "array", items: walletNFT },
+          nextCursor: nullableString,
+          source: { type: "string", enum: ["index", "chain"] },
+        })
+      ),
+    },
+  },
+  "GET /api/tokens/:tokenId/history": {
+    tags: ["Tokens"],
+    summary: "Get the ownership and transfer history of a token",
+    responses: {
+      400: json("Validation failed, or the contract is not indexed", badRequest),
+      200: json(
+        "The indexed token",
+        ok({
+          contract: address,
+          chainId: integer,
+          tokenId,
+          owner: nullableAddress,
+          burned: { type: "boolean" },
+          tokenUri: nullableString,
+          mintedAt: { ...transfer, nullable: true },
+          transfers: { type: "array", items: transfer },
+        })
+      ),
+      404: json("Token not found in the index", {
+        ...errorResponseSchema,
+        required: ["success", "error", "indexer"],
+        properties: { ...errorResponseSchema.properties, indexer: indexerStatus },
+      }),
+    },
+  },
+  "GET /api/tokens/:tokenId": {
+    tags: ["Tokens"],
+    summary: "Get the owner, token URI, metadata and mint of a token",
+    responses: {
+      200: json(
+        "The token",
+        ok({ contract: address, chainId: integer, ...tokenLookup })
+      ),
+      404: notFound("Token not found, or burned"),
+    },
+  },
+  "POST /api/tokens/lookup": {
+    tags: ["Tokens"],
+    summary: "Look up many tokens by ID",
+    responses: {
+      200: json(
+        "One result per token ID, in request order",
+        ok({
+          contract: address,
+          chainId: integer,
+          count: integer,
+          found: integer,
+          tokens: {
+            type: "array",
+            items: {
+              anyOf: [
+                {
+                  type: "object",
+                  required: ["found", ...Object.keys(tokenLookup)],
+                  properties: { found: { type: "boolean", enum: [true] }, ...tokenLookup },
+                },
+                {
+                  type: "object",
+                  required: ["tokenId", "found", "error"],
+                  properties: {
+                    tokenId,
+                    found: { type: "boolean", enum: [false] },
+                    error: string,
+                  },
+                },
+              ],
+            },
+          },
+        })
+      ),
+    },
+  },
+  "POST /api/tokens/:tokenId/transfer": tokenTransactionDocs(
+    "Transfer a token held by a server-managed signer",
+    "ERC-721"
+  ),
+  "POST /api/tokens/:tokenId/burn": tokenTransactionDocs(
+    "Burn a token held by a server-managed signer",
+    "burnable"
+  ),
+  "PATCH /api/tokens/:tokenId/metadata": {
+    tags: ["Tokens"],
+    summary: "Replace the text and metadata of a text NFT",
+    responses: {
+      400: json(
+        "Validation failed, a privateKey was sent, or the contract has no setTokenURI",
+        badRequest
+      ),
+      200: json("Updated with the required confirmations", metadataUpdateResult("confirmed")),
+      202: json("Sent, but not yet mined or confirmed in time", metadataUpdateResult("submitted")),
+      404: notFound("Token not found, or burned"),
+      422: json(
+        "The simulated update reverted, or an Idempotency-Key was reused with a different body",
+        errorResponseSchema
+      ),
+    },
+  },
+  "GET /api/nfts/:walletAddress": {
+    tags: ["Tokens"],
+    summary: "List every NFT owned by a wallet",
+    deprecated: true,
+    responses: {
+      200: json(
+        "All NFTs of the wallet",
+        ok({
+          deprecated: { type: "boolean", enum: [true] },
+          message: string,
+          wallet: address,
+          contract: address,
+          chainId: integer,
+          count: integer,
+          nfts: { type: "array", items: walletNFT },
+        })
+      ),
+    },
+  },
+  "GET /api/signers": {
+    tags: ["Signers"],
+    summary: "List the server-managed signers",
+    responses: {
+      200: json("Signers", ok({ count: integer, signers: { type: "array", items: signer } })),
+    },
+  },
+  "POST /api/webhooks": {
+    tags: ["Webhooks"],
+    summary: "Register a webhook endpoint",
+    responses: {
+      400: json("Validation failed, or the URL resolves to a non-public address", badRequest),
+      201: json(
+        "Registered; the signing secret is only returned here",
+        ok({
+          message: string,
+          webhook: {
+            ...webhook,
+            required: [...webhook.required, "secret"],
+            properties: { ...webhook.properties, secret: string },
+          },
+        })
+      ),
+    },
+  },
+  "GET /api/webhooks": {
+    tags: ["Webhooks"],
+    summary: "List webhook endpoints",
+    responses: {
+      200: json("Endpoints", ok({ count: integer, webhooks: { type: "array", items: webhook } })),
+    },
+  },
+  "DELETE /api/webhooks/:id": {
+    tags: ["Webhooks"],
+    summary: "Delete a webhook endpoint and cancel its pending deliveries",
+    responses: {
+      200: json("The deleted endpoint", ok({ webhook })),
+      404: notFound("Webhook not found"),
+    },
+  },
+  "GET /api/webhooks/:id/deliveries": {
+    tags: ["Webhooks"],
+    summary: "List recent deliveries to an endpoint",
+    responses: {
+      200: json(
+        "Deliveries, newest first",
+        ok({ count: integer, deliveries: { type: "array", items: webhookDelivery } })
+      ),
+      404: notFound("Webhook not found"),
+    },
+  },
+  "POST /api/webhooks/:id/deliveries/:deliveryId/replay": {
+    tags: ["Webhooks"],
+    summary: "Send a delivery again",
+    responses: {
+      202: json("Queued as a new delivery", ok({ delivery: webhookDelivery })),
+      404: notFound("Webhook delivery not found"),
+    },
+  },
+  "POST /api/admin/keys": {
+    tags: ["Admin"],
+    summary: "Create an API key",
+    responses: {
+      201: json(
+        "Created; the key is only returned here",
+        ok({
+          message: string,
+          key: {
+            ...apiKey,
+            required: [...apiKey.required, "apiKey"],
+            properties: { ...apiKey.properties, apiKey: string },
+          },
+        })
+      ),
+    },
+  },
+  "GET /api/admin/keys": {
+    tags: ["Admin"],
+    summary: "List API keys, including revoked ones",
+    responses: {
+      200: json("API keys", ok({ count: integer, keys: { type: "array", items: apiKey } })),
+    },
+  },
+  "GET /api/admin/keys/:id/usage": {
+    tags: ["Admin"],
+    summary: "Get the request counters of an API key",
+    responses: {
+      200: json(
+        "The key and its usage",
+        ok({
+          key: {
+            ...apiKey,
+            required: [...apiKey.required, "usage"],
+            properties: {
+              ...apiKey.properties,
+              usage: {
+                type: "object",
+                required: ["total", "byDay", "byRoute"],
+                properties: {
+                  total: integer,
+                  byDay: { type: "object" },
+                  byRoute: { type: "object" },
+                },
+              },
+            },
+          },
+        })
+      ),
+      404: notFound("API key not found"),
+    },
+  },
+  "POST /api/admin/keys/:id/revoke": {
+    tags: ["Admin"],
+    summary: "Revoke an API key",
+    responses: {
+      200: json("The revoked key", ok({ key: apiKey })),
+      404: notFound("API key not found"),
+    },
+  },
+  "GET /api/admin/transactions": {
+    tags: ["Admin"],
+    summary: "List sent transactions and their replacements, newest first",
+    responses: {
+      200: json(
+        "Tracked transactions",
+        ok({ count: integer, transactions: { type: "array", items: trackedTransaction } })
+      ),
+    },
+  },
+  "GET /api/admin/roles": {
+    tags: ["Admin"],
+    summary: "List the holders of the known AccessControl roles",
+    responses: {
+      400: json(
+        "Validation failed, or the contract cannot enumerate role holders",
+        badRequest
+      ),
+      200: json(
+        "Holders of DEFAULT_ADMIN_ROLE, MINTER_ROLE, TRANSFER_ROLE and METADATA_ROLE",
+        ok({
+          contract: address,
+          chainId: integer,
+          roles: {
+            type: "array",
+            items: {
+              type: "object",
+              required: ["role", "roleId", "adminRole", "holders"],
+              properties: {
+                role: string,
+                roleId,
+                adminRole: string,
+                holders: { type: "array", items: address },
+              },
+            },
+          },
+        })
+      ),
+    },
+  },
+  "GET /api/admin/roles/:role/:address": {
+    tags: ["Admin"],
+    summary: "Check whether an address holds a role",
+    responses: {
+      400: json(
+        "Validation failed, the role is unknown, or the contract has no AccessControl roles",
+        badRequest
+      ),
+      200: json(
+        "Whether the address holds the role",
+        ok({
+          role: nullableString,
+          roleId,
+          address,
+          hasRole: { type: "boolean" },
+          contract: address,
+          chainId: integer,
+        })
+      ),
+    },
+  },
+  "POST /api/admin/roles/:role/grant": roleChangeDocs(
+    "Grant a role with a server-managed signer"
+  ),
+  "POST /api/admin/roles/:role/revoke": roleChangeDocs(
+    "Revoke a role with a server-managed signer"
+  ),
+};
@@ -0,0 +1,57 @@
+import readline from "readline";
+import dotenv from "dotenv";
+import { createThirdwebClient } from "thirdweb";
+import {
+  encryptPrivateKey,
+  getKeystorePath,
+  readKeystore,
+  writeKeystore,
+} from "../services/signerService.js";
+
+// Load environment variables
+dotenv.config();
+
+// Usage: npm run signer:add -- <signerId>
+// The private key is read from stdin so it never ends up in shell history
+const signerId = process.argv[2];
+
+if (!signerId) {
+  console.error("Usage: npm run signer:add -- <signerId>");
+  process.exit(1);
+}
+
+if (!process.env.SIGNER_KEYSTORE_PASSWORD) {
+  console.error("SIGNER_KEYSTORE_PASSWORD must be set to encrypt the keystore");
+  process.exit(1);
+}
+
+const client = createThirdwebClient({
+  clientId: process.env.THIRDWEB_CLIENT_ID,
+  secretKey: process.env.THIRDWEB_SECRET_KEY,
+});
+
+const rl = readline.createInterface({
+  input: process.stdin,
+  output: process.stderr,
+});
+
+rl.question(`Private key for signer "${signerId}": `, (privateKey) => {
+  rl.close();
+
+  try {
+    const keystore = readKeystore();
+    const entry = encryptPrivateKey(
+      client,
+      privateKey,
+      process.env.SIGNER_KEYSTORE_PASSWORD
+    );
+
+    keystore.signers[signerId] = entry;
+    writeKeystore(keystore);
+
+    console.log(`Signer "${signerId}" (0x${entry.address}) saved to ${getKeystorePath()}`);
+  } catch (error) {
+    console.error("Failed to add signer:", error.message);
+    process.exit(1);
+  }
+});
@@ -0,0 +1,547 @@
+import crypto from "crypto";
+import fs from "fs";
+import net from "net";
+import os from "os";
+import path from "path";
+import { spawn } from "child_process";
+import { fileURLToPath } from "url";
+import { createThirdwebClient } from "thirdweb";
+import { privateKeyToAccount } from "thirdweb/wallets";
+import { validateSchema } from "../middleware/validate.js";
+import { encryptPrivateKey, writeKeystore } from "../services/signerService.js";
+
+// Usage: npm run test:contract
+// Starts the server against a throwaway data directory and keystore, sends
+// requests to every route that works without a blockchain connection, and
+// checks each response against /api/openapi.json. Exits with 1 when a route
+// is undocumented or a response does not match its documented status,
+// content type or schema.
+
+const SERVER_PATH = fileURLToPath(new URL("../server.js", import.meta.url));
+const START_TIMEOUT_MS = 15000;
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "nft-api-contract-"));
+const rootKey = `contract_${crypto.randomBytes(16).toString("hex")}`;
+const wallet = "0x000000000000000000000000000000000000dEaD";
+const failures = [];
+
+/**
+ * Finds a free local port
+ * @returns {Promise<number>} The port
+ */
+function getFreePort() {
+  return new Promise((resolve, reject) => {
+    const server = net.createServer();
+    server.unref();
+    server.on("error", reject);
+    server.listen(0, () => {
+      const { port } = server.address();
+      server.close(() => resolve(port));
+    });
+  });
+}
+
+/**
+ * Replaces `$ref` pointers with the schemas they refer to
+ * @param {*} value - Part of the OpenAPI document
+ * @param {Object} spec - The whole document
+ * @returns {*} The value without references
+ */
+function dereference(value, spec) {
+  if (Array.isArray(value)) {
+    return value.map((item) => dereference(item, spec));
+  }
+  if (value && typeof value === "object") {
+    if (value.$ref) {
+      const target = value.$ref
+        .replace(/^#\//, "")
+        .split("/")
+        .reduce((node, key) => node[key], spec);
+      return dereference(target, spec);
+    }
+    return Object.fromEntries(
+      Object.entries(value).map(([key, item]) => [key, dereference(item, spec)])
+    );
+  }
+  return value;
+}
+
+/**
+ * Finds the documented operation for a request
+ * @param {Object} spec - The OpenAPI document
+ * @param {string} method - The HTTP method
+ * @param {string} requestPath - The request path without query string
+ * @returns {Object|null} The operation and its path template
+ */
+function findOperation(spec, method, requestPath) {
+  for (const [template, methods] of Object.entries(spec.paths)) {
+    const pattern = new RegExp(`^${template.replace(/\{\w+\}/g, "[^/]+")}$`);
+    if (pattern.test(requestPath) && methods[method.toLowerCase()]) {
+      return { template, operation: methods[method.toLowerCase()] };
+    }
+  }
+  return null;
+}
+
+/**
+ * Sends a request and checks the response against the document
+ * @param {Object} context - Base URL and OpenAPI document
+ * @param {Object} request - method, path, body, apiKey and expected status
+ * @returns {Promise<*>} The parsed JSON body, or the text body
+ */
+async function check(context, request) {
+  const {
+    method = "GET",
+    path: requestPath,
+    body,
+    apiKey = rootKey,
+    headers = {},
+    status,
+  } = request;
+  const label = `${method} ${requestPath}`;
+  const response = await fetch(`${context.baseUrl}${requestPath}`, {
+    method,
+    headers: {
+      ...(apiKey ? { "x-api-key": apiKey } : {}),
+      ...(body ? { "Content-Type": "application/json" } : {}),
+      ...headers,
+    },
+    body: body ? JSON.stringify(body) : undefined,
+  });
+
+  const contentType = (response.headers.get("content-type") || "").split(";")[0];
+  const text = await response.text();
+  const payload = contentType === "application/json" ? JSON.parse(text) : text;
+  const fail = (message) => failures.push(`${label} -> ${response.status}: ${message}`);
+
+  if (status && response.status !== status) {
+    fail(`expected status ${status}; body: ${text.substring(0, 300)}`);
+  }
+
+  const found = findOperation(context.spec, method, requestPath.split("?")[0]);
+  if (!found) {
+    fail("route is not in the OpenAPI document");
+    return payload;
+  }
+  context.covered.add(`${method.toLowerCase()} ${found.template}`);
+
+  const documented = found.operation.responses[response.status];
+  if (!documented) {
+    fail(`status is not documented; body: ${text.substring(0, 300)}`);
+    return payload;
+  }
+
+  const media = documented.content?.[contentType];
+  if (!media) {
+    fail(`content type ${contentType} is not documented`);
+    return payload;
+  }
+
+  if (contentType === "application/json") {
+    const errors = validateSchema(dereference(media.schema, context.spec), payload, {
+      location: "response",
+      strict: true,
+    });
+    for (const error of errors) {
+      fail(`${error.field || "body"}: ${error.message} (${error.code})`);
+    }
+  }
+
+  return payload;
+}
+
+/**
+ * Waits until the server answers its health check
+ * @param {string} baseUrl - The server URL
+ * @param {Object} child - The server process
+ */
+async function waitForServer(baseUrl, child) {
+  const deadline = Date.now() + START_TIMEOUT_MS;
+  while (Date.now() < deadline) {
+    if (child.exitCode !== null) {
+      throw new Error(`Server exited with code ${child.exitCode}`);
+    }
+    try {
+      const response = await fetch(`${baseUrl}/health`, {
+        headers: { "x-api-key": rootKey },
+      });
+      if (response.ok) {
+        return;
+      }
+    } catch {
+      // Not listening yet
+    }
+    await new Promise((resolve) => setTimeout(resolve, 200));
+  }
+  throw new Error("Server did not start in time");
+}
+
+/**
+ * Exercises every route that does not need a blockchain connection
+ * @param {Object} context - Base URL and OpenAPI document
+ */
+async function runChecks(context) {
+  // Public documentation and authentication
+  await check(context, { path: "/api/openapi.json", apiKey: null, status: 200 });
+  await check(context, { path: "/api/docs", apiKey: null, status: 200 });
+  await check(context, { path: "/health", status: 200 });
+  await check(context, { path: "/api/contracts", apiKey: null, status: 401 });
+  await check(context, { path: "/api/contracts", apiKey: "not-a-key", status: 403 });
+  await check(context, { path: "/api/contracts", status: 200 });
+
+  // Wallet sign-in; an EOA signature is checked without a blockchain connection
+  const account = privateKeyToAccount({
+    client: context.client,
+    privateKey: `0x${crypto.randomBytes(32).toString("hex")}`,
+  });
+  await check(context, {
+    method: "POST",
+    path: "/api/auth/nonce",
+    apiKey: null,
+    body: { address: "0x1234" },
+    status: 400,
+  });
+  const challenge = await check(context, {
+    method: "POST",
+    path: "/api/auth/nonce",
+    apiKey: null,
+    body: { address: account.address },
+    status: 200,
+  });
+  await check(context, {
+    method: "POST",
+    path: "/api/auth/verify",
+    apiKey: null,
+    body: { message: challenge.message, signature: `0x${"00".repeat(65)}` },
+    status: 401,
+  });
+  const { nonce: secondNonce, message } = await check(context, {
+    method: "POST",
+    path: "/api/auth/nonce",
+    apiKey: null,
+    body: { address: account.address },
+    status: 200,
+  });
+  const session = await check(context, {
+    method: "POST",
+    path: "/api/auth/verify",
+    apiKey: null,
+    body: { message, signature: await account.signMessage({ message }) },
+    status: 200,
+  });
+  const bearer = { Authorization: `Bearer ${session.token}` };
+  await check(context, {
+    method: "POST",
+    path: "/api/auth/verify",
+    apiKey: null,
+    body: { message, signature: await account.signMessage({ message }) },
+    status: 401,
+  });
+  await check(context, { path: "/api/auth/session", apiKey: null, status: 401 });
+  await check(context, { path: "/api/auth/session", apiKey: null, headers: bearer, status: 200 });
+  await check(context, {
+    path: "/api/auth/session",
+    apiKey: null,
+    headers: { Authorization: `Bearer ${secondNonce}` },
+    status: 401,
+  });
+  await check(context, { path: "/api/contracts", apiKey: null, headers: bearer, status: 403 });
+  await check(context, {
+    method: "POST",
+    path: "/api/nfts",
+    apiKey: null,
+    headers: bearer,
+    body: { walletAddress: wallet },
+    status: 403,
+  });
+  await check(context, {
+    method: "POST",
+    path: "/api/auth/logout",
+    apiKey: null,
+    headers: bearer,
+    status: 200,
+  });
+  await check(context, { path: "/api/auth/session", apiKey: null, headers: bearer, status: 401 });
+
+  // API keys
+  const created = await check(context, {
+    method: "POST",
+    path: "/api/admin/keys",
+    body: { name: "Contract test", scopes: ["read"] },
+    status: 201,
+  });
+  const readKey = created.key?.apiKey;
+  await check(context, {
+    method: "POST",
+    path: "/api/admin/keys",
+    body: { scopes: ["nope"] },
+    status: 400,
+  });
+  await check(context, { path: "/api/admin/keys", status: 200 });
+  await check(context, { path: "/api/admin/transactions?status=pending", status: 200 });
+  await check(context, { path: "/api/tx/0x1234", status: 400 });
+  await check(context, { path: "/api/admin/transactions?status=stuck", status: 400 });
+  await check(context, { path: `/api/admin/keys/${created.key?.id}/usage`, status: 200 });
+  await check(context, { path: "/api/admin/keys/unknown/usage", status: 404 });
+  await check(context, { path: "/api/signers", apiKey: readKey, status: 403 });
+
+  // Roles: validation only, the reads and transactions need a chain
+  const holder = "0x0000000000000000000000000000000000000001";
+  await check(context, { path: `/api/admin/roles/bogus/${holder}`, status: 400 });
+  await check(context, { path: "/api/admin/roles/minter/0x1", status: 400 });
+  await check(context, { path: "/api/admin/roles", apiKey: readKey, status: 403 });
+  await check(context, {
+    method: "POST",
+    path: "/api/admin/roles/minter/grant",
+    body: {},
+    status: 400,
+  });
+  await check(context, {
+    method: "POST",
+    path: "/api/admin/roles/0x12/revoke",
+    body: { address: holder },
+    status: 400,
+  });
+  await check(context, { path: "/api/signers", status: 200 });
+
+  // Minting without a chain: previews, validation and queued jobs
+  await check(context, {
+    method: "POST",
+    path: "/api/mint/text/preview",
+    body: { text: "Contract" },
+    status: 200,
+  });
+  await check(context, {
+    method: "POST",
+    path: "/api/mint/text/preview",
+    body: { text: " " },
+    status: 400,
+  });
+  await check(context, {
+    method: "POST",
+    path: "/api/mint/text/prepare",
+    body: { text: "Contract" },
+    status: 200,
+  });
+  await check(context, {
+    method: "POST",
+    path: "/api/mint/text",
+    body: { text: "Contract", toAddress: "0x1" },
+    status: 400,
+  });
+  await check(context, {
+    method: "POST",
+    path: "/api/mint/text",
+    body: { text: "Contract", toAddress: wallet, privateKey: "0x00" },
+    status: 400,
+  });
+  await check(context, {
+    method: "POST",
+    path: "/api/mint/text",
+    body: { text: "Contract", toAddress: wallet, fees: { maxFeeGwei: -1 } },
+    status: 400,
+  });
+  await check(context, {
+    method: "POST",
+    path: "/api/mint/text/estimate",
+    body: { text: "Contract" },
+    status: 400,
+  });
+  await check(context, {
+    method: "POST",
+    path: "/api/mint/text/batch",
+    body: { items: [] },
+    status: 400,
+  });
+
+  const webhook = await check(context, {
+    method: "POST",
+    path: "/api/webhooks",
+    body: { url: "https://192.0.2.1/hooks", events: ["mint.failed"] },
+    status: 201,
+  });
+  await check(context, {
+    method: "POST",
+    path: "/api/webhooks",
+    body: { url: "https://127.0.0.1:9/hooks" },
+    status: 400,
+  });
+  await check(context, {
+    method: "POST",
+    path: "/api/webhooks",
+    body: { url: "ftp://example" },
+    status: 400,
+  });
+
+  const queued = await check(context, {
+    method: "POST",
+    path: "/api/mint/text",
+    body: { text: "Contract", toAddress: wallet, async: true },
+    headers: { "Idempotency-Key": "contract-test" },
+    status: 202,
+  });
+  await check(context, {
+    method: "POST",
+    path: "/api/mint/text",
+    body: { text: "Changed", toAddress: wallet, async: true },
+    headers: { "Idempotency-Key": "contract-test" },
+    status: 422,
+  });
+  await check(context, { path: `/api/mint/jobs/${queued.jobId}`, status: 200 });
+  await check(context, { path: "/api/mint/jobs/unknown", status: 404 });
+
+  // Tokens
+  await check(context, {
+    method: "POST",
+    path: "/api/nfts",
+    body: { walletAddress: "0x1" },
+    status: 400,
+  });
+  await check(context, { path: "/api/tokens/abc/history", status: 400 });
+  await check(context, { path: "/api/tokens/1/history", status: 400 });
+  await check(context, {
+    method: "POST",
+    path: "/api/tokens/1/transfer",
+    body: { toAddress: "0x0000000000000000000000000000000000000000" },
+    status: 400,
+  });
+  await check(context, {
+    method: "POST",
+    path: "/api/tokens/abc/burn",
+    body: {},
+    status: 400,
+  });
+  await check(context, { path: "/api/tokens/abc", status: 400 });
+  await check(context, {
+    method: "POST",
+    path: "/api/tokens/lookup",
+    body: { tokenIds: [] },
+    status: 400,
+  });
+  await check(context, {
+    method: "PATCH",
+    path: "/api/tokens/1/metadata",
+    body: { description: "No text" },
+    status: 400,
+  });
+
+  // Webhooks
+  const webhookId = webhook.webhook?.id;
+  await check(context, { path: "/api/webhooks", status: 200 });
+  const { deliveries = [] } = await check(context, {
+    path: `/api/webhooks/${webhookId}/deliveries?limit=10`,
+    status: 200,
+  });
+  if (deliveries.length > 0) {
+    await check(context, {
+      method: "POST",
+      path: `/api/webhooks/${webhookId}/deliveries/${deliveries[0].id}/replay`,
+      status: 202,
+    });
+  }
+  await check(context, {
+    method: "POST",
+    path: `/api/webhooks/${webhookId}/deliveries/unknown/replay`,
+    status: 404,
+  });
+  await check(context, { method: "DELETE", path: `/api/webhooks/${webhookId}`, status: 200 });
+  await check(context, { method: "DELETE", path: `/api/webhooks/${webhookId}`, status: 404 });
+
+  await check(context, {
+    method: "POST",
+    path: `/api/admin/keys/${created.key?.id}/revoke`,
+    status: 200,
+  });
+  await check(context, { path: "/api/contracts", apiKey: readKey, status: 403 });
+}
+
+/**
+ * Runs the contract test
+ */
+async function main() {
+  const port = await getFreePort();
+  const baseUrl = `http://127.0.0.1:${port}`;
+
+  // A throwaway signer so queued mints can be accepted
+  const keystorePassword = crypto.randomBytes(16).toString("hex");
+  process.env.SIGNER_KEYSTORE_PATH = path.join(tmpDir, "keystore.json");
+  const client = createThirdwebClient({ clientId: "contract-test" });
+  writeKeystore({
+    signers: {
+      contract: encryptPrivateKey(
+        client,
+        `0x${crypto.randomBytes(32).toString("hex")}`,
+        keystorePassword
+      ),
+    },
+  });
+
+  const child = spawn(process.execPath, [SERVER_PATH], {
+    env: {
+      ...process.env,
+      PORT: String(port),
+      SERVER_API_KEY: rootKey,
+      DATA_DIR: path.join(tmpDir, "data"),
+      SIGNER_KEYSTORE_PASSWORD: keystorePassword,
+      DEFAULT_SIGNER_ID: "contract",
+      CONTRACTS_CONFIG_PATH: path.join(tmpDir, "contracts.json"),
+      NFT_CONTRACT_ADDRESS:
+        process.env.NFT_CONTRACT_ADDRESS || "0x0000000000000000000000000000000000000001",
+      NFT_CONTRACT_START_BLOCK: "",
+      THIRDWEB_CLIENT_ID: process.env.THIRDWEB_CLIENT_ID || "contract-test",
+      METADATA_STORAGE: "inline",
+      AUTH_JWT_SECRET: crypto.randomBytes(32).toString("hex"),
+      AUTH_DOMAIN: "contract-test.local",
+    },
+    stdio: ["ignore", "pipe", "pipe"],
+  });
+
+  let serverOutput = "";
+  child.stdout.on("data", (chunk) => (serverOutput += chunk));
+  child.stderr.on("data", (chunk) => (serverOutput += chunk));
+
+  try {
+    await waitForServer(baseUrl, child);
+
+    const spec = await (await fetch(`${baseUrl}/api/openapi.json`)).json();
+    const context = { baseUrl, spec, client, covered: new Set() };
+
+    for (const [template, methods] of Object.entries(spec.paths)) {
+      for (const [method, operation] of Object.entries(methods)) {
+        if (operation.tags.includes("Undocumented")) {
+          failures.push(`${method.toUpperCase()} ${template}: route has no entry in ROUTE_DOCS`);
+        }
+      }
+    }
+
+    await runChecks(context);
+
+    const uncovered = Object.entries(spec.paths).flatMap(([template, methods]) =>
+      Object.keys(methods)
+        .filter((method) => !context.covered.has(`${method} ${template}`))
+        .map((method) => `${method.toUpperCase()} ${template}`)
+    );
+    if (uncovered.length > 0) {
+      console.log(`Not exercised (need a blockchain connection):\n  ${uncovered.join("\n  ")}`);
+    }
+  } finally {
+    child.kill();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  }
+
+  if (failures.length > 0) {
+    console.error(`\n${failures.length} contract failure(s):\n  ${failures.join("\n  ")}`);
+    if (process.env.CONTRACT_TEST_VERBOSE) {
+      console.error(`\nServer output:\n${serverOutput}`);
+    }
+    process.exit(1);
+  }
+
+  console.log("All responses match the OpenAPI document");
+}
+
+main().catch((error) => {
+  console.error("Contract test failed:", error.message);
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+  process.exit(1);
+});
@@ -2,14 +2,128 @@ import express from "express";
 import cors from "cors";
 import helmet from "helmet";
 import dotenv from "dotenv";
-import { createThirdwebClient } from "thirdweb";
+import { createThirdwebClient, ZERO_ADDRESS } from "thirdweb";
 import {
   mintTextNFT,
+  confirmMintTransaction,
   getWalletNFTs,
   getContractInfo,
-  mintTextNFTWithPrivateKey,
+  mintTextNFTBatch,
+  preflightTextNFTMint,
+  transferNFT,
+  burnNFT,
+  updateTextNFTMetadata,
+  getToken,
+  getTokens,
+  getNFTContract,
+  getSignerMinterRole,
+  getRoleHolders,
+  checkRole,
+  grantRole,
+  revokeRole,
 } from "./services/nftService.js";
-import { privateKeyToAccount } from "thirdweb/wallets";
+import { resolveRole } from "./utils/roles.js";
+import { getCapabilitySupport } from "./services/capabilityService.js";
+import {
+  getDefaultSignerId,
+  hasSigner,
+  listSigners,
+} from "./services/signerService.js";
+import {
+  enqueueMintJob,
+  getMintJob,
+  startMintWorker,
+} from "./services/mintJobService.js";
+import {
+  listContracts,
+  resolveChain,
+  resolveContractTarget,
+} from "./services/contractRegistry.js";
+import {
+  authenticateApiKey,
+  createApiKey,
+  getApiKeyUsage,
+  hasScope,
+  isContractAllowed,
+  listApiKeys,
+  recordApiKeyUsage,
+  revokeApiKey,
+} from "./services/apiKeyService.js";
+import { createMemoryStore, createRateLimiter } from "./middleware/rateLimit.js";
+import { createIdempotency, markBroadcast } from "./middleware/idempotency.js";
+import {
+  fieldError,
+  sendValidationError,
+  validate,
+} from "./middleware/validate.js";
+import {
+  apiKeyParamsSchema,
+  authNonceSchema,
+  authVerifySchema,
+  batchMintSchema,
+  burnTokenSchema,
+  contractQuerySchema,
+  createApiKeySchema,
+  createWebhookSchema,
+  deliveriesQuerySchema,
+  estimateMintSchema,
+  jobParamsSchema,
+  mintSchema,
+  prepareMintSchema,
+  previewSchema,
+  roleChangeSchema,
+  roleHolderParamsSchema,
+  roleParamsSchema,
+  tokenLookupSchema,
+  tokenParamsSchema,
+  transactionsQuerySchema,
+  transferTokenSchema,
+  updateMetadataSchema,
+  txParamsSchema,
+  walletNFTsSchema,
+  walletParamsSchema,
+  webhookParamsSchema,
+} from "./schemas/requestSchemas.js";
+import {
+  listTemplates,
+  renderTextSvg,
+  validateTextForTemplate,
+} from "./services/svgService.js";
+import { getLocalMetadataDir } from "./services/metadataStorage.js";
+import { buildOpenApiSpec, renderDocsPage } from "./services/openapiService.js";
+import { isPreflightEnabled } from "./services/preflightService.js";
+import {
+  getConfirmationWaitMs,
+  getTransactionStatus,
+  listTransactions,
+  startTransactionMonitor,
+} from "./services/transactionService.js";
+import {
+  getIndexerStatus,
+  getTokenHistory,
+  isIndexedContract,
+  startIndexer,
+} from "./services/indexerService.js";
+import {
+  WEBHOOK_EVENTS,
+  checkWebhookUrl,
+  createWebhookEndpoint,
+  deleteWebhookEndpoint,
+  emitWebhookEvent,
+  getWebhookEndpoint,
+  listWebhookDeliveries,
+  listWebhookEndpoints,
+  replayWebhookDelivery,
+  startWebhookWorker,
+} from "./services/webhookService.js";
+import {
+  authenticateWalletToken,
+  createLoginChallenge,
+  isWalletAuthEnabled,
+  revokeWalletSession,
+  verifyLogin,
+} from "./services/walletAuthService.js";
+import { decodeCursor, encodeCursor } from "./utils/pagination.js";
 
 // Load environment variables
 dotenv.config();
@@ -18,315 +132,1765 @@ dotenv.config();
 const app = express();
 const port = process.env.PORT || 3000;
 
+// Use the real client IP when running behind a load balancer
+if (process.env.TRUST_PROXY) {
+  app.set("trust proxy", process.env.TRUST_PROXY);
+}
+
 // Initialize Thirdweb client
 const client = createThirdwebClient({
   clientId: process.env.THIRDWEB_CLIENT_ID,
   secretKey: process.env.THIRDWEB_SECRET_KEY,
 });
 
-// API Key Middleware - Must be the first middleware
-const validateApiKey = (req, res, next) => {
-  // Check for API key in headers
-  const apiKey = req.headers["x-api-key"];
+// Security headers, CORS and JSON bodies for every route, including the
+// public ones below
+app.use(helmet());
+app.use(cors());
+app.use(express.json());
+
+// Metadata written by the local storage backend is public, so wallets and
+// marketplaces can fetch it without an API key
+app.use(
+  "/metadata",
+  express.static(getLocalMetadataDir(), { immutable: true, maxAge: "1y" }),
+  (req, res) => {
+    res.status(404).json({ success: false, error: "Metadata not found" });
+  }
+);
+
+// API reference - public, generated from the routes below on first request
+let openApiSpec = null;
+const getOpenApiSpec = () => {
+  openApiSpec ??= buildOpenApiSpec([
+    { basePath: "", stack: app._router.stack },
+    { basePath: "/api", stack: router.stack },
+  ]);
+  return openApiSpec;
+};
+
+app.get("/api/openapi.json", (req, res) => {
+  try {
+    res.json(getOpenApiSpec());
+  } catch (error) {
+    console.error("Error building OpenAPI document:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to build OpenAPI document",
+      details: error.message,
+    });
+  }
+});
+
+app.get("/api/docs", (req, res) => {
+  try {
+    res.type("html").send(renderDocsPage(getOpenApiSpec()));
+  } catch (error) {
+    console.error("Error rendering API docs:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to render API docs",
+      details: error.message,
+    });
+  }
+});
+
+// Rate Limiting - separate budgets for reads and mints, per API key and IP.
+// Swap in createRedisStore(redisClient) to share limits between instances.
+const rateLimitStore = createMemoryStore();
+
+const readRateLimit = createRateLimiter({
+  name: "read",
+  limit: Number(process.env.RATE_LIMIT_READ_MAX) || 100,
+  windowMs: Number(process.env.RATE_LIMIT_READ_WINDOW_MS) || 60 * 1000,
+  store: rateLimitStore,
+});
+
+// Each batch item counts as one mint
+const mintRateLimit = createRateLimiter({
+  name: "mint",
+  limit: Number(process.env.RATE_LIMIT_MINT_MAX) || 1000,
+  windowMs: Number(process.env.RATE_LIMIT_MINT_WINDOW_MS) || 60 * 60 * 1000,
+  store: rateLimitStore,
+  cost: (req) => (Array.isArray(req.body?.items) ? req.body.items.length : 1),
+});
+
+// Wallet sign-in (EIP-4361) - public, so end users can sign in without an API key
+app.post("/api/auth/nonce", readRateLimit, validate({ body: authNonceSchema }), (req, res) => {
+  try {
+    if (!isWalletAuthEnabled()) {
+      return res.status(503).json({
+        success: false,
+        error: "Wallet sign-in is not enabled",
+        details: "Set AUTH_JWT_SECRET and AUTH_DOMAIN to enable it",
+      });
+    }
+
+    let chain;
+    try {
+      chain = resolveChain(req.body.chainId);
+    } catch (error) {
+      return sendValidationError(res, [
+        fieldError("body", "chainId", "invalid_selector", error.message),
+      ]);
+    }
+
+    const challenge = createLoginChallenge({
+      address: req.body.address,
+      chainId: chain.chainId,
+    });
+    res.json({
+      success: true,
+      ...challenge,
+    });
+  } catch (error) {
+    console.error("Error creating sign-in nonce:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to create sign-in nonce",
+      details: error.message,
+    });
+  }
+});
+
+app.post("/api/auth/verify", readRateLimit, validate({ body: authVerifySchema }), async (req, res) => {
+  try {
+    if (!isWalletAuthEnabled()) {
+      return res.status(503).json({
+        success: false,
+        error: "Wallet sign-in is not enabled",
+        details: "Set AUTH_JWT_SECRET and AUTH_DOMAIN to enable it",
+      });
+    }
+
+    let session;
+    try {
+      session = await verifyLogin(client, {
+        message: req.body.message,
+        signature: req.body.signature,
+      });
+    } catch (error) {
+      return res.status(401).json({
+        success: false,
+        error: "Sign-in failed",
+        details: error.message,
+      });
+    }
+
+    res.json({
+      success: true,
+      tokenType: "Bearer",
+      ...session,
+    });
+  } catch (error) {
+    console.error("Error verifying sign-in:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to verify sign-in",
+      details: error.message,
+    });
+  }
+});
+
+// Wallet Session Middleware - a Bearer token from wallet sign-in identifies the
+// end user. It is accepted alongside an API key, or alone on wallet routes.
+const authenticateWallet = (req, res, next) => {
+  const authorization = req.headers.authorization;
+  if (!authorization) {
+    return next();
+  }
+
+  const [scheme, token] = authorization.split(" ");
+  const session = scheme === "Bearer" ? authenticateWalletToken(token) : null;
+  if (!session) {
+    return res.status(401).json({
+      success: false,
+      error: "Invalid wallet session",
+      message: "The bearer token is invalid, expired or revoked",
+    });
+  }
+
+  req.wallet = session;
+  next();
+};
+
+// API Key Middleware - Must run before every private route
+const validateApiKey = (req, res, next) => {
+  // Check for API key in headers
+  const apiKey = req.headers["x-api-key"];
+
+  // A signed-in wallet without an API key gets no scopes; only routes that
+  // accept wallet sessions let it through
+  if (!apiKey && req.wallet) {
+    req.apiKey = {
+      id: `wallet:${req.wallet.address}`,
+      name: req.wallet.address,
+      scopes: [],
+      allowedContracts: [],
+      wallet: true,
+    };
+    return next();
+  }
+
+  // If no API key is provided
+  if (!apiKey) {
+    return res.status(401).json({
+      success: false,
+      error: "API key is required",
+      message: "Please provide an API key in the 'x-api-key' header",
+    });
+  }
+
+  // If API key doesn't match any known key
+  const key = authenticateApiKey(apiKey);
+  if (!key) {
+    return res.status(403).json({
+      success: false,
+      error: "Invalid API key",
+      message: "The provided API key is not valid",
+    });
+  }
+
+  // If API key has been revoked
+  if (key.revoked) {
+    return res.status(403).json({
+      success: false,
+      error: "API key revoked",
+      message: "The provided API key has been revoked",
+    });
+  }
+
+  // Count the request against the key once the matched route is known
+  req.apiKey = key;
+  res.on("finish", () => {
+    const route = req.route ? req.baseUrl + req.route.path : "unmatched";
+    recordApiKeyUsage(key.id, `${req.method} ${route}`);
+  });
+
+  // If API key is valid, proceed
+  next();
+};
+
+// Scope Middleware - rejects keys that lack the scope a route needs. Routes
+// with allowWallet also accept a wallet session instead. Both are kept on the
+// middleware for the OpenAPI document.
+const requireScope = (scope, { allowWallet = false } = {}) =>
+  Object.assign(
+    (req, res, next) => {
+      if (!(allowWallet && req.apiKey.wallet) && !hasScope(req.apiKey, scope)) {
+        return res.status(403).json({
+          success: false,
+          error: "Insufficient scope",
+          message: `This endpoint requires the '${scope}' scope`,
+        });
+      }
+
+      next();
+    },
+    { scope, allowWallet }
+  );
+
+// Wallet Middleware - for routes about the signed-in wallet itself
+const requireWallet = Object.assign(
+  (req, res, next) => {
+    if (!req.wallet) {
+      return res.status(401).json({
+        success: false,
+        error: "Wallet session required",
+        message: "Sign in with POST /api/auth/verify and send 'Authorization: Bearer <token>'",
+      });
+    }
+
+    next();
+  },
+  { wallet: true }
+);
+
+// Owner Middleware - a signed-in wallet may only read its own NFTs
+const requireOwnWallet = (req, res, next) => {
+  const walletAddress = req.params.walletAddress || req.body?.walletAddress;
+
+  if (req.wallet && walletAddress?.toLowerCase() !== req.wallet.address.toLowerCase()) {
+    return res.status(403).json({
+      success: false,
+      error: "Wallet not allowed",
+      message: "A wallet session can only query the signed-in wallet",
+    });
+  }
+
+  next();
+};
+
+// Apply wallet session and API key validation to everything below
+app.use((req, res, next) => {
+  authenticateWallet(req, res, () => validateApiKey(req, res, next));
+});
+
+// Contract Target Middleware - resolves the chain/contract selector of a request
+const withContractTarget = (req, res, next) => {
+  const source = req.method === "GET" ? req.query : req.body || {};
+
+  try {
+    req.target = resolveContractTarget({
+      chain: source.chain,
+      contract: source.contract,
+    });
+  } catch (error) {
+    return sendValidationError(res, [
+      fieldError(
+        req.method === "GET" ? "query" : "body",
+        source.contract ? "contract" : "chain",
+        "invalid_selector",
+        error.message
+      ),
+    ]);
+  }
+
+  if (!isContractAllowed(req.apiKey, req.target)) {
+    return res.status(403).json({
+      success: false,
+      error: "Contract not allowed",
+      message: `This API key may not use contract ${req.target.alias}`,
+    });
+  }
+
+  next();
+};
+
+// Capability Middleware - rejects operations the selected contract does not
+// implement, before they fail on-chain with an opaque revert. Contracts whose
+// code cannot be read reliably (see getCapabilitySupport) are let through;
+// mints are still simulated by their preflight.
+const requireCapability = (capability, operation) => async (req, res, next) => {
+  let supported;
+  try {
+    supported = await getCapabilitySupport(
+      getNFTContract(client, req.target),
+      capability
+    );
+  } catch (error) {
+    // Detection is best effort; the route reports RPC failures itself
+    console.error("Capability detection error:", error);
+    return next();
+  }
+
+  if (supported === false) {
+    return res.status(400).json({
+      success: false,
+      error: `Contract does not support ${operation}`,
+      details: `Contract "${req.target.alias}" lacks the ${capability} capability (see GET /api/contract)`,
+    });
+  }
+
+  next();
+};
+
+// Minter Middleware - reports a signer without MINTER_ROLE by name, instead
+// of as a failed preflight or a reverted mint
+const requireMinter = async (req, res, next) => {
+  const signerId = req.body.signerId || getDefaultSignerId();
+  if (req.body.privateKey !== undefined || !signerId || !hasSigner(signerId)) {
+    // The route rejects key material and reports the unknown signer
+    return next();
+  }
+
+  let check;
+  try {
+    check = await getSignerMinterRole(client, signerId, req.target);
+  } catch (error) {
+    console.error("Minter role check error:", error);
+    // Queued mints check the role again when the job runs, retrying RPC
+    // errors; anything else would be sent without the check
+    if (req.body.async === true) {
+      return next();
+    }
+    return res.status(502).json({
+      success: false,
+      error: "Could not check the signer's minter role",
+      details: error.message,
+    });
+  }
+
+  if (check.minterRole === false) {
+    return res.status(422).json({
+      success: false,
+      error: "Signer is not a minter",
+      code: "not_minter",
+      details: `Signer "${signerId}" (${check.signer}) does not have MINTER_ROLE on contract "${req.target.alias}"; grant it with POST /api/admin/roles/MINTER_ROLE/grant`,
+      signer: check.signer,
+    });
+  }
+
+  next();
+};
+
+// Replays the stored outcome of mint requests retried with an Idempotency-Key
+const idempotency = createIdempotency();
+
+// Health check endpoint
+app.get("/health", (req, res) => {
+  res.json({
+    status: "healthy",
+    message: "API is functioning correctly",
+    timestamp: new Date().toISOString(),
+  });
+});
+
+// Notifies the caller's webhooks about a mint made in this request
+const emitMintEvent = (req, type, data) => {
+  emitWebhookEvent(type, req.apiKey.id, {
+    source: "api",
+    jobId: null,
+    transactionHash: null,
+    tokenId: null,
+    contract: req.target.address,
+    chainId: req.target.chainId,
+    requestedBy: req.wallet?.address ?? null,
+    error: null,
+    ...data,
+  });
+};
+
+// Keeps waiting for a mint that was mined but not yet confirmed when the
+// response was sent, and notifies the caller's webhooks once it settles
+const confirmMintInBackground = (req, { transactionHash, to, ...data }) => {
+  confirmMintTransaction(client, transactionHash, to, req.target)
+    .then(({ transactionHash: minedHash, tokenId }) =>
+      emitMintEvent(req, "mint.confirmed", {
+        ...data,
+        transactionHash: minedHash,
+        tokenId,
+        to,
+      })
+    )
+    .catch((error) =>
+      emitMintEvent(req, "mint.failed", {
+        ...data,
+        transactionHash,
+        to,
+        error: error.message,
+      })
+    );
+};
+
+// API Routes
+const router = express.Router();
+
+// Contract Info
+router.get("/contract", requireScope("read"), readRateLimit, validate({ query: contractQuerySchema }), withContractTarget, async (req, res) => {
+  try {
+    const contractInfo = await getContractInfo(client, req.target);
+    res.json({
+      success: true,
+      contract: contractInfo,
+      indexer: getIndexerStatus(req.target),
+    });
+  } catch (error) {
+    console.error("Error fetching contract info:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to fetch contract info",
+      details: error.message,
+    });
+  }
+});
+
+router.get("/contracts", requireScope("read"), readRateLimit, (req, res) => {
+  try {
+    const contracts = listContracts();
+    res.json({
+      success: true,
+      count: contracts.length,
+      contracts,
+    });
+  } catch (error) {
+    console.error("Error listing contracts:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to list contracts",
+      details: error.message,
+    });
+  }
+});
+
+// NFT Minting Routes
+router.post("/mint/text/prepare", requireScope("read"), readRateLimit, validate({ body: prepareMintSchema }), withContractTarget, async (req, res) => {
+  try {
+    const { text, description, template } = req.body;
+
+    const textError = validateTextForTemplate(text, template);
+    if (textError) {
+      return sendValidationError(res, [
+        fieldError("body", textError.field, textError.code, textError.message),
+      ]);
+    }
+
+    const result = await mintTextNFT(client, text, false, null, null, description, {
+      target: req.target,
+      template,
+    });
+
+    res.json({
+      success: true,
+      status: "prepared",
+      message: result.message,
+      contract: result.contract,
+      chainId: result.chainId,
+      metadata: result.tokenMetadata,
+      instructions: result.instructions,
+    });
+  } catch (error) {
+    console.error("Preparation error:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to prepare NFT",
+      details: error.message,
+    });
+  }
+});
+
+router.post("/mint/text/preview", requireScope("read"), readRateLimit, validate({ body: previewSchema }), (req, res) => {
+  try {
+    const { text, template, style = {} } = req.body;
+
+    let svg;
+    try {
+      svg = renderTextSvg(text, template || "default", style);
+    } catch (error) {
+      return sendValidationError(res, [
+        fieldError(
+          "body",
+          listTemplates().includes(template || "default") ? "style" : "template",
+          "invalid_value",
+          error.message
+        ),
+      ]);
+    }
+
+    res.type("image/svg+xml").send(svg);
+  } catch (error) {
+    console.error("Preview error:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to render preview",
+      details: error.message,
+    });
+  }
+});
+
+router.post("/mint/text/estimate", requireScope("mint"), readRateLimit, validate({ body: estimateMintSchema }), withContractTarget, async (req, res) => {
+  try {
+    const { text, toAddress, description, template } = req.body;
+    const signerId = req.body.signerId || getDefaultSignerId();
+
+    const textError = validateTextForTemplate(text, template);
+    if (textError) {
+      return sendValidationError(res, [
+        fieldError("body", textError.field, textError.code, textError.message),
+      ]);
+    }
+
+    if (!signerId || !hasSigner(signerId)) {
+      return sendValidationError(res, [
+        fieldError(
+          "body",
+          "signerId",
+          "unknown_signer",
+          signerId ? `Unknown signer: ${signerId}` : "Missing required field: signerId"
+        ),
+      ]);
+    }
+
+    const { ok, ...preflight } = await preflightTextNFTMint(
+      client,
+      [{ text, toAddress, description, template }],
+      signerId,
+      req.target
+    );
+
+    res.json({
+      success: true,
+      willSucceed: ok,
+      contract: req.target.address,
+      chainId: req.target.chainId,
+      signerId,
+      ...preflight,
+    });
+  } catch (error) {
+    console.error("Estimation error:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to estimate mint",
+      details: error.message,
+    });
+  }
+});
+
+router.post("/mint/text", requireScope("mint"), mintRateLimit, validate({ body: mintSchema }), idempotency, withContractTarget, requireCapability("mintTo", "minting"), requireMinter, async (req, res) => {
+  try {
+    const { text, privateKey, toAddress, description, template, storage, fees, async } =
+      req.body;
+    const signerId = req.body.signerId || getDefaultSignerId();
+
+    // Raw key material must never be sent over HTTP
+    if (privateKey) {
+      return res.status(400).json({
+        success: false,
+        error: "privateKey is no longer accepted",
+        details: "Use signerId to reference a server-managed signer instead",
+      });
+    }
+
+    const textError = validateTextForTemplate(text, template);
+    if (textError) {
+      return sendValidationError(res, [
+        fieldError("body", textError.field, textError.code, textError.message),
+      ]);
+    }
+
+    if (!signerId || !hasSigner(signerId)) {
+      return sendValidationError(res, [
+        fieldError(
+          "body",
+          "signerId",
+          "unknown_signer",
+          signerId ? `Unknown signer: ${signerId}` : "Missing required field: signerId"
+        ),
+      ]);
+    }
+
+    // Queue the mint and return immediately; clients poll the job for status
+    if (async === true) {
+      const job = enqueueMintJob({
+        text,
+        signerId,
+        toAddress,
+        description,
+        template,
+        storage,
+        fees,
+        target: req.target,
+        apiKeyId: req.apiKey.id,
+        requestedBy: req.wallet?.address ?? null,
+      });
+      return res.status(202).json({
+        success: true,
+        status: job.status,
+        jobId: job.id,
+        statusUrl: `/api/mint/jobs/${job.id}`,
+      });
+    }
+
+    console.log("Attempting to mint NFT with text:", text);
+
+    // Call mintTextNFT with performMint=true to actually mint
+    let transactionHash = null;
+    let result;
+    try {
+      result = await mintTextNFT(client, text, true, signerId, toAddress, description, {
+        target: req.target,
+        template,
+        storage,
+        fees,
+        confirmationWaitMs: getConfirmationWaitMs(),
+        onSending: () => markBroadcast(res),
+        onSubmitted: (hash) => {
+          transactionHash = hash;
+          emitMintEvent(req, "mint.submitted", { transactionHash, to: toAddress });
+        },
+      });
+    } catch (error) {
+      emitMintEvent(req, "mint.failed", {
+        transactionHash,
+        to: toAddress,
+        error: error.message,
+      });
+      throw error;
+    }
+
+    if (result.status === "rejected") {
+      emitMintEvent(req, "mint.failed", {
+        to: toAddress,
+        error: result.preflight.reasons.map((reason) => reason.message).join("; "),
+      });
+      return res.status(422).json({
+        success: false,
+        error: "Mint would fail",
+        code: "preflight_failed",
+        details: result.preflight.reasons,
+        preflight: result.preflight,
+      });
+    }
+
+    // Webhooks only hear of the mint as confirmed once it has enough confirmations
+    if (result.status === "confirmed") {
+      emitMintEvent(req, "mint.confirmed", {
+        transactionHash: result.transactionHash,
+        tokenId: result.tokenId,
+        to: result.to,
+      });
+    } else if (result.status === "submitted") {
+      confirmMintInBackground(req, {
+        transactionHash: result.transactionHash,
+        to: result.to,
+      });
+    } else {
+      return res.status(500).json({
+        success: false,
+        error: "Failed to mint NFT",
+        details: "Unexpected response from minting function",
+      });
+    }
+
+    res.status(result.status === "confirmed" ? 200 : 202).json({
+      success: true,
+      status: result.status,
+      tokenId: result.tokenId,
+      transactionHash: result.transactionHash,
+      confirmations: result.confirmations,
+      requiredConfirmations: result.requiredConfirmations,
+      statusUrl: `/api/tx/${result.transactionHash}`,
+      to: result.to,
+      requestedBy: req.wallet?.address ?? null,
+      contract: req.target.address,
+      chainId: req.target.chainId,
+      tokenUri: result.tokenUri,
+      metadata: result.metadata,
+    });
+  } catch (error) {
+    console.error("Minting error:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to mint NFT",
+      details: error.message,
+    });
+  }
+});
+
+router.post("/mint/text/batch", requireScope("mint"), mintRateLimit, validate({ body: batchMintSchema }), idempotency, withContractTarget, requireCapability("mintTo", "minting"), requireMinter, async (req, res) => {
+  try {
+    const { items, privateKey, storage, fees } = req.body;
+    const signerId = req.body.signerId || getDefaultSignerId();
+    const maxItems = Number(process.env.MINT_BATCH_MAX_ITEMS) || 500;
+
+    if (privateKey) {
+      return res.status(400).json({
+        success: false,
+        error: "privateKey is no longer accepted",
+        details: "Use signerId to reference a server-managed signer instead",
+      });
+    }
+
+    if (items.length > maxItems) {
+      return sendValidationError(res, [
+        fieldError(
+          "body",
+          "items",
+          "too_many_items",
+          `Too many items: ${items.length}. Maximum is ${maxItems}.`
+        ),
+      ]);
+    }
+
+    if (!signerId || !hasSigner(signerId)) {
+      return sendValidationError(res, [
+        fieldError(
+          "body",
+          "signerId",
+          "unknown_signer",
+          `Unknown or missing signer: ${signerId}`
+        ),
+      ]);
+    }
+
+    // Check every item against its template before minting anything
+    const invalidItems = [];
+    items.forEach((item, index) => {
+      const textError = validateTextForTemplate(item.text, item.template);
+      if (textError) {
+        invalidItems.push(
+          fieldError(
+            "body",
+            `items[${index}].${textError.field}`,
+            textError.code,
+            textError.message
+          )
+        );
+      }
+    });
+
+    if (invalidItems.length > 0) {
+      return sendValidationError(res, invalidItems);
+    }
+
+    // Check the whole batch can be paid for before sending any of it
+    if (isPreflightEnabled()) {
+      const preflight = await preflightTextNFTMint(client, items, signerId, req.target);
+      if (!preflight.ok) {
+        return res.status(422).json({
+          success: false,
+          error: "Batch would fail",
+          code: "preflight_failed",
+          details: preflight.reasons,
+          preflight,
+        });
+      }
+    }
+
+    console.log(`Attempting to mint batch of ${items.length} NFTs`);
+
+    const results = await mintTextNFTBatch(
+      client,
+      items,
+      signerId,
+      req.target,
+      storage,
+      (index, transactionHash) =>
+        emitMintEvent(req, "mint.submitted", {
+          source: "batch",
+          batchIndex: index,
+          transactionHash,
+          to: items[index].toAddress,
+        }),
+      fees,
+      getConfirmationWaitMs(),
+      () => markBroadcast(res)
+    );
+    for (const result of results) {
+      if (result.status === "submitted") {
+        confirmMintInBackground(req, {
+          source: "batch",
+          batchIndex: result.index,
+          transactionHash: result.transactionHash,
+          to: result.to,
+        });
+        continue;
+      }
+
+      emitMintEvent(req, result.success ? "mint.confirmed" : "mint.failed", {
+        source: "batch",
+        batchIndex: result.index,
+        transactionHash: result.transactionHash || null,
+        tokenId: result.tokenId || null,
+        to: result.to,
+        error: result.error || null,
+      });
+    }
+    const minted = results.filter((result) => result.success).length;
+    const confirmed = results.filter((result) => result.status === "confirmed").length;
+    const failed = results.length - minted;
+
+    let status = "partial";
+    if (minted === 0) {
+      status = "failed";
+    } else if (failed === 0) {
+      status = confirmed === minted ? "confirmed" : "submitted";
+    }
+
+    res.status(minted === 0 ? 500 : 200).json({
+      success: failed === 0,
+      status,
+      total: results.length,
+      minted,
+      confirmed,
+      failed,
+      requestedBy: req.wallet?.address ?? null,
+      contract: req.target.address,
+      chainId: req.target.chainId,
+      results,
+    });
+  } catch (error) {
+    console.error("Batch minting error:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to mint NFT batch",
+      details: error.message,
+    });
+  }
+});
+
+router.get("/mint/jobs/:id", requireScope("read"), readRateLimit, validate({ params: jobParamsSchema }), (req, res) => {
+  try {
+    const job = getMintJob(req.params.id);
+
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        error: "Mint job not found",
+      });
+    }
+
+    res.json({
+      success: true,
+      job,
+    });
+  } catch (error) {
+    console.error("Error fetching mint job:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to fetch mint job",
+      details: error.message,
+    });
+  }
+});
+
+router.get("/tx/:hash", requireScope("read"), readRateLimit, validate({ params: txParamsSchema, query: contractQuerySchema }), withContractTarget, async (req, res) => {
+  try {
+    const transaction = await getTransactionStatus(client, req.params.hash, req.target);
+
+    if (!transaction) {
+      return res.status(404).json({
+        success: false,
+        error: "Transaction not found",
+      });
+    }
+
+    res.json({
+      success: true,
+      transaction,
+    });
+  } catch (error) {
+    console.error("Error fetching transaction status:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to fetch transaction status",
+      details: error.message,
+    });
+  }
+});
+
+// NFT Query Routes - More secure implementation
+router.post("/nfts", requireScope("read", { allowWallet: true }), readRateLimit, validate({ body: walletNFTsSchema }), requireOwnWallet, withContractTarget, async (req, res) => {
+  try {
+    const { walletAddress, cursor, limit = 50 } = req.body;
+    const maxLimit = Number(process.env.NFT_PAGE_MAX_LIMIT) || 100;
+
+    if (limit > maxLimit) {
+      return sendValidationError(res, [
+        fieldError("body", "limit", "too_large", `Must be at most ${maxLimit}`),
+      ]);
+    }
+
+    let offset = 0;
+    if (cursor !== undefined && cursor !== null) {
+      try {
+        offset = decodeCursor(cursor);
+      } catch (error) {
+        return sendValidationError(res, [
+          fieldError("body", "cursor", "invalid_cursor", error.message),
+        ]);
+      }
+    }
+
+    const { nfts, balance, nextOffset, source } = await getWalletNFTs(
+      client,
+      walletAddress,
+      req.target,
+      { offset, limit }
+    );
+
+    res.json({
+      success: true,
+      wallet: walletAddress,
+      contract: req.target.address,
+      chainId: req.target.chainId,
+      total: balance,
+      count: nfts.length,
+      nfts,
+      nextCursor: nextOffset === null ? null : encodeCursor(nextOffset),
+      source,
+    });
+  } catch (error) {
+    console.error("Error fetching NFTs:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to fetch NFTs",
+      details: error.message,
+    });
+  }
+});
+
+// Token Routes - served from the Transfer event index
+router.get("/tokens/:tokenId/history", requireScope("read"), readRateLimit, validate({ params: tokenParamsSchema, query: contractQuerySchema }), withContractTarget, (req, res) => {
+  try {
+    const { tokenId } = req.params;
+
+    if (!isIndexedContract(req.target)) {
+      return res.status(400).json({
+        success: false,
+        error: `Contract "${req.target.alias}" is not indexed. Configure a startBlock to enable token history.`,
+      });
+    }
+
+    const history = getTokenHistory(req.target, BigInt(tokenId).toString());
+    if (!history) {
+      return res.status(404).json({
+        success: false,
+        error: "Token not found in the index",
+        indexer: getIndexerStatus(req.target),
+      });
+    }
+
+    res.json({
+      success: true,
+      contract: req.target.address,
+      chainId: req.target.chainId,
+      ...history,
+    });
+  } catch (error) {
+    console.error("Error fetching token history:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to fetch token history",
+      details: error.message,
+    });
+  }
+});
+
+// Token Lookup Routes - read from the chain, for when only the token ID is known
+router.get("/tokens/:tokenId", requireScope("read"), readRateLimit, validate({ params: tokenParamsSchema, query: contractQuerySchema }), withContractTarget, async (req, res) => {
+  try {
+    const tokenId = BigInt(req.params.tokenId).toString();
+
+    const token = await getToken(client, tokenId, req.target);
+    if (!token) {
+      return res.status(404).json({
+        success: false,
+        error: "Token not found",
+        details: `Token ${tokenId} does not exist or has been burned`,
+      });
+    }
+
+    res.json({
+      success: true,
+      contract: req.target.address,
+      chainId: req.target.chainId,
+      ...token,
+    });
+  } catch (error) {
+    console.error("Error fetching token:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to fetch token",
+      details: error.message,
+    });
+  }
+});
+
+router.post("/tokens/lookup", requireScope("read"), readRateLimit, validate({ body: tokenLookupSchema }), withContractTarget, async (req, res) => {
+  try {
+    const maxIds = Number(process.env.TOKEN_LOOKUP_MAX_IDS) || 100;
+    const tokenIds = req.body.tokenIds.map((tokenId) => BigInt(tokenId).toString());
+
+    if (tokenIds.length > maxIds) {
+      return sendValidationError(res, [
+        fieldError(
+          "body",
+          "tokenIds",
+          "too_many_items",
+          `Too many token IDs: ${tokenIds.length}. Maximum is ${maxIds}.`
+        ),
+      ]);
+    }
+
+    const tokens = await getTokens(client, tokenIds, req.target);
+
+    res.json({
+      success: true,
+      contract: req.target.address,
+      chainId: req.target.chainId,
+      count: tokens.length,
+      found: tokens.filter((token) => token.found).length,
+      tokens,
+    });
+  } catch (error) {
+    console.error("Error looking up tokens:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to look up tokens",
+      details: error.message,
+    });
+  }
+});
+
+// Checks the signer of a transfer or burn, like the mint routes do
+const validateTokenSigner = (req, res) => {
+  const signerId = req.body.signerId || getDefaultSignerId();
+
+  // Raw key material must never be sent over HTTP
+  if (req.body.privateKey) {
+    res.status(400).json({
+      success: false,
+      error: "privateKey is no longer accepted",
+      details: "Use signerId to reference a server-managed signer instead",
+    });
+    return null;
+  }
+
+  if (!signerId || !hasSigner(signerId)) {
+    sendValidationError(res, [
+      fieldError(
+        "body",
+        "signerId",
+        "unknown_signer",
+        signerId ? `Unknown signer: ${signerId}` : "Missing required field: signerId"
+      ),
+    ]);
+    return null;
+  }
+
+  return signerId;
+};
+
+// Responds to a transfer or burn in the shape of a mint response: 200 once
+// confirmed, 202 once mined but not yet confirmed
+const sendTokenTransactionResult = (req, res, result) => {
+  if (result.status === "not_found") {
+    return res.status(404).json({
+      success: false,
+      error: "Token not found",
+      details: `Token ${result.tokenId} does not exist or has been burned`,
+    });
+  }
+  if (result.status === "not_owner") {
+    return res.status(409).json({
+      success: false,
+      error: "Token is not held by the signer",
+      details: `Token ${result.tokenId} is owned by ${result.owner}, not by signer ${result.signer}`,
+    });
+  }
+
+  res.status(result.status === "confirmed" ? 200 : 202).json({
+    success: true,
+    status: result.status,
+    tokenId: result.tokenId,
+    transactionHash: result.transactionHash,
+    confirmations: result.confirmations,
+    requiredConfirmations: result.requiredConfirmations,
+    statusUrl: `/api/tx/${result.transactionHash}`,
+    from: result.from,
+    to: result.to,
+    requestedBy: req.wallet?.address ?? null,
+    contract: req.target.address,
+    chainId: req.target.chainId,
+  });
+};
+
+// Custodial Token Routes - move or destroy tokens held by a server-managed signer
+router.post("/tokens/:tokenId/transfer", requireScope("mint"), mintRateLimit, validate({ params: tokenParamsSchema, body: transferTokenSchema }), idempotency, withContractTarget, requireCapability("erc721", "token transfers"), async (req, res) => {
+  try {
+    const { toAddress, fees } = req.body;
+    const tokenId = BigInt(req.params.tokenId).toString();
+
+    const signerId = validateTokenSigner(req, res);
+    if (!signerId) {
+      return;
+    }
+
+    if (toAddress === ZERO_ADDRESS) {
+      return sendValidationError(res, [
+        fieldError(
+          "body",
+          "toAddress",
+          "zero_address",
+          "Cannot transfer to the zero address; use the burn route instead"
+        ),
+      ]);
+    }
+
+    const result = await transferNFT(client, tokenId, toAddress, signerId, {
+      target: req.target,
+      fees,
+      confirmationWaitMs: getConfirmationWaitMs(),
+      onSending: () => markBroadcast(res),
+    });
+    sendTokenTransactionResult(req, res, result);
+  } catch (error) {
+    console.error("Transfer error:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to transfer NFT",
+      details: error.message,
+    });
+  }
+});
+
+router.post("/tokens/:tokenId/burn", requireScope("mint"), mintRateLimit, validate({ params: tokenParamsSchema, body: burnTokenSchema }), idempotency, withContractTarget, requireCapability("burn", "burning"), async (req, res) => {
+  try {
+    const tokenId = BigInt(req.params.tokenId).toString();
+
+    const signerId = validateTokenSigner(req, res);
+    if (!signerId) {
+      return;
+    }
+
+    const result = await burnNFT(client, tokenId, signerId, {
+      target: req.target,
+      fees: req.body.fees,
+      confirmationWaitMs: getConfirmationWaitMs(),
+      onSending: () => markBroadcast(res),
+    });
+    sendTokenTransactionResult(req, res, result);
+  } catch (error) {
+    console.error("Burn error:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to burn NFT",
+      details: error.message,
+    });
+  }
+});
+
+// Metadata Update Route - rewrites a text NFT on contracts with setTokenURI
+router.patch("/tokens/:tokenId/metadata", requireScope("mint"), mintRateLimit, validate({ params: tokenParamsSchema, body: updateMetadataSchema }), idempotency, withContractTarget, requireCapability("setTokenURI", "metadata updates"), async (req, res) => {
+  try {
+    const { text, description, template, storage, fees } = req.body;
+    const tokenId = BigInt(req.params.tokenId).toString();
+
+    const signerId = validateTokenSigner(req, res);
+    if (!signerId) {
+      return;
+    }
+
+    const textError = validateTextForTemplate(text, template);
+    if (textError) {
+      return sendValidationError(res, [
+        fieldError("body", textError.field, textError.code, textError.message),
+      ]);
+    }
+
+    const result = await updateTextNFTMetadata(client, tokenId, text, signerId, {
+      target: req.target,
+      description,
+      template,
+      storage,
+      fees,
+      confirmationWaitMs: getConfirmationWaitMs(),
+      onSending: () => markBroadcast(res),
+    });
+
+    if (result.status === "not_found") {
+      return res.status(404).json({
+        success: false,
+        error: "Token not found",
+        details: `Token ${tokenId} does not exist or has been burned`,
+      });
+    }
+    if (result.status === "rejected") {
+      return res.status(422).json({
+        success: false,
+        error: "Metadata update would fail",
+        details: result.error,
+      });
+    }
+
+    res.status(result.status === "confirmed" ? 200 : 202).json({
+      success: true,
+      status: result.status,
+      tokenId: result.tokenId,
+      transactionHash: result.transactionHash,
+      confirmations: result.confirmations,
+      requiredConfirmations: result.requiredConfirmations,
+      statusUrl: `/api/tx/${result.transactionHash}`,
+      revision: result.revision,
+      metadataUpdateEvent: result.metadataUpdateEvent,
+      requestedBy: req.wallet?.address ?? null,
+      contract: req.target.address,
+      chainId: req.target.chainId,
+      tokenUri: result.tokenUri,
+      metadata: result.metadata,
+    });
+  } catch (error) {
+    console.error("Metadata update error:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to update NFT metadata",
+      details: error.message,
+    });
+  }
+});
+
+// Keep the old route for backward compatibility but mark it as deprecated
+router.get("/nfts/:walletAddress", requireScope("read", { allowWallet: true }), readRateLimit, validate({ params: walletParamsSchema, query: contractQuerySchema }), requireOwnWallet, withContractTarget, async (req, res) => {
+  // Add deprecation notice in header
+  res.setHeader(
+    "X-Deprecated-API",
+    "This endpoint is deprecated. Please use POST /api/nfts instead."
+  );
 
-  // If no API key is provided
-  if (!apiKey) {
-    return res.status(401).json({
+  try {
+    const { walletAddress } = req.params;
+
+    // The legacy route still returns every token in one response
+    const { nfts } = await getWalletNFTs(client, walletAddress, req.target);
+    res.json({
+      success: true,
+      deprecated: true,
+      message:
+        "This endpoint is deprecated. Please use POST /api/nfts instead.",
+      wallet: walletAddress,
+      contract: req.target.address,
+      chainId: req.target.chainId,
+      count: nfts.length,
+      nfts,
+    });
+  } catch (error) {
+    console.error("Error fetching NFTs:", error);
+    res.status(500).json({
       success: false,
-      error: "API key is required",
-      message: "Please provide an API key in the 'x-api-key' header",
+      error: "Failed to fetch NFTs",
+      details: error.message,
     });
   }
+});
 
-  // If API key doesn't match
-  if (apiKey !== process.env.SERVER_API_KEY) {
-    return res.status(403).json({
+// Wallet Session Routes
+router.get("/auth/session", requireWallet, readRateLimit, (req, res) => {
+  try {
+    const { address, chainId, expiresAt } = req.wallet;
+    res.json({
+      success: true,
+      session: { address, chainId, expiresAt },
+    });
+  } catch (error) {
+    console.error("Error fetching wallet session:", error);
+    res.status(500).json({
       success: false,
-      error: "Invalid API key",
-      message: "The provided API key is not valid",
+      error: "Failed to fetch wallet session",
+      details: error.message,
     });
   }
-
-  // If API key is valid, proceed
-  next();
-};
-
-// Apply API key validation as the first middleware
-app.use((req, res, next) => {
-  validateApiKey(req, res, next);
 });
 
-// Other middleware
-app.use(helmet());
-app.use(cors());
-app.use(express.json());
-
-// Health check endpoint
-app.get("/health", (req, res) => {
-  res.json({
-    status: "healthy",
-    message: "API is functioning correctly",
-    timestamp: new Date().toISOString(),
-  });
+router.post("/auth/logout", requireWallet, readRateLimit, (req, res) => {
+  try {
+    revokeWalletSession(req.wallet);
+    res.json({
+      success: true,
+      message: "Signed out",
+    });
+  } catch (error) {
+    console.error("Error signing out:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to sign out",
+      details: error.message,
+    });
+  }
 });
 
-// API Routes
-const router = express.Router();
-
-// Contract Info
-router.get("/contract", async (req, res) => {
+// Signer Routes
+router.get("/signers", requireScope("mint"), readRateLimit, (req, res) => {
   try {
-    const contractInfo = await getContractInfo(client);
+    const signers = listSigners();
     res.json({
       success: true,
-      contract: contractInfo,
+      count: signers.length,
+      signers,
     });
   } catch (error) {
-    console.error("Error fetching contract info:", error);
+    console.error("Error listing signers:", error);
     res.status(500).json({
       success: false,
-      error: "Failed to fetch contract info",
+      error: "Failed to list signers",
       details: error.message,
     });
   }
 });
 
-// NFT Minting Routes
-router.post("/mint/text/prepare", async (req, res) => {
+// Webhook Routes - each API key manages the endpoints for its own mints
+const canManageWebhook = (req, endpoint) =>
+  endpoint !== null &&
+  (endpoint.apiKeyId === req.apiKey.id || hasScope(req.apiKey, "admin"));
+
+router.post("/webhooks", requireScope("mint"), readRateLimit, validate({ body: createWebhookSchema }), async (req, res) => {
   try {
-    const { text, description } = req.body;
+    const { url, events = WEBHOOK_EVENTS, description } = req.body;
 
-    if (!text) {
+    const urlError = await checkWebhookUrl(url);
+    if (urlError) {
       return res.status(400).json({
         success: false,
-        error: "Missing required field: text",
+        error: "Webhook URL is not allowed",
+        details: urlError,
       });
     }
 
-    const result = await mintTextNFT(client, text, false, null, null, description);
+    const endpoint = createWebhookEndpoint({
+      url: new URL(url).toString(),
+      events,
+      description,
+      apiKeyId: req.apiKey.id,
+    });
 
-    res.json({
+    res.status(201).json({
       success: true,
-      status: "prepared",
-      message: result.message,
-      contract: result.contract,
-      metadata: result.tokenMetadata,
-      instructions: result.instructions,
+      message: "Store this signing secret now; it cannot be retrieved again",
+      webhook: endpoint,
     });
   } catch (error) {
-    console.error("Preparation error:", error);
+    console.error("Error creating webhook:", error);
     res.status(500).json({
       success: false,
-      error: "Failed to prepare NFT",
+      error: "Failed to create webhook",
       details: error.message,
     });
   }
 });
 
-router.post("/mint/text", async (req, res) => {
+router.get("/webhooks", requireScope("mint"), readRateLimit, (req, res) => {
   try {
-    const { text, privateKey, toAddress, description } = req.body;
+    const webhooks = listWebhookEndpoints(
+      hasScope(req.apiKey, "admin") ? null : req.apiKey.id
+    );
+    res.json({
+      success: true,
+      count: webhooks.length,
+      webhooks,
+    });
+  } catch (error) {
+    console.error("Error listing webhooks:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to list webhooks",
+      details: error.message,
+    });
+  }
+});
 
-    if (!text) {
-      return res.status(400).json({
+router.delete("/webhooks/:id", requireScope("mint"), readRateLimit, validate({ params: webhookParamsSchema }), (req, res) => {
+  try {
+    if (!canManageWebhook(req, getWebhookEndpoint(req.params.id))) {
+      return res.status(404).json({
         success: false,
-        error: "Missing required field: text",
+        error: "Webhook not found",
       });
     }
 
-    if (!privateKey || privateKey.trim() === "") {
-      return res.status(400).json({
-        success: false,
-        error: "Missing required field: privateKey",
-      });
-    }
+    res.json({
+      success: true,
+      webhook: deleteWebhookEndpoint(req.params.id),
+    });
+  } catch (error) {
+    console.error("Error deleting webhook:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to delete webhook",
+      details: error.message,
+    });
+  }
+});
 
-    if (!toAddress || toAddress.trim() === "") {
-      return res.status(400).json({
+router.get("/webhooks/:id/deliveries", requireScope("mint"), readRateLimit, validate({ params: webhookParamsSchema, query: deliveriesQuerySchema }), (req, res) => {
+  try {
+    if (!canManageWebhook(req, getWebhookEndpoint(req.params.id))) {
+      return res.status(404).json({
         success: false,
-        error: "Missing required field: toAddress (wallet address)",
+        error: "Webhook not found",
       });
     }
 
-    console.log("Attempting to mint NFT with text:", text);
+    const { limit = 50 } = req.query;
+    const deliveries = listWebhookDeliveries(req.params.id, limit);
+    res.json({
+      success: true,
+      count: deliveries.length,
+      deliveries,
+    });
+  } catch (error) {
+    console.error("Error listing webhook deliveries:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to list webhook deliveries",
+      details: error.message,
+    });
+  }
+});
 
-    // Call mintTextNFT with performMint=true to actually mint
-    const result = await mintTextNFT(client, text, true, privateKey, toAddress, description);
+router.post(
+  "/webhooks/:id/deliveries/:deliveryId/replay",
+  requireScope("mint"),
+  readRateLimit,
+  validate({ params: webhookParamsSchema }),
+  (req, res) => {
+    try {
+      const delivery = canManageWebhook(req, getWebhookEndpoint(req.params.id))
+        ? replayWebhookDelivery(req.params.id, req.params.deliveryId)
+        : null;
+
+      if (!delivery) {
+        return res.status(404).json({
+          success: false,
+          error: "Webhook delivery not found",
+        });
+      }
 
-    if (result.status === "minted") {
-      res.json({
+      res.status(202).json({
         success: true,
-        status: "minted",
-        tokenId: result.tokenId,
-        transactionHash: result.transactionHash,
-        to: result.to,
-        metadata: result.metadata,
+        delivery,
       });
-    } else {
+    } catch (error) {
+      console.error("Error replaying webhook delivery:", error);
       res.status(500).json({
         success: false,
-        error: "Failed to mint NFT",
-        details: "Unexpected response from minting function",
+        error: "Failed to replay webhook delivery",
+        details: error.message,
       });
     }
+  }
+);
+
+// Admin Routes - API key management
+router.post("/admin/keys", requireScope("admin"), readRateLimit, validate({ body: createApiKeySchema }), (req, res) => {
+  try {
+    const { name, scopes, allowedContracts = [] } = req.body;
+
+    // Every allowed contract must exist in the registry
+    const unknownContracts = [];
+    allowedContracts.forEach((contract, index) => {
+      try {
+        resolveContractTarget({ contract });
+      } catch (error) {
+        unknownContracts.push(
+          fieldError("body", `allowedContracts[${index}]`, "unknown_contract", error.message)
+        );
+      }
+    });
+
+    if (unknownContracts.length > 0) {
+      return sendValidationError(res, unknownContracts);
+    }
+
+    const key = createApiKey({ name: name.trim(), scopes, allowedContracts });
+
+    res.status(201).json({
+      success: true,
+      message: "Store this API key now; it cannot be retrieved again",
+      key,
+    });
   } catch (error) {
-    console.error("Minting error:", error);
+    console.error("Error creating API key:", error);
     res.status(500).json({
       success: false,
-      error: "Failed to mint NFT",
+      error: "Failed to create API key",
       details: error.message,
     });
   }
 });
 
-// NFT Query Routes - More secure implementation
-router.post("/nfts", async (req, res) => {
+router.get("/admin/keys", requireScope("admin"), readRateLimit, (req, res) => {
   try {
-    const { walletAddress } = req.body;
+    const keys = listApiKeys();
+    res.json({
+      success: true,
+      count: keys.length,
+      keys,
+    });
+  } catch (error) {
+    console.error("Error listing API keys:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to list API keys",
+      details: error.message,
+    });
+  }
+});
 
-    if (!walletAddress) {
-      return res.status(400).json({
-        success: false,
-        error: "Missing required field: walletAddress",
-      });
-    }
+router.get("/admin/keys/:id/usage", requireScope("admin"), readRateLimit, validate({ params: apiKeyParamsSchema }), (req, res) => {
+  try {
+    const key = getApiKeyUsage(req.params.id);
 
-    // Validate the Ethereum address format (basic validation)
-    const ethAddressRegex = /^0x[a-fA-F0-9]{40}$/;
-    if (!ethAddressRegex.test(walletAddress)) {
-      return res.status(400).json({
+    if (!key) {
+      return res.status(404).json({
         success: false,
-        error: "Invalid wallet address format",
+        error: "API key not found",
       });
     }
 
-    const nfts = await getWalletNFTs(client, walletAddress);
-
-    // Add rate limiting info in headers
-    res.setHeader("X-RateLimit-Limit", "100");
-    res.setHeader("X-RateLimit-Remaining", "99");
-
     res.json({
       success: true,
-      wallet:
-        walletAddress.substring(0, 6) +
-        "..." +
-        walletAddress.substring(walletAddress.length - 4), // Mask the full address in response
-      count: nfts.length,
-      nfts,
+      key,
     });
   } catch (error) {
-    console.error("Error fetching NFTs:", error);
+    console.error("Error fetching API key usage:", error);
     res.status(500).json({
       success: false,
-      error: "Failed to fetch NFTs",
+      error: "Failed to fetch API key usage",
       details: error.message,
     });
   }
 });
 
-// Keep the old route for backward compatibility but mark it as deprecated
-router.get("/nfts/:walletAddress", async (req, res) => {
-  // Add deprecation notice in header
-  res.setHeader(
-    "X-Deprecated-API",
-    "This endpoint is deprecated. Please use POST /api/nfts instead."
-  );
-
+router.post("/admin/keys/:id/revoke", requireScope("admin"), readRateLimit, validate({ params: apiKeyParamsSchema }), (req, res) => {
   try {
-    const { walletAddress } = req.params;
+    const key = revokeApiKey(req.params.id);
 
-    if (!walletAddress) {
-      return res.status(400).json({
+    if (!key) {
+      return res.status(404).json({
         success: false,
-        error: "Missing required parameter: walletAddress",
+        error: "API key not found",
       });
     }
 
-    // Validate the Ethereum address format
-    const ethAddressRegex = /^0x[a-fA-F0-9]{40}$/;
-    if (!ethAddressRegex.test(walletAddress)) {
-      return res.status(400).json({
-        success: false,
-        error: "Invalid wallet address format",
-      });
-    }
+    res.json({
+      success: true,
+      key,
+    });
+  } catch (error) {
+    console.error("Error revoking API key:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to revoke API key",
+      details: error.message,
+    });
+  }
+});
 
-    const nfts = await getWalletNFTs(client, walletAddress);
+router.get("/admin/transactions", requireScope("admin"), readRateLimit, validate({ query: transactionsQuerySchema }), (req, res) => {
+  try {
+    const { status = null, limit = 100 } = req.query;
+    const transactions = listTransactions({ status, limit });
     res.json({
       success: true,
-      deprecated: true,
-      message:
-        "This endpoint is deprecated. Please use POST /api/nfts instead.",
-      wallet:
-        walletAddress.substring(0, 6) +
-        "..." +
-        walletAddress.substring(walletAddress.length - 4),
-      count: nfts.length,
-      nfts,
+      count: transactions.length,
+      transactions,
     });
   } catch (error) {
-    console.error("Error fetching NFTs:", error);
+    console.error("Error listing transactions:", error);
     res.status(500).json({
       success: false,
-      error: "Failed to fetch NFTs",
+      error: "Failed to list transactions",
       details: error.message,
     });
   }
 });
 
-// Utility Routes
-router.post("/test/private-key", async (req, res) => {
+// Admin Routes - AccessControl roles of the selected contract
+
+// Resolves the role named in the path, or reports it as unknown
+const resolveRoleParam = (req, res) => {
+  const role = resolveRole(req.params.role);
+  if (!role) {
+    sendValidationError(res, [
+      fieldError(
+        "params",
+        "role",
+        "unknown_role",
+        `Unknown role: ${req.params.role}. Use a role ID for roles other than DEFAULT_ADMIN_ROLE, MINTER_ROLE, TRANSFER_ROLE and METADATA_ROLE.`
+      ),
+    ]);
+  }
+  return role;
+};
+
+router.get("/admin/roles", requireScope("admin"), readRateLimit, validate({ query: contractQuerySchema }), withContractTarget, requireCapability("accessControlEnumerable", "listing role holders"), async (req, res) => {
   try {
-    const { privateKey } = req.body;
+    const roles = await getRoleHolders(client, req.target);
+    res.json({
+      success: true,
+      contract: req.target.address,
+      chainId: req.target.chainId,
+      roles,
+    });
+  } catch (error) {
+    console.error("Error listing role holders:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to list role holders",
+      details: error.message,
+    });
+  }
+});
 
-    if (!privateKey) {
-      return res.status(400).json({
-        success: false,
-        error: "Missing required field: privateKey",
-      });
+router.get("/admin/roles/:role/:address", requireScope("admin"), readRateLimit, validate({ params: roleHolderParamsSchema, query: contractQuerySchema }), withContractTarget, requireCapability("accessControl", "roles"), async (req, res) => {
+  try {
+    const role = resolveRoleParam(req, res);
+    if (!role) {
+      return;
     }
 
-    const privateKeyStr = privateKey.trim();
+    const hasRole = await checkRole(client, role.id, req.params.address, req.target);
+    res.json({
+      success: true,
+      role: role.name,
+      roleId: role.id,
+      address: req.params.address,
+      hasRole,
+      contract: req.target.address,
+      chainId: req.target.chainId,
+    });
+  } catch (error) {
+    console.error("Error checking role:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to check role",
+      details: error.message,
+    });
+  }
+});
 
-    if (privateKeyStr.length !== 64 && privateKeyStr.length !== 66) {
-      return res.status(400).json({
-        success: false,
-        error: `Invalid private key length: ${privateKeyStr.length}. Expected 64 or 66 characters.`,
-      });
+// Grants or revokes a role from a server-managed signer holding its admin role
+const changeRole = (grant) => async (req, res) => {
+  try {
+    const role = resolveRoleParam(req, res);
+    if (!role) {
+      return;
     }
 
-    const formattedPrivateKey = privateKeyStr.startsWith("0x")
-      ? privateKeyStr.substring(2)
-      : privateKeyStr;
+    const signerId = validateTokenSigner(req, res);
+    if (!signerId) {
+      return;
+    }
 
-    try {
-      const account = privateKeyToAccount({
-        privateKey: formattedPrivateKey,
-        client,
-      });
+    const { address, fees } = req.body;
+    const result = await (grant ? grantRole : revokeRole)(client, role.id, address, signerId, {
+      target: req.target,
+      fees,
+      confirmationWaitMs: getConfirmationWaitMs(),
+      onSending: () => markBroadcast(res),
+    });
 
-      res.json({
-        success: true,
-        message: "Private key format is valid",
-        address: account.address,
-      });
-    } catch (error) {
-      res.status(400).json({
+    if (result.status === "not_admin") {
+      return res.status(409).json({
         success: false,
-        error: "Invalid private key format",
-        details: error.message,
+        error: "Signer cannot manage this role",
+        details: `Signer ${result.signer} does not hold ${result.adminRole}, the admin role of ${role.name || role.id}`,
       });
     }
+
+    const done = result.status !== "unchanged";
+    console.log(
+      `${grant ? "Grant" : "Revoke"} ${role.name || role.id} for ${address} by API key ${req.apiKey.id}: ${result.status}`
+    );
+
+    res.status(result.status === "submitted" ? 202 : 200).json({
+      success: true,
+      status: result.status,
+      role: role.name,
+      roleId: role.id,
+      address,
+      hasRole: grant,
+      transactionHash: done ? result.transactionHash : null,
+      confirmations: done ? result.confirmations : null,
+      requiredConfirmations: done ? result.requiredConfirmations : null,
+      statusUrl: done ? `/api/tx/${result.transactionHash}` : null,
+      signer: result.signer,
+      contract: req.target.address,
+      chainId: req.target.chainId,
+    });
   } catch (error) {
-    console.error("Private key validation error:", error);
+    console.error(`Error ${grant ? "granting" : "revoking"} role:`, error);
     res.status(500).json({
       success: false,
-      error: "Failed to validate private key",
+      error: `Failed to ${grant ? "grant" : "revoke"} role`,
       details: error.message,
     });
   }
-});
+};
+
+router.post("/admin/roles/:role/grant", requireScope("admin"), mintRateLimit, validate({ params: roleParamsSchema, body: roleChangeSchema }), idempotency, withContractTarget, requireCapability("accessControl", "roles"), changeRole(true));
+
+router.post("/admin/roles/:role/revoke", requireScope("admin"), mintRateLimit, validate({ params: roleParamsSchema, body: roleChangeSchema }), idempotency, withContractTarget, requireCapability("accessControl", "roles"), changeRole(false));
 
 // Mount all API routes under /api
 app.use("/api", router);
@@ -346,4 +1910,10 @@ app.use((err, req, res, next) => {
 app.listen(port, () => {
   console.log(`Server is running on port ${port}`);
   console.log(`API Key validation is enabled`);
+
+  // Resume any mint jobs left over from a previous run
+  startMintWorker(client);
+  startTransactionMonitor(client);
+  startIndexer(client);
+  startWebhookWorker();
 });
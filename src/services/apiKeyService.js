@@ -0,0 +1,223 @@
+import crypto from "crypto";
+import { createJsonStore } from "../utils/jsonStore.js";
+
+// Keys are stored hashed; the plaintext is only shown once at creation
+const store = createJsonStore("api-keys", { keys: {} });
+
+export const API_KEY_SCOPES = ["read", "mint", "admin"];
+
+// SERVER_API_KEY still works as a built-in key with every scope
+const ROOT_KEY_ID = "root";
+
+// Usage counters are flushed to disk periodically rather than per request
+const USAGE_FLUSH_INTERVAL_MS = 5000;
+let usageDirty = false;
+let usageTimer = null;
+
+/**
+ * Hashes an API key for storage and comparison
+ * @param {string} apiKey - The plaintext API key
+ * @returns {Buffer} The SHA-256 digest
+ */
+function hashApiKey(apiKey) {
+  return crypto.createHash("sha256").update(apiKey).digest();
+}
+
+/**
+ * Formats a stored key for API responses, leaving out the hash
+ * @param {Object} key - The stored key
+ * @returns {Object} The public view of the key
+ */
+function toPublicKey(key) {
+  return {
+    id: key.id,
+    name: key.name,
+    prefix: key.prefix,
+    scopes: key.scopes,
+    allowedContracts: key.allowedContracts,
+    createdAt: key.createdAt,
+    revokedAt: key.revokedAt,
+    lastUsedAt: key.lastUsedAt,
+    requestCount: key.usage.total,
+  };
+}
+
+/**
+ * Creates a new API key
+ * @param {Object} options - The key settings
+ * @param {string} options.name - A human readable name, e.g. the partner team
+ * @param {Array<string>} options.scopes - Granted scopes (read, mint, admin)
+ * @param {Array<string>} options.allowedContracts - Contract aliases or addresses
+ *   the key may use (optional, all contracts when empty)
+ * @returns {Object} The public key record plus the plaintext `apiKey`
+ */
+export function createApiKey({ name, scopes, allowedContracts = [] }) {
+  const id = crypto.randomUUID();
+  const apiKey = `cnft_${crypto.randomBytes(32).toString("base64url")}`;
+
+  const key = {
+    id,
+    name,
+    prefix: apiKey.substring(0, 12),
+    hash: hashApiKey(apiKey).toString("hex"),
+    scopes,
+    allowedContracts,
+    createdAt: new Date().toISOString(),
+    revokedAt: null,
+    lastUsedAt: null,
+    usage: { total: 0, byDay: {}, byRoute: {} },
+  };
+
+  store.update(({ keys }) => {
+    keys[id] = key;
+  });
+
+  console.log(`API key ${id} created for ${name}`);
+  return { ...toPublicKey(key), apiKey };
+}
+
+/**
+ * Lists all API keys, including revoked ones
+ * @returns {Array<Object>} Public key records
+ */
+export function listApiKeys() {
+  return Object.values(store.read().keys).map(toPublicKey);
+}
+
+/**
+ * Gets the usage counters of an API key
+ * @param {string} keyId - The key ID
+ * @returns {Object|null} The key and its usage, or null if it does not exist
+ */
+export function getApiKeyUsage(keyId) {
+  const key = store.read().keys[keyId];
+  return key ? { ...toPublicKey(key), usage: key.usage } : null;
+}
+
+/**
+ * Revokes an API key so it can no longer authenticate
+ * @param {string} keyId - The key ID
+ * @returns {Object|null} The revoked key, or null if it does not exist
+ */
+export function revokeApiKey(keyId) {
+  return store.update(({ keys }) => {
+    const key = keys[keyId];
+    if (!key) {
+      return null;
+    }
+
+    key.revokedAt = key.revokedAt || new Date().toISOString();
+    console.log(`API key ${keyId} revoked`);
+    return toPublicKey(key);
+  });
+}
+
+/**
+ * Finds the key matching a presented API key. Every stored hash is compared
+ * in constant time so response timing does not reveal partial matches.
+ * @param {string} apiKey - The API key from the request
+ * @returns {Object|null} The authenticated key with id, name, scopes and
+ *   allowedContracts, or null if the key is unknown
+ */
+export function authenticateApiKey(apiKey) {
+  const presented = hashApiKey(apiKey);
+  let match = null;
+
+  if (process.env.SERVER_API_KEY) {
+    const rootHash = hashApiKey(process.env.SERVER_API_KEY);
+    if (crypto.timingSafeEqual(presented, rootHash)) {
+      match = {
+        id: ROOT_KEY_ID,
+        name: "SERVER_API_KEY",
+        scopes: API_KEY_SCOPES,
+        allowedContracts: [],
+        revokedAt: null,
+      };
+    }
+  }
+
+  for (const key of Object.values(store.read().keys)) {
+    if (crypto.timingSafeEqual(presented, Buffer.from(key.hash, "hex"))) {
+      match = key;
+    }
+  }
+
+  if (!match) {
+    return null;
+  }
+
+  return {
+    id: match.id,
+    name: match.name,
+    scopes: match.scopes,
+    allowedContracts: match.allowedContracts || [],
+    revoked: Boolean(match.revokedAt),
+  };
+}
+
+/**
+ * Checks whether a key has a scope; admin implies every scope
+ * @param {Object} apiKey - The authenticated key
+ * @param {string} scope - The required scope
+ * @returns {boolean} Whether the key has the scope
+ */
+export function hasScope(apiKey, scope) {
+  return apiKey.scopes.includes("admin") || apiKey.scopes.includes(scope);
+}
+
+/**
+ * Checks whether a key may use a contract
+ * @param {Object} apiKey - The authenticated key
+ * @param {Object} target - Contract target from the registry
+ * @returns {boolean} Whether the contract is allowed
+ */
+export function isContractAllowed(apiKey, target) {
+  if (!apiKey.allowedContracts || apiKey.allowedContracts.length === 0) {
+    return true;
+  }
+
+  return apiKey.allowedContracts.some(
+    (allowed) =>
+      allowed === target.alias ||
+      allowed.toLowerCase() === target.address.toLowerCase()
+  );
+}
+
+/**
+ * Records a request against an API key for billing
+ * @param {string} keyId - The key ID
+ * @param {string} route - The route that was called, e.g. "POST /api/mint/text"
+ */
+export function recordApiKeyUsage(keyId, route) {
+  const key = store.read().keys[keyId];
+  if (!key) {
+    // The root key is not stored, so its usage is not tracked
+    return;
+  }
+
+  const now = new Date();
+  const day = now.toISOString().substring(0, 10);
+
+  key.usage.total++;
+  key.usage.byDay[day] = (key.usage.byDay[day] || 0) + 1;
+  key.usage.byRoute[route] = (key.usage.byRoute[route] || 0) + 1;
+  key.lastUsedAt = now.toISOString();
+  usageDirty = true;
+
+  if (!usageTimer) {
+    usageTimer = setInterval(flushApiKeyUsage, USAGE_FLUSH_INTERVAL_MS);
+    usageTimer.unref();
+  }
+}
+
+/**
+ * Writes pending usage counters to disk
+ */
+export function flushApiKeyUsage() {
+  if (!usageDirty) {
+    return;
+  }
+
+  usageDirty = false;
+  store.write(store.read());
+}
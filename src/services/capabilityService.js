@@ -0,0 +1,221 @@
+import { readContract } from "thirdweb";
+import { resolveImplementation, toFunctionSelector } from "thirdweb/utils";
+
+// ERC-165 interface IDs probed with supportsInterface
+const INTERFACES = {
+  erc721: "0x80ac58cd",
+  erc721Enumerable: "0x780e9d63",
+  erc721Metadata: "0x5b5e139f",
+  erc2981Royalties: "0x2a55205a",
+  erc4906MetadataUpdate: "0x49064906",
+  accessControl: "0x7965db0b",
+};
+
+// A function whose presence in the code reveals each capability. Interfaces
+// fall back to theirs when the contract does not implement ERC-165.
+const FUNCTIONS = {
+  erc721: "function ownerOf(uint256 tokenId) view returns (address)",
+  erc721Enumerable:
+    "function tokenOfOwnerByIndex(address owner, uint256 index) view returns (uint256)",
+  erc721Metadata: "function tokenURI(uint256 tokenId) view returns (string)",
+  erc2981Royalties:
+    "function royaltyInfo(uint256 tokenId, uint256 salePrice) view returns (address, uint256)",
+  accessControl: "function hasRole(bytes32 role, address account) view returns (bool)",
+  accessControlEnumerable:
+    "function getRoleMember(bytes32 role, uint256 index) view returns (address)",
+  ownable: "function owner() view returns (address)",
+  totalSupply: "function totalSupply() view returns (uint256)",
+  mintTo: "function mintTo(address _to, string _uri) returns (uint256)",
+  burn: "function burn(uint256 tokenId)",
+  setTokenURI: "function setTokenURI(uint256 _tokenId, string _uri)",
+  lazyMint:
+    "function lazyMint(uint256 _amount, string _baseURIForTokens, bytes _data) returns (uint256)",
+  claimConditions:
+    "function claim(address _receiver, uint256 _quantity, address _currency, uint256 _pricePerToken, (bytes32[] proof, uint256 quantityLimitPerWallet, uint256 pricePerToken, address currency) _allowlistProof, bytes _data) payable",
+};
+
+// Function selectors and capabilities of contracts, keyed by chain ID and address
+const cache = new Map();
+const capabilityCache = new Map();
+
+/**
+ * Reads how long detected contract functions are reused
+ * @returns {number} Cache lifetime in milliseconds
+ */
+function getCapabilityCacheTtlMs() {
+  return Number(process.env.CAPABILITY_CACHE_TTL_MS) || 10 * 60 * 1000;
+}
+
+/**
+ * Collects the values pushed by PUSH1 to PUSH4 instructions, padded to four
+ * bytes. Solidity's function dispatcher compares the call's selector against
+ * each function's selector pushed this way; selectors with leading zero bytes
+ * are pushed with fewer bytes.
+ * @param {string} bytecode - The hex-encoded runtime bytecode
+ * @returns {Set<string>} Candidate selectors as 0x-prefixed hex
+ */
+function extractSelectors(bytecode) {
+  const code = bytecode.startsWith("0x") ? bytecode.slice(2) : bytecode;
+  const selectors = new Set();
+
+  for (let i = 0; i < code.length; i += 2) {
+    const opcode = parseInt(code.slice(i, i + 2), 16);
+
+    // PUSH1 (0x60) to PUSH32 (0x7f) carry 1 to 32 bytes of data
+    if (opcode >= 0x60 && opcode <= 0x7f) {
+      const size = opcode - 0x5f;
+      if (size <= 4) {
+        selectors.add(`0x${code.slice(i + 2, i + 2 + size * 2).padStart(8, "0")}`);
+      }
+      i += size * 2;
+    }
+  }
+
+  return selectors;
+}
+
+/**
+ * Gets the key identifying a contract in the caches
+ * @param {Object} contract - Thirdweb contract instance
+ * @returns {string} The key
+ */
+function getCacheKey(contract) {
+  return `${contract.chain.id}-${contract.address.toLowerCase()}`;
+}
+
+/**
+ * Lists the function selectors found in a contract's code. Proxies are
+ * resolved to their implementation first. Results are cached for
+ * CAPABILITY_CACHE_TTL_MS, so proxy upgrades are picked up eventually.
+ * @param {Object} contract - Thirdweb contract instance
+ * @returns {Promise<Set<string>>} The selectors; empty if there is no code
+ *   at the address
+ */
+export async function getFunctionSelectors(contract) {
+  const key = getCacheKey(contract);
+  const cached = cache.get(key);
+  if (cached && cached.expiresAt > Date.now()) {
+    return cached.selectors;
+  }
+
+  const { bytecode } = await resolveImplementation(contract);
+  const selectors = extractSelectors(bytecode);
+  cache.set(key, { selectors, expiresAt: Date.now() + getCapabilityCacheTtlMs() });
+
+  return selectors;
+}
+
+/**
+ * Checks whether a contract's code implements a function
+ * @param {Object} contract - Thirdweb contract instance
+ * @param {string} signature - The function, e.g. "function setTokenURI(uint256 _tokenId, string _uri)"
+ * @returns {Promise<boolean>} Whether the function's selector is in the code
+ */
+export async function hasFunction(contract, signature) {
+  const selectors = await getFunctionSelectors(contract);
+  return selectors.has(toFunctionSelector(signature));
+}
+
+/**
+ * Asks a contract whether it implements an ERC-165 interface
+ * @param {Object} contract - Thirdweb contract instance
+ * @param {string} interfaceId - The 4-byte interface ID
+ * @returns {Promise<boolean|null>} The answer, or null if the contract does
+ *   not implement ERC-165
+ */
+async function supportsInterface(contract, interfaceId) {
+  try {
+    return await readContract({
+      contract,
+      method: "function supportsInterface(bytes4 interfaceId) view returns (bool)",
+      params: [interfaceId],
+    });
+  } catch (error) {
+    if (/revert|decode|zero data/i.test(error.message)) {
+      return null;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Detects the capabilities of a contract, noting which ones the contract
+ * denied through ERC-165. Cached like getFunctionSelectors.
+ * @param {Object} contract - Thirdweb contract instance
+ * @returns {Promise<Object>} The `capabilities` and the `denied` set
+ */
+async function detectCapabilities(contract) {
+  const key = getCacheKey(contract);
+  const cached = capabilityCache.get(key);
+  if (cached && cached.expiresAt > Date.now()) {
+    return cached;
+  }
+
+  const selectors = await getFunctionSelectors(contract);
+  const capabilities = Object.fromEntries(
+    Object.entries(FUNCTIONS).map(([name, signature]) => [
+      name,
+      selectors.has(toFunctionSelector(signature)),
+    ])
+  );
+
+  // Contracts that implement ERC-165 answer for every interface
+  const denied = new Set();
+  const erc165 = await supportsInterface(contract, "0x01ffc9a7");
+  for (const [name, interfaceId] of Object.entries(INTERFACES)) {
+    if (erc165) {
+      const supported = await supportsInterface(contract, interfaceId);
+      capabilities[name] = Boolean(supported);
+      if (supported === false) {
+        denied.add(name);
+      }
+    } else {
+      capabilities[name] ??= false;
+    }
+  }
+
+  const detected = {
+    capabilities,
+    denied,
+    expiresAt: Date.now() + getCapabilityCacheTtlMs(),
+  };
+  capabilityCache.set(key, detected);
+  return detected;
+}
+
+/**
+ * Detects what an NFT contract can do. Standard interfaces are probed with
+ * ERC-165 `supportsInterface`, falling back to the contract's code when it
+ * does not answer; thirdweb extensions (mintTo, roles, claim conditions,
+ * lazy minting) are detected from the code. Cached like getFunctionSelectors.
+ * @param {Object} contract - Thirdweb contract instance
+ * @returns {Promise<Object>} A boolean for each capability:
+ *   erc721, erc721Enumerable, erc721Metadata, erc2981Royalties,
+ *   erc4906MetadataUpdate, accessControl, accessControlEnumerable, ownable,
+ *   totalSupply, mintTo, burn, setTokenURI, lazyMint and claimConditions
+ */
+export async function getContractCapabilities(contract) {
+  return (await detectCapabilities(contract)).capabilities;
+}
+
+/**
+ * Tells whether a contract supports a capability. An ERC-165 answer is
+ * definite. A function missing from the scanned code is only taken as absent
+ * when the scan also finds `ownerOf`, showing the contract's own dispatcher
+ * is readable; routers and plugin contracts that dispatch elsewhere stay
+ * unknown.
+ * @param {Object} contract - Thirdweb contract instance
+ * @param {string} capability - A capability name from getContractCapabilities
+ * @returns {Promise<boolean|null>} true if detected, false if the contract
+ *   denies it through ERC-165 or its code lacks the function, null if unknown
+ */
+export async function getCapabilitySupport(contract, capability) {
+  const { capabilities, denied } = await detectCapabilities(contract);
+  if (capabilities[capability]) {
+    return true;
+  }
+  if (denied.has(capability)) {
+    return false;
+  }
+  return (await hasFunction(contract, FUNCTIONS.erc721)) ? false : null;
+}
@@ -0,0 +1,217 @@
+import fs from "fs";
+import path from "path";
+import { defineChain } from "thirdweb/chains";
+
+// Used when no registry file exists, matching the original single-contract setup
+const DEFAULT_CHAIN_ID = 11155111;
+
+let registry = null;
+
+/**
+ * Gets the path of the chain/contract registry file
+ * @returns {string} Absolute path to the registry file
+ */
+export function getRegistryPath() {
+  return path.resolve(
+    process.env.CONTRACTS_CONFIG_PATH || "config/contracts.json"
+  );
+}
+
+/**
+ * Replaces ${VAR} references with environment variables, so RPC URLs
+ * containing provider keys can stay out of the config file
+ * @param {string} value - The configured value
+ * @returns {string} The value with environment variables substituted
+ */
+function interpolateEnv(value) {
+  return value.replace(/\$\{(\w+)\}/g, (match, name) => process.env[name] || "");
+}
+
+/**
+ * Loads the registry from disk, falling back to NFT_CONTRACT_ADDRESS on Sepolia
+ * @returns {Object} The registry with chains, contracts and the default alias
+ */
+export function loadRegistry() {
+  if (registry) {
+    return registry;
+  }
+
+  const registryPath = getRegistryPath();
+  let config;
+
+  if (fs.existsSync(registryPath)) {
+    config = JSON.parse(fs.readFileSync(registryPath, "utf8"));
+  } else {
+    config = {
+      defaultContract: "default",
+      chains: { sepolia: { chainId: DEFAULT_CHAIN_ID } },
+      contracts: {
+        default: {
+          chain: "sepolia",
+          address: process.env.NFT_CONTRACT_ADDRESS,
+          startBlock: process.env.NFT_CONTRACT_START_BLOCK,
+        },
+      },
+    };
+  }
+
+  const chains = {};
+  for (const [alias, chainConfig] of Object.entries(config.chains || {})) {
+    const chainId = Number(chainConfig.chainId);
+    if (!Number.isInteger(chainId) || chainId <= 0) {
+      throw new Error(`Invalid chainId for chain "${alias}"`);
+    }
+
+    chains[alias] = {
+      alias,
+      chainId,
+      chain: chainConfig.rpc
+        ? defineChain({ id: chainId, rpc: interpolateEnv(chainConfig.rpc) })
+        : defineChain(chainId),
+    };
+  }
+
+  const contracts = {};
+  for (const [alias, contractConfig] of Object.entries(config.contracts || {})) {
+    const chain = chains[contractConfig.chain];
+    if (!chain) {
+      throw new Error(
+        `Contract "${alias}" references unknown chain "${contractConfig.chain}"`
+      );
+    }
+
+    // Contracts with a start block are followed by the Transfer indexer
+    let startBlock = null;
+    if (![undefined, null, ""].includes(contractConfig.startBlock)) {
+      startBlock = Number(contractConfig.startBlock);
+      if (!Number.isSafeInteger(startBlock) || startBlock < 0) {
+        throw new Error(`Invalid startBlock for contract "${alias}"`);
+      }
+    }
+
+    contracts[alias] = {
+      alias,
+      address: contractConfig.address,
+      startBlock,
+      chainAlias: chain.alias,
+      chainId: chain.chainId,
+      chain: chain.chain,
+    };
+  }
+
+  const defaultContract = config.defaultContract || Object.keys(contracts)[0];
+  if (!contracts[defaultContract]) {
+    throw new Error(`Default contract "${defaultContract}" is not configured`);
+  }
+
+  registry = { chains, contracts, defaultContract };
+  return registry;
+}
+
+/**
+ * Finds a configured chain by alias or chain ID
+ * @param {string|number} selector - The chain alias or chain ID
+ * @returns {Object|undefined} The configured chain
+ */
+function findChain(selector) {
+  const { chains } = loadRegistry();
+  return (
+    chains[selector] ||
+    Object.values(chains).find((chain) => String(chain.chainId) === String(selector))
+  );
+}
+
+/**
+ * Resolves a configured chain by alias or chain ID
+ * @param {string|number} selector - The chain alias or chain ID (optional;
+ *   defaults to the default contract's chain)
+ * @returns {Object} The chain with alias, chainId and the thirdweb `chain`,
+ *   which uses the configured RPC
+ * @throws {Error} If the chain is not configured
+ */
+export function resolveChain(selector) {
+  if (selector === undefined || selector === null || selector === "") {
+    const { chains, contracts, defaultContract } = loadRegistry();
+    return chains[contracts[defaultContract].chainAlias];
+  }
+
+  const chain = findChain(selector);
+  if (!chain) {
+    throw new Error(`Unknown chain: ${selector}`);
+  }
+  return chain;
+}
+
+/**
+ * Resolves a chain/contract selector from a request into a contract target.
+ * `contract` may be an alias or an address; `chain` may be an alias or chain
+ * ID. With neither, the default contract is used.
+ * @param {Object} selector - The selector from the request (optional)
+ * @param {string|number} selector.chain - Chain alias or chain ID
+ * @param {string} selector.contract - Contract alias or address
+ * @returns {Object} Target with alias, chain, chainId, address and startBlock
+ */
+export function resolveContractTarget({ chain, contract } = {}) {
+  const { contracts, defaultContract } = loadRegistry();
+  const chainConfig = chain !== undefined && chain !== null && chain !== ""
+    ? findChain(chain)
+    : null;
+
+  if (chainConfig === undefined) {
+    throw new Error(`Unknown chain: ${chain}`);
+  }
+
+  let target;
+
+  if (contract) {
+    target =
+      contracts[contract] ||
+      Object.values(contracts).find(
+        (candidate) =>
+          candidate.address?.toLowerCase() === String(contract).toLowerCase() &&
+          (!chainConfig || candidate.chainId === chainConfig.chainId)
+      );
+
+    if (!target) {
+      throw new Error(`Unknown contract: ${contract}`);
+    }
+  } else if (chainConfig) {
+    target = Object.values(contracts).find(
+      (candidate) => candidate.chainId === chainConfig.chainId
+    );
+
+    if (!target) {
+      throw new Error(`No contract configured on chain: ${chain}`);
+    }
+  } else {
+    target = contracts[defaultContract];
+  }
+
+  if (chainConfig && target.chainId !== chainConfig.chainId) {
+    throw new Error(
+      `Contract "${target.alias}" is on chain ${target.chainId}, not ${chain}`
+    );
+  }
+
+  if (!target.address) {
+    throw new Error(`Contract "${target.alias}" has no address configured`);
+  }
+
+  return target;
+}
+
+/**
+ * Lists the configured contracts for API responses
+ * @returns {Array<Object>} Contract aliases with their chain and address
+ */
+export function listContracts() {
+  const { contracts, defaultContract } = loadRegistry();
+  return Object.values(contracts).map((contract) => ({
+    alias: contract.alias,
+    chain: contract.chainAlias,
+    chainId: contract.chainId,
+    address: contract.address,
+    indexed: contract.startBlock !== null,
+    default: contract.alias === defaultContract,
+  }));
+}
@@ -0,0 +1,378 @@
+import {
+  getAddress,
+  getContract,
+  getRpcClient,
+  readContract,
+  eth_blockNumber,
+  eth_getBlockByNumber,
+  eth_getLogs,
+} from "thirdweb";
+import { createJsonStore } from "../utils/jsonStore.js";
+import {
+  BATCH_METADATA_UPDATE_TOPIC,
+  METADATA_UPDATE_TOPIC,
+  TRANSFER_TOPIC,
+  decodeMetadataUpdateLogs,
+  decodeTransferLogs,
+} from "../utils/receiptDecoder.js";
+import { loadRegistry } from "./contractRegistry.js";
+
+const ZERO_ADDRESS = "0x0000000000000000000000000000000000000000";
+
+// One store per indexed contract, keyed by chain ID and address
+const stores = new Map();
+
+// Chain head seen by the last indexer pass, per contract
+const heads = new Map();
+
+let indexerTimer = null;
+let indexerBusy = false;
+
+/**
+ * Reads the indexer settings from the environment
+ * @returns {Object} Poll interval, block range, reorg depth and allowed lag
+ */
+function getIndexerConfig() {
+  return {
+    pollIntervalMs: Number(process.env.INDEXER_POLL_INTERVAL_MS) || 15000,
+    blockRange: Number(process.env.INDEXER_BLOCK_RANGE) || 2000,
+    reorgDepth: Number(process.env.INDEXER_REORG_DEPTH) || 12,
+    maxLagBlocks: Number(process.env.INDEXER_MAX_LAG_BLOCKS) || 50,
+  };
+}
+
+/**
+ * Gets the key identifying a contract in the indexer
+ * @param {Object} target - Contract target from the registry
+ * @returns {string} The key
+ */
+function getIndexKey(target) {
+  return `${target.chainId}-${target.address.toLowerCase()}`;
+}
+
+/**
+ * Gets the index store of a contract
+ * @param {Object} target - Contract target from the registry
+ * @returns {Object} The JSON store
+ */
+function getIndexStore(target) {
+  const key = getIndexKey(target);
+  if (!stores.has(key)) {
+    stores.set(
+      key,
+      createJsonStore(`index-${key}`, { lastBlock: null, tokens: {} })
+    );
+  }
+  return stores.get(key);
+}
+
+/**
+ * Checks whether a contract is configured for indexing
+ * @param {Object} target - Contract target from the registry
+ * @returns {boolean} Whether the contract has a start block
+ */
+export function isIndexedContract(target) {
+  return target.startBlock !== null && target.startBlock !== undefined;
+}
+
+/**
+ * Gets the indexing progress of a contract
+ * @param {Object} target - Contract target from the registry
+ * @returns {Object} Whether it is indexed, the last indexed block, the chain
+ *   head, the number of unburned tokens and whether the index is close
+ *   enough to the head to serve reads
+ */
+export function getIndexerStatus(target) {
+  if (!isIndexedContract(target)) {
+    return { indexed: false };
+  }
+
+  const { lastBlock, tokens } = getIndexStore(target).read();
+  const headBlock = heads.get(getIndexKey(target)) ?? null;
+
+  return {
+    indexed: true,
+    startBlock: target.startBlock,
+    lastBlock,
+    headBlock,
+    tokenCount: Object.values(tokens).filter((token) => token.owner !== ZERO_ADDRESS)
+      .length,
+    ready:
+      lastBlock !== null &&
+      headBlock !== null &&
+      headBlock - lastBlock <= getIndexerConfig().maxLagBlocks,
+  };
+}
+
+/**
+ * Lists the indexed tokens currently owned by a wallet, ordered by token ID
+ * @param {Object} target - Contract target from the registry
+ * @param {string} walletAddress - The owner's wallet address
+ * @returns {Array<Object>} Tokens with tokenId and tokenUri
+ */
+export function getIndexedWalletTokens(target, walletAddress) {
+  const owner = walletAddress.toLowerCase();
+
+  return Object.entries(getIndexStore(target).read().tokens)
+    .filter(([, token]) => token.owner === owner)
+    .sort(([a], [b]) => (BigInt(a) < BigInt(b) ? -1 : BigInt(a) > BigInt(b) ? 1 : 0))
+    .map(([tokenId, token]) => ({ tokenId, tokenUri: token.tokenUri }));
+}
+
+/**
+ * Gets the indexed ownership and transfer history of a token. Addresses are
+ * stored lowercase and returned checksummed.
+ * @param {Object} target - Contract target from the registry
+ * @param {string} tokenId - The token ID as a decimal string
+ * @returns {Object|null} The token, or null if it has not been indexed
+ */
+export function getTokenHistory(target, tokenId) {
+  const token = getIndexStore(target).read().tokens[tokenId];
+  if (!token) {
+    return null;
+  }
+
+  const transfers = token.history.map((transfer) => ({
+    ...transfer,
+    from: getAddress(transfer.from),
+    to: getAddress(transfer.to),
+  }));
+
+  return {
+    tokenId,
+    owner: token.owner === ZERO_ADDRESS ? null : getAddress(token.owner),
+    burned: token.owner === ZERO_ADDRESS,
+    tokenUri: token.tokenUri,
+    mintedAt: transfers[0].from === ZERO_ADDRESS ? transfers[0] : null,
+    transfers,
+  };
+}
+
+/**
+ * Records a token's new URI, e.g. right after the API updated it, so reads
+ * from the index do not wait for the next indexer pass
+ * @param {Object} target - Contract target from the registry
+ * @param {string} tokenId - The token ID as a decimal string
+ * @param {string} tokenUri - The new token URI
+ */
+export function setIndexedTokenUri(target, tokenId, tokenUri) {
+  if (!isIndexedContract(target)) {
+    return;
+  }
+
+  getIndexStore(target).update((index) => {
+    if (index.tokens[tokenId]) {
+      index.tokens[tokenId].tokenUri = tokenUri;
+    }
+  });
+}
+
+/**
+ * Reads a token's URI from the contract
+ * @param {Object} contract - Thirdweb contract instance
+ * @param {string} tokenId - The token ID as a decimal string
+ * @returns {Promise<string|null>} The URI, or null if it could not be read
+ */
+async function readTokenUri(contract, tokenId) {
+  try {
+    return await readContract({
+      contract,
+      method: "function tokenURI(uint256 tokenId) view returns (string)",
+      params: [BigInt(tokenId)],
+    });
+  } catch (error) {
+    console.warn(`Could not read tokenURI of ${tokenId}:`, error.message);
+    return null;
+  }
+}
+
+/**
+ * Removes every indexed transfer at or after a block, restoring owners from
+ * the remaining history
+ * @param {Object} index - The index data
+ * @param {number} fromBlock - The first block to discard
+ */
+function rollbackIndex(index, fromBlock) {
+  for (const [tokenId, token] of Object.entries(index.tokens)) {
+    token.history = token.history.filter((entry) => entry.blockNumber < fromBlock);
+
+    if (token.history.length === 0) {
+      delete index.tokens[tokenId];
+    } else {
+      token.owner = token.history[token.history.length - 1].to;
+    }
+  }
+}
+
+/**
+ * Classifies a transfer as a mint, burn or plain transfer
+ * @param {Object} transfer - The decoded transfer
+ * @returns {string} mint, burn or transfer
+ */
+function getTransferType(transfer) {
+  if (transfer.from === ZERO_ADDRESS) {
+    return "mint";
+  }
+  return transfer.to === ZERO_ADDRESS ? "burn" : "transfer";
+}
+
+/**
+ * Indexes the Transfer events of one contract up to the chain head. The last
+ * INDEXER_REORG_DEPTH blocks are discarded and re-read on every pass, so
+ * events dropped by a reorg disappear and their replacements are picked up.
+ * EIP-4906 MetadataUpdate and BatchMetadataUpdate events make the URIs of
+ * the tokens they name be read again.
+ * @param {Object} client - Thirdweb client instance
+ * @param {Object} target - Contract target from the registry
+ */
+export async function indexContract(client, target) {
+  const { blockRange, reorgDepth } = getIndexerConfig();
+  const store = getIndexStore(target);
+  const rpcRequest = getRpcClient({ client, chain: target.chain });
+  const contract = getContract({
+    client,
+    chain: target.chain,
+    address: target.address,
+  });
+
+  const headBlock = Number(await eth_blockNumber(rpcRequest));
+  heads.set(getIndexKey(target), headBlock);
+
+  const { lastBlock } = store.read();
+  let fromBlock =
+    lastBlock === null
+      ? target.startBlock
+      : Math.max(target.startBlock, lastBlock - reorgDepth + 1);
+
+  while (fromBlock <= headBlock) {
+    const toBlock = Math.min(headBlock, fromBlock + blockRange - 1);
+
+    const logs = await eth_getLogs(rpcRequest, {
+      address: target.address,
+      topics: [[TRANSFER_TOPIC, METADATA_UPDATE_TOPIC, BATCH_METADATA_UPDATE_TOPIC]],
+      fromBlock: `0x${fromBlock.toString(16)}`,
+      toBlock: `0x${toBlock.toString(16)}`,
+    });
+    const transfers = decodeTransferLogs({ logs }, target.address).sort(
+      (a, b) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex
+    );
+    const metadataUpdates = decodeMetadataUpdateLogs({ logs }, target.address);
+
+    // Block timestamps for the blocks that have transfers
+    const timestamps = new Map();
+    for (const blockNumber of new Set(transfers.map((t) => t.blockNumber))) {
+      const block = await eth_getBlockByNumber(rpcRequest, {
+        blockNumber: BigInt(blockNumber),
+      });
+      timestamps.set(
+        blockNumber,
+        new Date(Number(block.timestamp) * 1000).toISOString()
+      );
+    }
+
+    // Work on a copy so reads during this pass never see a half-applied range
+    const index = structuredClone(store.read());
+
+    // Keep token URIs of re-read mints so they are not fetched again
+    const knownUris = new Map(
+      Object.entries(index.tokens).map(([tokenId, token]) => [tokenId, token.tokenUri])
+    );
+    rollbackIndex(index, fromBlock);
+
+    for (const transfer of transfers) {
+      let token = index.tokens[transfer.tokenId];
+      if (!token) {
+        token = { owner: transfer.to, tokenUri: null, history: [] };
+        index.tokens[transfer.tokenId] = token;
+      }
+
+      if (transfer.from === ZERO_ADDRESS) {
+        token.tokenUri = knownUris.get(transfer.tokenId) ?? null;
+        if (token.tokenUri === null && transfer.to !== ZERO_ADDRESS) {
+          token.tokenUri = await readTokenUri(contract, transfer.tokenId);
+        }
+      }
+
+      token.owner = transfer.to;
+      token.history.push({
+        type: getTransferType(transfer),
+        from: transfer.from,
+        to: transfer.to,
+        blockNumber: transfer.blockNumber,
+        transactionHash: transfer.transactionHash,
+        logIndex: transfer.logIndex,
+        timestamp: timestamps.get(transfer.blockNumber),
+      });
+    }
+
+    // Tokens named by a metadata update get their current URI; a batch update
+    // can cover a huge range, so only indexed tokens are looked at
+    if (metadataUpdates.length > 0) {
+      for (const [tokenId, token] of Object.entries(index.tokens)) {
+        const updated = metadataUpdates.some(
+          (update) => update.fromTokenId <= BigInt(tokenId) && BigInt(tokenId) <= update.toTokenId
+        );
+        if (updated && token.owner !== ZERO_ADDRESS) {
+          token.tokenUri = (await readTokenUri(contract, tokenId)) ?? token.tokenUri;
+        }
+      }
+    }
+
+    index.lastBlock = toBlock;
+    store.write(index);
+
+    fromBlock = toBlock + 1;
+  }
+}
+
+/**
+ * Runs one indexing pass over every contract with a start block
+ * @param {Object} client - Thirdweb client instance
+ */
+async function runIndexer(client) {
+  if (indexerBusy) {
+    return;
+  }
+
+  indexerBusy = true;
+  try {
+    for (const target of Object.values(loadRegistry().contracts)) {
+      if (!isIndexedContract(target) || !target.address) {
+        continue;
+      }
+
+      try {
+        await indexContract(client, target);
+      } catch (error) {
+        console.error(`Indexer error for contract ${target.alias}:`, error.message);
+      }
+    }
+  } finally {
+    indexerBusy = false;
+  }
+}
+
+/**
+ * Starts the background indexer for contracts configured with a start block
+ * @param {Object} client - Thirdweb client instance
+ */
+export function startIndexer(client) {
+  if (indexerTimer) {
+    return;
+  }
+
+  const targets = Object.values(loadRegistry().contracts).filter(isIndexedContract);
+  if (targets.length === 0) {
+    return;
+  }
+
+  const tick = () =>
+    runIndexer(client).catch((error) => console.error("Indexer error:", error));
+
+  tick();
+  indexerTimer = setInterval(tick, getIndexerConfig().pollIntervalMs);
+
+  console.log(
+    `Indexer started for: ${targets.map((target) => target.alias).join(", ")}`
+  );
+}
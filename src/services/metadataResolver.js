@@ -0,0 +1,292 @@
+import { download } from "thirdweb/storage";
+import { checkPublicHost } from "../utils/publicHost.js";
+
+// Resolved metadata keyed by fetch URI; Map order doubles as LRU order
+const cache = new Map();
+
+const MAX_REDIRECTS = 5;
+
+/**
+ * Reads the resolver settings from the environment
+ * @returns {Object} Timeout, size cap and cache settings
+ */
+function getResolverConfig() {
+  return {
+    timeoutMs: Number(process.env.METADATA_FETCH_TIMEOUT_MS || 5000),
+    maxBytes: Number(process.env.METADATA_MAX_BYTES || 1024 * 1024),
+    cacheTtlMs: Number(process.env.METADATA_CACHE_TTL_MS || 5 * 60 * 1000),
+    cacheMaxEntries: Number(process.env.METADATA_CACHE_MAX_ENTRIES || 1000),
+  };
+}
+
+/**
+ * Parses a comma-separated list of gateway URLs
+ * @param {string} value - The configured list
+ * @returns {Array<string>} Gateway base URLs without trailing slashes
+ */
+function parseGateways(value) {
+  return (value || "")
+    .split(",")
+    .map((gateway) => gateway.trim().replace(/\/$/, ""))
+    .filter(Boolean);
+}
+
+/**
+ * Substitutes the ERC-1155 `{id}` placeholder: the token ID as lowercase hex,
+ * zero-padded to 64 characters
+ * @param {string} tokenUri - The token URI
+ * @param {string|bigint} tokenId - The token ID (optional)
+ * @returns {string} The token URI with the placeholder replaced
+ */
+export function substituteTokenId(tokenUri, tokenId) {
+  if (tokenId === undefined || tokenId === null || !tokenUri.includes("{id}")) {
+    return tokenUri;
+  }
+
+  return tokenUri.replaceAll(
+    "{id}",
+    BigInt(tokenId).toString(16).padStart(64, "0")
+  );
+}
+
+/**
+ * Parses JSON text, enforcing the size cap
+ * @param {string} text - The JSON text
+ * @param {number} maxBytes - Maximum size in bytes
+ * @returns {Object} The parsed metadata
+ */
+function parseMetadataJson(text, maxBytes) {
+  if (Buffer.byteLength(text) > maxBytes) {
+    throw new Error(`Metadata exceeds ${maxBytes} bytes`);
+  }
+
+  const metadata = JSON.parse(text);
+  if (!metadata || typeof metadata !== "object" || Array.isArray(metadata)) {
+    throw new Error("Metadata is not a JSON object");
+  }
+
+  return metadata;
+}
+
+/**
+ * Decodes a JSON data URI, either base64 or percent-encoded
+ * @param {string} tokenUri - The data URI
+ * @param {number} maxBytes - Maximum size in bytes
+ * @returns {Object} The parsed metadata
+ */
+function parseDataUri(tokenUri, maxBytes) {
+  const comma = tokenUri.indexOf(",");
+  if (comma === -1) {
+    throw new Error("Malformed data URI");
+  }
+
+  const [mimeType, ...params] = tokenUri
+    .substring("data:".length, comma)
+    .split(";")
+    .map((part) => part.trim().toLowerCase());
+  if (mimeType && mimeType !== "application/json" && mimeType !== "text/plain") {
+    throw new Error(`Unsupported data URI type: ${mimeType}`);
+  }
+
+  const payload = tokenUri.substring(comma + 1);
+  if (params.includes("base64")) {
+    return parseMetadataJson(Buffer.from(payload, "base64").toString(), maxBytes);
+  }
+
+  // Plain JSON is usually percent-encoded, but some contracts embed it raw
+  let text = payload;
+  try {
+    text = decodeURIComponent(payload);
+  } catch {
+    // Not percent-encoded; use the payload as is
+  }
+
+  return parseMetadataJson(text, maxBytes);
+}
+
+/**
+ * Reads a JSON response body, aborting once it grows past the size cap
+ * @param {Response} response - The fetch response
+ * @param {number} maxBytes - Maximum size in bytes
+ * @returns {Promise<Object>} The parsed metadata
+ */
+async function readJsonResponse(response, maxBytes) {
+  const declared = Number(response.headers?.get("content-length"));
+  if (declared > maxBytes) {
+    response.body?.cancel();
+    throw new Error(`Metadata exceeds ${maxBytes} bytes`);
+  }
+
+  const chunks = [];
+  let size = 0;
+  for await (const chunk of response.body) {
+    size += chunk.length;
+    if (size > maxBytes) {
+      throw new Error(`Metadata exceeds ${maxBytes} bytes`);
+    }
+    chunks.push(chunk);
+  }
+
+  return parseMetadataJson(Buffer.concat(chunks).toString(), maxBytes);
+}
+
+/**
+ * Tells whether a URL is served by this API's local metadata storage, whose
+ * METADATA_BASE_URL may well be a private address
+ * @param {URL} url - The URL
+ * @returns {boolean} Whether the URL has the METADATA_BASE_URL origin
+ */
+function isLocalMetadataUrl(url) {
+  const baseUrl = process.env.METADATA_BASE_URL;
+  return Boolean(baseUrl) && new URL(baseUrl).origin === url.origin;
+}
+
+/**
+ * Fetches JSON over HTTP(S) with a timeout and size cap. Redirects are
+ * followed one hop at a time, so each target can be checked.
+ * @param {string} url - The URL to fetch
+ * @param {Object} config - Resolver settings
+ * @param {boolean} publicOnly - Whether every hop must resolve to a public
+ *   address; set for URIs read from the chain (optional)
+ * @returns {Promise<Object>} The parsed JSON
+ */
+async function fetchJson(url, config, publicOnly = false) {
+  const signal = AbortSignal.timeout(config.timeoutMs);
+  let target = new URL(url);
+
+  for (let redirects = 0; ; redirects++) {
+    if (target.protocol !== "https:" && target.protocol !== "http:") {
+      throw new Error(`Unsupported metadata URL scheme: ${target.protocol}`);
+    }
+    if (publicOnly && !isLocalMetadataUrl(target)) {
+      const hostError = await checkPublicHost(target.hostname);
+      if (hostError) {
+        throw new Error(`Metadata URL not allowed: ${hostError}`);
+      }
+    }
+
+    const response = await fetch(target, {
+      headers: { Accept: "application/json" },
+      redirect: "manual",
+      signal,
+    });
+
+    const location = response.headers.get("location");
+    if (response.status >= 300 && response.status < 400 && location) {
+      response.body?.cancel();
+      if (redirects === MAX_REDIRECTS) {
+        throw new Error(`Metadata request redirected too many times: ${url}`);
+      }
+      target = new URL(location, target);
+      continue;
+    }
+
+    if (!response.ok) {
+      response.body?.cancel();
+      throw new Error(`Metadata request failed: ${response.status} ${target.href}`);
+    }
+    return await readJsonResponse(response, config.maxBytes);
+  }
+}
+
+/**
+ * Fetches a content-addressed URI through each gateway in turn
+ * @param {Array<string>} urls - Candidate gateway URLs, in order of preference
+ * @param {Object} config - Resolver settings
+ * @returns {Promise<Object>} The parsed JSON from the first gateway that answers
+ */
+async function fetchFromGateways(urls, config) {
+  let lastError;
+  for (const url of urls) {
+    try {
+      return await fetchJson(url, config);
+    } catch (error) {
+      console.warn(`Gateway fetch failed for ${url}:`, error.message);
+      lastError = error;
+    }
+  }
+  throw lastError;
+}
+
+/**
+ * Fetches the metadata behind a remote token URI
+ * @param {Object} client - Thirdweb client instance
+ * @param {string} tokenUri - An ipfs://, ar:// or http(s):// URI
+ * @param {Object} config - Resolver settings
+ * @returns {Promise<Object>} The token metadata
+ */
+async function fetchRemoteMetadata(client, tokenUri, config) {
+  if (tokenUri.startsWith("ipfs://")) {
+    // Accept both ipfs://<cid> and the older ipfs://ipfs/<cid>
+    const ipfsPath = tokenUri.substring("ipfs://".length).replace(/^ipfs\//, "");
+    const gateways = parseGateways(process.env.IPFS_GATEWAY_URL);
+
+    if (gateways.length === 0) {
+      const response = await download({
+        client,
+        uri: `ipfs://${ipfsPath}`,
+        requestTimeoutMs: config.timeoutMs,
+      });
+      return await readJsonResponse(response, config.maxBytes);
+    }
+
+    return await fetchFromGateways(
+      gateways.map((gateway) => `${gateway}/ipfs/${ipfsPath}`),
+      config
+    );
+  }
+
+  if (tokenUri.startsWith("ar://")) {
+    const gateways = parseGateways(
+      process.env.ARWEAVE_GATEWAY_URL || "https://arweave.net"
+    );
+    return await fetchFromGateways(
+      gateways.map((gateway) => `${gateway}/${tokenUri.substring("ar://".length)}`),
+      config
+    );
+  }
+
+  if (tokenUri.startsWith("https://") || tokenUri.startsWith("http://")) {
+    return await fetchJson(tokenUri, config, true);
+  }
+
+  throw new Error(`Unsupported token URI scheme: ${tokenUri.substring(0, 32)}`);
+}
+
+/**
+ * Resolves a token URI into its metadata. Supports JSON data URIs (base64 or
+ * plain), ipfs:// and ar:// through the configured gateways, and http(s)://
+ * URLs that resolve to public addresses.
+ * The ERC-1155 `{id}` placeholder is substituted when a token ID is given.
+ * Remote metadata is cached for METADATA_CACHE_TTL_MS.
+ * @param {Object} client - Thirdweb client instance
+ * @param {string} tokenUri - The token URI from the contract
+ * @param {string|bigint} tokenId - The token ID, for `{id}` substitution (optional)
+ * @returns {Promise<Object>} The token metadata
+ */
+export async function resolveTokenMetadata(client, tokenUri, tokenId = null) {
+  const config = getResolverConfig();
+  const uri = substituteTokenId(tokenUri.trim(), tokenId);
+
+  if (uri.startsWith("data:")) {
+    return parseDataUri(uri, config.maxBytes);
+  }
+
+  const cached = cache.get(uri);
+  if (cached && cached.expiresAt > Date.now()) {
+    // Move to the end so the least recently used entry is evicted first
+    cache.delete(uri);
+    cache.set(uri, cached);
+    return cached.metadata;
+  }
+
+  const metadata = await fetchRemoteMetadata(client, uri, config);
+
+  cache.delete(uri);
+  cache.set(uri, { metadata, expiresAt: Date.now() + config.cacheTtlMs });
+  while (cache.size > config.cacheMaxEntries) {
+    cache.delete(cache.keys().next().value);
+  }
+
+  return metadata;
+}
@@ -0,0 +1,151 @@
+import crypto from "crypto";
+import fs from "fs";
+import path from "path";
+import { upload } from "thirdweb/storage";
+import { getDataDir } from "../utils/jsonStore.js";
+
+export const STORAGE_BACKENDS = ["inline", "ipfs", "local"];
+
+/**
+ * Gets the storage backend used when a request does not choose one
+ * @returns {string} The default backend name
+ */
+export function getDefaultStorageBackend() {
+  return process.env.METADATA_STORAGE || "inline";
+}
+
+/**
+ * Encodes NFT metadata as a base64 JSON data URI
+ * @param {Object} metadata - The NFT metadata
+ * @returns {string} The token URI
+ */
+export function toMetadataUri(metadata) {
+  return `data:application/json;base64,${Buffer.from(
+    JSON.stringify(metadata)
+  ).toString("base64")}`;
+}
+
+/**
+ * Gets the directory holding files served by the local backend
+ * @returns {string} Absolute path to the local metadata directory
+ */
+export function getLocalMetadataDir() {
+  return path.join(getDataDir(), "metadata");
+}
+
+/**
+ * Uploads a file to IPFS, through a local IPFS node when IPFS_API_URL is set
+ * and through thirdweb storage otherwise
+ * @param {Object} client - Thirdweb client instance
+ * @param {Buffer} data - The file contents
+ * @param {string} fileName - The file name
+ * @param {string} contentType - The MIME type
+ * @returns {Promise<string>} The ipfs:// URI of the file
+ */
+async function uploadToIpfs(client, data, fileName, contentType) {
+  const file = new File([data], fileName, { type: contentType });
+
+  if (!process.env.IPFS_API_URL) {
+    return await upload({ client, files: [file] });
+  }
+
+  // Kubo-compatible HTTP API: POST /api/v0/add
+  const form = new FormData();
+  form.append("file", file);
+
+  const response = await fetch(
+    `${process.env.IPFS_API_URL.replace(/\/$/, "")}/api/v0/add?cid-version=1&pin=true`,
+    { method: "POST", body: form }
+  );
+
+  if (!response.ok) {
+    throw new Error(
+      `IPFS node upload failed: ${response.status} ${await response.text()}`
+    );
+  }
+
+  const { Hash } = await response.json();
+  return `ipfs://${Hash}`;
+}
+
+/**
+ * Writes a file to the local metadata directory, named by its content hash
+ * @param {Buffer} data - The file contents
+ * @param {string} extension - The file extension, e.g. "json"
+ * @returns {string} The public HTTP URL of the file
+ */
+function storeLocally(data, extension) {
+  const baseUrl = process.env.METADATA_BASE_URL;
+  if (!baseUrl) {
+    throw new Error("METADATA_BASE_URL must be set to use local metadata storage");
+  }
+
+  const hash = crypto.createHash("sha256").update(data).digest("hex");
+  const fileName = `${hash}.${extension}`;
+  const dir = getLocalMetadataDir();
+
+  fs.mkdirSync(dir, { recursive: true });
+  fs.writeFileSync(path.join(dir, fileName), data);
+
+  return `${baseUrl.replace(/\/$/, "")}/metadata/${fileName}`;
+}
+
+/**
+ * Stores one file with the given backend
+ * @param {Object} client - Thirdweb client instance
+ * @param {string} backend - The storage backend (ipfs or local)
+ * @param {Buffer} data - The file contents
+ * @param {string} fileName - The file name
+ * @param {string} contentType - The MIME type
+ * @returns {Promise<string>} The URI of the stored file
+ */
+async function storeFile(client, backend, data, fileName, contentType) {
+  if (backend === "ipfs") {
+    return await uploadToIpfs(client, data, fileName, contentType);
+  }
+
+  return storeLocally(data, path.extname(fileName).substring(1));
+}
+
+/**
+ * Stores NFT metadata and returns the token URI to mint with. For the ipfs and
+ * local backends an inline SVG image is stored as its own file first, so the
+ * metadata references it instead of carrying it.
+ * @param {Object} client - Thirdweb client instance
+ * @param {Object} metadata - The NFT metadata
+ * @param {string} backend - inline, ipfs or local (defaults to METADATA_STORAGE)
+ * @returns {Promise<Object>} The token URI and the metadata as stored
+ */
+export async function storeMetadata(client, metadata, backend = null) {
+  const storage = backend || getDefaultStorageBackend();
+
+  if (!STORAGE_BACKENDS.includes(storage)) {
+    throw new Error(`Unknown metadata storage backend: ${storage}`);
+  }
+
+  if (storage === "inline") {
+    return { tokenUri: toMetadataUri(metadata), metadata };
+  }
+
+  let stored = metadata;
+  const svgPrefix = "data:image/svg+xml;base64,";
+
+  if (metadata.image?.startsWith(svgPrefix)) {
+    const image = Buffer.from(metadata.image.substring(svgPrefix.length), "base64");
+    stored = {
+      ...metadata,
+      image: await storeFile(client, storage, image, "image.svg", "image/svg+xml"),
+    };
+  }
+
+  const tokenUri = await storeFile(
+    client,
+    storage,
+    Buffer.from(JSON.stringify(stored)),
+    "metadata.json",
+    "application/json"
+  );
+
+  console.log(`Metadata stored with ${storage} backend:`, tokenUri);
+  return { tokenUri, metadata: stored };
+}
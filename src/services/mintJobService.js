@@ -0,0 +1,351 @@
+import crypto from "crypto";
+import { createJsonStore } from "../utils/jsonStore.js";
+import {
+  mintTextNFT,
+  confirmMintTransaction,
+  getSignerMinterRole,
+} from "./nftService.js";
+import { resolveContractTarget } from "./contractRegistry.js";
+import { emitWebhookEvent } from "./webhookService.js";
+
+// Jobs are persisted so they survive a server restart
+const store = createJsonStore("mint-jobs", { jobs: {} });
+
+const RETRY_MAX_MS = 5 * 60 * 1000;
+
+// A job that failed mid-send may or may not have reached the chain
+const INTERRUPTED_ERROR =
+  "Interrupted while sending the transaction; verify on-chain before retrying";
+
+// Errors worth retrying: RPC timeouts, rate limits and gateway failures
+const TRANSIENT_ERROR_PATTERN =
+  /timeout|timed out|ETIMEDOUT|ECONNRESET|ECONNREFUSED|EAI_AGAIN|socket hang up|fetch failed|network|rate limit|too many requests|\b429\b|\b502\b|\b503\b|\b504\b/i;
+
+let workerTimer = null;
+let workerBusy = false;
+
+/**
+ * Checks whether an error is a transient RPC error that should be retried
+ * @param {Error} error - The error thrown while processing a job
+ * @returns {boolean} Whether the job should be retried
+ */
+export function isTransientError(error) {
+  return TRANSIENT_ERROR_PATTERN.test(error?.message || "");
+}
+
+/**
+ * Formats a job for API responses
+ * @param {Object} job - The stored job
+ * @returns {Object} The public view of the job
+ */
+function toPublicJob(job) {
+  return {
+    id: job.id,
+    status: job.status,
+    transactionHash: job.transactionHash,
+    tokenId: job.tokenId,
+    to: job.request.toAddress,
+    requestedBy: job.requestedBy ?? null,
+    contract: job.request.contract,
+    chainId: job.request.chainId,
+    attempts: job.attempts,
+    error: job.error,
+    createdAt: job.createdAt,
+    updatedAt: job.updatedAt,
+  };
+}
+
+/**
+ * Applies changes to a stored job
+ * @param {string} jobId - The job ID
+ * @param {Object} changes - Fields to update
+ * @returns {Object} The updated job
+ */
+function updateJob(jobId, changes) {
+  return store.update(({ jobs }) => {
+    Object.assign(jobs[jobId], changes, {
+      updatedAt: new Date().toISOString(),
+    });
+    return jobs[jobId];
+  });
+}
+
+/**
+ * Notifies the webhooks of the API key that queued a job
+ * @param {Object} job - The stored job
+ * @param {string} type - The event type, e.g. "mint.confirmed"
+ */
+function emitJobEvent(job, type) {
+  if (!job.apiKeyId) {
+    return;
+  }
+
+  emitWebhookEvent(type, job.apiKeyId, {
+    source: "job",
+    jobId: job.id,
+    transactionHash: job.transactionHash,
+    tokenId: job.tokenId,
+    to: job.request.toAddress,
+    contract: job.request.contract,
+    chainId: job.request.chainId,
+    requestedBy: job.requestedBy ?? null,
+    error: job.status === "failed" ? job.error : null,
+  });
+}
+
+/**
+ * Queues a text NFT mint to be processed in the background
+ * @param {Object} request - The mint request
+ * @param {string} request.text - The text to be included in the NFT
+ * @param {string} request.signerId - The keystore signer to sign with
+ * @param {string} request.toAddress - The address to mint the NFT to
+ * @param {string} request.description - Custom description for the NFT (optional)
+ * @param {string} request.template - SVG template used to render the image (optional)
+ * @param {string} request.storage - Metadata storage backend (optional)
+ * @param {Object} request.fees - Fee override with maxFeeGwei and priorityFeeGwei (optional)
+ * @param {Object} request.target - Contract target from the registry
+ * @param {string} request.apiKeyId - The API key that queued the job, whose
+ *   webhooks are notified (optional)
+ * @param {string} request.requestedBy - The signed-in wallet the mint was
+ *   made for (optional)
+ * @returns {Object} The queued job
+ */
+export function enqueueMintJob({
+  text,
+  signerId,
+  toAddress,
+  description,
+  template,
+  storage,
+  fees,
+  target = resolveContractTarget(),
+  apiKeyId = null,
+  requestedBy = null,
+}) {
+  const now = new Date().toISOString();
+  const job = {
+    id: crypto.randomUUID(),
+    status: "queued",
+    request: {
+      text,
+      signerId,
+      toAddress,
+      description: description || null,
+      template: template || null,
+      storage: storage || null,
+      fees: fees || null,
+      chainId: target.chainId,
+      contract: target.address,
+    },
+    apiKeyId,
+    requestedBy,
+    sending: false,
+    transactionHash: null,
+    tokenId: null,
+    attempts: 0,
+    error: null,
+    nextAttemptAt: now,
+    createdAt: now,
+    updatedAt: now,
+  };
+
+  store.update(({ jobs }) => {
+    jobs[job.id] = job;
+  });
+
+  console.log(`Mint job ${job.id} queued for ${toAddress}`);
+  return toPublicJob(job);
+}
+
+/**
+ * Gets a mint job by ID
+ * @param {string} jobId - The job ID
+ * @returns {Object|null} The job, or null if it does not exist
+ */
+export function getMintJob(jobId) {
+  const job = store.read().jobs[jobId];
+  return job ? toPublicJob(job) : null;
+}
+
+/**
+ * Runs a single attempt of a mint job
+ * @param {Object} client - Thirdweb client instance
+ * @param {Object} job - The stored job
+ */
+async function processJob(client, job) {
+  const attempts = job.attempts + 1;
+  updateJob(job.id, { attempts });
+
+  try {
+    let tokenId;
+    let transactionHash;
+    const target = resolveContractTarget({
+      chain: job.request.chainId,
+      contract: job.request.contract,
+    });
+
+    if (job.transactionHash) {
+      // Already sent before a failure or restart, so only wait for the receipt
+      const confirmation = await confirmMintTransaction(
+        client,
+        job.transactionHash,
+        job.request.toAddress,
+        target
+      );
+      tokenId = confirmation.tokenId;
+      transactionHash = confirmation.transactionHash;
+    } else {
+      const { text, signerId, toAddress, description, template, storage, fees } =
+        job.request;
+
+      // The role may not have been readable when the job was queued; an RPC
+      // error here is retried like any other
+      const { signer, minterRole } = await getSignerMinterRole(client, signerId, target);
+      if (minterRole === false) {
+        throw new Error(`Signer ${signer} does not have MINTER_ROLE on ${target.address}`);
+      }
+
+      const result = await mintTextNFT(
+        client,
+        text,
+        true,
+        signerId,
+        toAddress,
+        description,
+        {
+          target,
+          template,
+          storage,
+          fees,
+          onSending: () => updateJob(job.id, { sending: true }),
+          onSubmitted: (transactionHash) =>
+            emitJobEvent(
+              updateJob(job.id, {
+                status: "submitted",
+                transactionHash,
+                sending: false,
+              }),
+              "mint.submitted"
+            ),
+        }
+      );
+
+      // A failed preflight is permanent, so the job is not retried
+      if (result.status === "rejected") {
+        throw new Error(
+          `Mint preflight failed: ${result.preflight.reasons
+            .map((reason) => reason.message)
+            .join("; ")}`
+        );
+      }
+      ({ tokenId, transactionHash } = result);
+    }
+
+    // The mined hash replaces the submitted one if the mint was sped up
+    emitJobEvent(
+      updateJob(job.id, { status: "confirmed", tokenId, transactionHash, error: null }),
+      "mint.confirmed"
+    );
+    console.log(`Mint job ${job.id} confirmed with token ID ${tokenId}`);
+  } catch (error) {
+    // An error between broadcasting and learning the hash (an RPC timeout,
+    // say) does not mean nothing was sent, so retrying could mint twice
+    const { sending } = store.read().jobs[job.id];
+    if (sending) {
+      emitJobEvent(
+        updateJob(job.id, { status: "failed", sending: false, error: INTERRUPTED_ERROR }),
+        "mint.failed"
+      );
+      console.error(`Mint job ${job.id} failed while sending:`, error.message);
+      return;
+    }
+
+    const maxAttempts = Number(process.env.MINT_JOB_MAX_ATTEMPTS) || 5;
+    const retryBaseMs = Number(process.env.MINT_JOB_RETRY_BASE_MS) || 2000;
+
+    if (isTransientError(error) && attempts < maxAttempts) {
+      const delay = Math.min(retryBaseMs * 2 ** (attempts - 1), RETRY_MAX_MS);
+      updateJob(job.id, {
+        error: error.message,
+        nextAttemptAt: new Date(Date.now() + delay).toISOString(),
+      });
+      console.warn(
+        `Mint job ${job.id} attempt ${attempts} failed, retrying in ${delay}ms:`,
+        error.message
+      );
+      return;
+    }
+
+    emitJobEvent(
+      updateJob(job.id, { status: "failed", error: error.message }),
+      "mint.failed"
+    );
+    console.error(`Mint job ${job.id} failed:`, error.message);
+  }
+}
+
+/**
+ * Picks the next due job and processes it. Jobs run one at a time so
+ * transactions from the same signer never race for a nonce.
+ * @param {Object} client - Thirdweb client instance
+ */
+async function runNextJob(client) {
+  if (workerBusy) {
+    return;
+  }
+
+  const now = new Date().toISOString();
+  const job = Object.values(store.read().jobs)
+    .filter(
+      (candidate) =>
+        (candidate.status === "queued" || candidate.status === "submitted") &&
+        candidate.nextAttemptAt <= now
+    )
+    .sort((a, b) => a.createdAt.localeCompare(b.createdAt))[0];
+
+  if (!job) {
+    return;
+  }
+
+  workerBusy = true;
+  try {
+    await processJob(client, job);
+  } finally {
+    workerBusy = false;
+  }
+}
+
+/**
+ * Starts the background worker that processes queued mint jobs.
+ * Jobs left queued or submitted by a previous run are picked up again.
+ * @param {Object} client - Thirdweb client instance
+ */
+export function startMintWorker(client) {
+  if (workerTimer) {
+    return;
+  }
+
+  // A job interrupted mid-send may or may not have reached the chain,
+  // so fail it rather than risk minting the same NFT twice
+  const interrupted = store.update(({ jobs }) =>
+    Object.values(jobs)
+      .filter((job) => job.sending)
+      .map((job) =>
+        Object.assign(job, {
+          status: "failed",
+          sending: false,
+          error: INTERRUPTED_ERROR,
+          updatedAt: new Date().toISOString(),
+        })
+      )
+  );
+  interrupted.forEach((job) => emitJobEvent(job, "mint.failed"));
+
+  workerTimer = setInterval(() => {
+    runNextJob(client).catch((error) =>
+      console.error("Mint worker error:", error)
+    );
+  }, Number(process.env.MINT_JOB_POLL_INTERVAL_MS) || 1000);
+
+  console.log("Mint job worker started");
+}
@@ -1,71 +1,129 @@
 import {
+  getAddress,
   getContract,
   prepareContractCall,
-  sendTransaction,
   readContract,
+  getRpcClient,
+  eth_getBlockByNumber,
+  eth_getLogs,
+  eth_getTransactionCount,
+  padHex,
+  simulateTransaction,
+  ZERO_ADDRESS,
 } from "thirdweb";
-import { defineChain } from "thirdweb/chains";
-import { privateKeyToAccount } from "thirdweb/wallets";
-
-// Define Sepolia chain
-const sepolia = defineChain(11155111);
+import {
+  getSignerAccount,
+  getSignerAddress,
+  getDefaultSignerId,
+} from "./signerService.js";
+import {
+  TRANSFER_TOPIC,
+  decodeMetadataUpdateLogs,
+  decodeTransferLogs,
+  findMintedTokenId,
+} from "../utils/receiptDecoder.js";
+import { resolveContractTarget } from "./contractRegistry.js";
+import { renderTextSvg, toSvgDataUri } from "./svgService.js";
+import { storeMetadata, toMetadataUri } from "./metadataStorage.js";
+import {
+  hasMinterRole,
+  isPreflightEnabled,
+  preflightMint,
+} from "./preflightService.js";
+import {
+  getRequiredConfirmations,
+  sendTrackedTransaction,
+  waitForConfirmations,
+  waitForTransaction,
+} from "./transactionService.js";
+import { resolveTokenMetadata } from "./metadataResolver.js";
+import { mapWithConcurrency } from "../utils/concurrency.js";
+import { ROLES, getRoleName } from "../utils/roles.js";
+import {
+  getIndexerStatus,
+  getIndexedWalletTokens,
+  getTokenHistory,
+  setIndexedTokenUri,
+} from "./indexerService.js";
+import { getContractCapabilities } from "./capabilityService.js";
 
 // The owner's wallet address to mint NFTs to
 const OWNER_WALLET_ADDRESS = process.env.OWNER_WALLET_ADDRESS;
 
+// thirdweb TokenERC721 and other INFTMetadata contracts
+const SET_TOKEN_URI = "function setTokenURI(uint256 _tokenId, string _uri)";
+
+/**
+ * Connects to a configured NFT contract
+ * @param {Object} client - Thirdweb client instance
+ * @param {Object} target - Contract target from the registry (defaults to the default contract)
+ * @returns {Object} Thirdweb contract instance
+ */
+export function getNFTContract(client, target = resolveContractTarget()) {
+  return getContract({
+    client,
+    chain: target.chain,
+    address: target.address,
+  });
+}
+
+/**
+ * Reads a view function that not every NFT contract implements
+ * @param {Object} contract - Thirdweb contract instance
+ * @param {string} method - The function signature
+ * @returns {Promise<*>} The value, or null if the call reverts
+ * @throws {Error} If the RPC request itself fails
+ */
+async function readOptionalField(contract, method) {
+  try {
+    return await readContract({ contract, method, params: [] });
+  } catch (error) {
+    if (!/revert|decode|zero data/i.test(error.message)) {
+      throw error;
+    }
+    console.log(`Could not read ${method}:`, error.message);
+    return null;
+  }
+}
+
 /**
  * Gets information about the NFT contract
  * @param {Object} client - Thirdweb client instance
- * @returns {Promise<Object>} Contract information
+ * @param {Object} target - Contract target from the registry (optional)
+ * @returns {Promise<Object>} Contract information; fields the contract does not
+ *   implement are null. `capabilities` comes from getContractCapabilities.
  */
-export async function getContractInfo(client) {
+export async function getContractInfo(client, target = resolveContractTarget()) {
   try {
     // Connect to the contract
-    const contract = await getContract({
-      client,
-      chain: sepolia,
-      address: process.env.NFT_CONTRACT_ADDRESS,
-    });
+    const contract = getNFTContract(client, target);
 
-    // Try to get contract name
-    const name = await readContract({
-      contract,
-      method: "function name() view returns (string)",
-      params: [],
-    });
+    // Detect what the contract implements before reading optional fields
+    const capabilities = await getContractCapabilities(contract);
 
-    // Try to get contract symbol
-    const symbol = await readContract({
+    const name = await readOptionalField(contract, "function name() view returns (string)");
+    const symbol = await readOptionalField(
       contract,
-      method: "function symbol() view returns (string)",
-      params: [],
-    });
-
-    // Try to get contract owner
-    let owner = "unknown";
-    try {
-      owner = await readContract({
-        contract,
-        method: "function owner() view returns (address)",
-        params: [],
-      });
-    } catch (error) {
-      console.log("Could not get contract owner:", error.message);
-    }
-
-    // Try to get total supply
-    const totalSupply = await readContract({
+      "function symbol() view returns (string)"
+    );
+    const owner = await readOptionalField(
       contract,
-      method: "function totalSupply() view returns (uint256)",
-      params: [],
-    });
+      "function owner() view returns (address)"
+    );
+    const totalSupply = await readOptionalField(
+      contract,
+      "function totalSupply() view returns (uint256)"
+    );
 
     return {
       name,
       symbol,
       owner,
-      totalSupply: String(totalSupply),
-      address: process.env.NFT_CONTRACT_ADDRESS,
+      totalSupply: totalSupply === null ? null : String(totalSupply),
+      address: target.address,
+      alias: target.alias,
+      chainId: target.chainId,
+      capabilities,
     };
   } catch (error) {
     console.error("Error in getContractInfo:", error);
@@ -73,52 +131,151 @@ export async function getContractInfo(client) {
   }
 }
 
+/**
+ * Builds the metadata for a text NFT, including the text rendered as an SVG image
+ * @param {string} text - The text to be included in the NFT
+ * @param {string} description - Custom description for the NFT (optional)
+ * @param {string} template - SVG template used to render the image (optional)
+ * @returns {Object} The NFT metadata
+ */
+export function buildTextMetadata(text, description = null, template = null) {
+  return {
+    name: "CRUXZ NFT",
+    description: description || "CRUXZ NFT", // Use provided description or fall back to text
+    image: toSvgDataUri(renderTextSvg(text, template || "default")),
+    attributes: [
+      {
+        trait_type: "Text",
+        value: text,
+      },
+      {
+        trait_type: "Created At",
+        value: new Date().toISOString(),
+      },
+    ],
+  };
+}
+
+/**
+ * Rebuilds the metadata of a text NFT for new text. The original "Created At"
+ * is kept, and "Updated At" and "Revision" attributes record the change; the
+ * minted metadata counts as revision 1.
+ * @param {Object} previous - The token's current metadata
+ * @param {string} text - The new text
+ * @param {string} description - The new description (optional)
+ * @param {string} template - SVG template used to render the image (optional)
+ * @returns {Object} The NFT metadata
+ */
+export function buildUpdatedTextMetadata(previous, text, description = null, template = null) {
+  const metadata = buildTextMetadata(text, description, template);
+  const findAttribute = (traitType) =>
+    (previous.attributes || []).find((attribute) => attribute.trait_type === traitType);
+  const createdAt = findAttribute("Created At")?.value;
+  const revision = Number(findAttribute("Revision")?.value) || 1;
+
+  metadata.attributes = [
+    { trait_type: "Text", value: text },
+    ...(createdAt ? [{ trait_type: "Created At", value: createdAt }] : []),
+    { trait_type: "Updated At", value: new Date().toISOString() },
+    { display_type: "number", trait_type: "Revision", value: revision + 1 },
+  ];
+
+  return metadata;
+}
+
+/**
+ * Checks that a signer could mint text NFTs without sending anything. The
+ * item with the longest metadata is simulated, using its inline data URI as
+ * the token URI, so gas is never underestimated for IPFS or local storage.
+ * @param {Object} client - Thirdweb client instance
+ * @param {Array<Object>} items - Items with text, toAddress and optional
+ *   description and template
+ * @param {string} signerId - The keystore signer (defaults to DEFAULT_SIGNER_ID)
+ * @param {Object} target - Contract target from the registry (optional)
+ * @returns {Promise<Object>} The preflight report from preflightMint
+ */
+export async function preflightTextNFTMint(
+  client,
+  items,
+  signerId = null,
+  target = resolveContractTarget()
+) {
+  const [item, tokenUri] = items
+    .map((candidate) => [
+      candidate,
+      toMetadataUri(
+        buildTextMetadata(candidate.text, candidate.description, candidate.template)
+      ),
+    ])
+    .reduce((longest, entry) => (entry[1].length > longest[1].length ? entry : longest));
+
+  return preflightMint(client, {
+    contract: getNFTContract(client, target),
+    signerAddress: getSignerAddress(client, signerId || getDefaultSignerId()),
+    toAddress: item.toAddress,
+    tokenUri,
+    count: items.length,
+  });
+}
+
+/**
+ * Checks whether a server-managed signer may mint on a contract
+ * @param {Object} client - Thirdweb client instance
+ * @param {string} signerId - The keystore signer (defaults to DEFAULT_SIGNER_ID)
+ * @param {Object} target - Contract target from the registry (optional)
+ * @returns {Promise<Object>} The signer address and `minterRole`: whether it
+ *   holds MINTER_ROLE, or null when the contract has no AccessControl roles
+ */
+export async function getSignerMinterRole(
+  client,
+  signerId = null,
+  target = resolveContractTarget()
+) {
+  const signer = getSignerAddress(client, signerId || getDefaultSignerId());
+  const minterRole = await hasMinterRole(getNFTContract(client, target), signer);
+  return { signer, minterRole };
+}
+
 /**
  * Mints an NFT with custom text
  * @param {Object} client - Thirdweb client instance
  * @param {string} text - The text to be included in the NFT
  * @param {boolean} performMint - Whether to actually perform the mint or just prepare
- * @param {string} privateKey - The private key to sign the transaction
+ * @param {string} signerId - The keystore signer to sign with (defaults to DEFAULT_SIGNER_ID)
  * @param {string} toAddress - The address to mint the NFT to (mandatory, wallet address)
  * @param {string} description - Custom description for the NFT (optional)
- * @returns {Promise<Object>} The minting result
+ * @param {Object} options - Additional minting options (optional)
+ * @param {Object} options.target - Contract target from the registry (defaults to the default contract)
+ * @param {string} options.template - SVG template used to render the image (optional)
+ * @param {string} options.storage - Metadata storage backend (defaults to METADATA_STORAGE)
+ * @param {Object} options.fees - Fee override with maxFeeGwei and priorityFeeGwei (optional)
+ * @param {Function} options.onSending - Called just before the transaction is
+ *   broadcast; from then on a failure may leave it sent (optional)
+ * @param {Function} options.onSubmitted - Called with the transaction hash once sent
+ * @param {number} options.confirmationWaitMs - How long to wait for the
+ *   transaction to be mined and TX_CONFIRMATIONS deep (optional, no limit by default)
+ * @returns {Promise<Object>} The minting result; `status` is "confirmed", or
+ *   "submitted" if the mint was mined but not yet confirmed in time, or
+ *   "rejected", with the `preflight` report, when the preflight check finds
+ *   the mint would fail
  */
 export async function mintTextNFT(
   client,
   text,
   performMint = false,
-  privateKey = null,
+  signerId = null,
   toAddress = null,
-  description = null
+  description = null,
+  options = {}
 ) {
   try {
+    const target = options.target || resolveContractTarget();
+
     // Connect to the contract
-    const contract = await getContract({
-      client,
-      chain: sepolia,
-      address: process.env.NFT_CONTRACT_ADDRESS,
-    });
+    const contract = getNFTContract(client, target);
 
     // Create metadata for the NFT
-    const metadata = {
-      name: "CRUXZ NFT",
-      description: description || "CRUXZ NFT", // Use provided description or fall back to text
-      attributes: [
-        {
-          trait_type: "Text",
-          value: text,
-        },
-        {
-          trait_type: "Created At",
-          value: new Date().toISOString(),
-        },
-      ],
-    };
-
-    // Convert metadata to URI format
-    const metadataUri = `data:application/json;base64,${Buffer.from(
-      JSON.stringify(metadata)
-    ).toString("base64")}`;
+    const metadata = buildTextMetadata(text, description, options.template);
 
     // If performMint is false, just return the preparation info
     if (!performMint) {
@@ -126,22 +283,18 @@ export async function mintTextNFT(
         status: "prepared",
         message:
           "To mint an NFT, you need to call this contract directly with the owner's wallet",
-        contract: process.env.NFT_CONTRACT_ADDRESS,
+        contract: target.address,
+        chainId: target.chainId,
         tokenMetadata: metadata,
         instructions: [
           "1. Connect your wallet to Thirdweb dashboard",
-          "2. Access your contract at " + process.env.NFT_CONTRACT_ADDRESS,
+          "2. Access your contract at " + target.address,
           "3. Use the mintTo function with your wallet address and the metadata",
           "4. Or integrate a client-side wallet connector like Metamask",
         ],
       };
     }
 
-    // Check if we have a private key for signing
-    if (!privateKey || privateKey.trim() === "") {
-      throw new Error("Private key is required for minting but not provided");
-    }
-
     // Check if we have a toAddress (wallet address) for recipient
     if (!toAddress || toAddress.trim() === "") {
       throw new Error(
@@ -149,31 +302,30 @@ export async function mintTextNFT(
       );
     }
 
-    console.log("Private key exists, attempting to mint...");
+    // Resolve the server-managed signer from the keystore
+    const account = getSignerAccount(client, signerId || getDefaultSignerId());
+    console.log("Minting with signer:", account.address);
 
-    // Ensure the private key is properly formatted (with or without 0x prefix)
-    const privateKeyStr = privateKey.trim();
-    console.log("Private key string length:", privateKeyStr.length);
-
-    if (privateKeyStr.length !== 64 && privateKeyStr.length !== 66) {
-      throw new Error(
-        `Invalid private key length: ${privateKeyStr.length}. Expected 64 or 66 characters.`
+    // Dry-run the mint before storing metadata or spending gas
+    if (isPreflightEnabled()) {
+      const preflight = await preflightTextNFTMint(
+        client,
+        [{ text, toAddress, description, template: options.template }],
+        signerId,
+        target
       );
+      if (!preflight.ok) {
+        console.warn("Mint preflight failed:", preflight.reasons);
+        return { status: "rejected", to: toAddress, preflight };
+      }
     }
 
-    // Remove 0x prefix if present since thirdweb doesn't use it
-    const formattedPrivateKey = privateKeyStr.startsWith("0x")
-      ? privateKeyStr.substring(2)
-      : privateKeyStr;
-
-    console.log("Private key formatted, creating account...");
-
-    // Create account from private key
-    const account = privateKeyToAccount({
-      privateKey: formattedPrivateKey,
+    // Store the metadata and get the token URI to mint with
+    const { tokenUri, metadata: storedMetadata } = await storeMetadata(
       client,
-    });
-    console.log("Account created from private key:", account.address);
+      metadata,
+      options.storage
+    );
 
     // Use the provided recipient address
     const recipientAddress = toAddress;
@@ -183,43 +335,53 @@ export async function mintTextNFT(
     const transaction = await prepareContractCall({
       contract,
       method: "function mintTo(address _to, string _uri) returns (uint256)",
-      params: [recipientAddress, metadataUri],
+      params: [recipientAddress, tokenUri],
     });
 
     console.log("Transaction prepared: ", JSON.stringify(transaction, null, 2));
 
-    // Sign and send the transaction
+    // Sign and send the transaction under the fee policy
     console.log("Transaction prepared, sending transaction...");
-    const result = await sendTransaction({
+    const result = await sendTrackedTransaction(client, {
       transaction,
-      account,
+      signerId: signerId || getDefaultSignerId(),
+      target,
+      fees: options.fees,
+      onSending: options.onSending,
     });
 
-    console.log("Mint transaction result:", result);
+    console.log("Mint transaction sent:", result.transactionHash);
 
-    // Get the token ID from the receipt if possible
-    let tokenId = "unknown";
-    try {
-      // Try to extract token ID from logs or events
-      // This is contract-specific and might need to be adjusted
-      const events = result.receipt.logs;
-      // Typically the token ID is in the Transfer event
-      tokenId = events && events.length > 0 ? events[0].topics[3] : "unknown";
-    } catch (error) {
-      console.warn("Could not extract token ID from transaction", error);
+    if (options.onSubmitted) {
+      await options.onSubmitted(result.transactionHash);
     }
 
+    // Wait for the transaction to be mined and read the token ID. A stuck
+    // transaction may have been replaced, so the mined hash can differ.
+    const { transactionHash, tokenId, confirmed, confirmations } =
+      await confirmMintTransaction(
+        client,
+        result.transactionHash,
+        recipientAddress,
+        target,
+        options.confirmationWaitMs
+      );
+
     console.log("Successfully minted NFT:", {
-      transactionHash: result.transactionHash,
+      transactionHash,
       tokenId,
+      confirmations,
     });
 
     return {
-      status: "minted",
+      status: confirmed ? "confirmed" : "submitted",
       tokenId,
-      transactionHash: result.transactionHash,
+      transactionHash,
+      confirmations,
+      requiredConfirmations: getRequiredConfirmations(),
       to: recipientAddress,
-      metadata,
+      tokenUri,
+      metadata: storedMetadata,
     };
   } catch (error) {
     console.error("Error in mintTextNFT:", error);
@@ -228,53 +390,829 @@ export async function mintTextNFT(
 }
 
 /**
- * Mints an NFT with custom text using a provided private key
+ * Mints many text NFTs from one signer. Transactions are sent back to back
+ * with explicitly assigned nonces, then all receipts are awaited together.
+ * A failing item does not stop the rest of the batch, unless the signer's
+ * nonce cannot be read after it; the remaining items then fail unsent.
  * @param {Object} client - Thirdweb client instance
- * @param {string} text - The text to be included in the NFT
- * @param {string} privateKey - The private key to sign the transaction
- * @param {string} toAddress - The address to mint the NFT to (mandatory wallet address)
- * @param {string} description - Custom description for the NFT (optional)
- * @returns {Promise<Object>} The minting result
+ * @param {Array<Object>} items - Items with text, toAddress and optional
+ *   description, template and storage
+ * @param {string} signerId - The keystore signer to sign with (defaults to DEFAULT_SIGNER_ID)
+ * @param {Object} target - Contract target from the registry (optional)
+ * @param {string} storage - Metadata storage backend for items that don't set one (optional)
+ * @param {Function} onSubmitted - Called with the item index and transaction
+ *   hash once each item is sent (optional)
+ * @param {Object} fees - Fee override with maxFeeGwei and priorityFeeGwei (optional)
+ * @param {number} confirmationWaitMs - How long to wait for each item to be
+ *   mined and TX_CONFIRMATIONS deep (optional, no limit by default)
+ * @param {Function} onSending - Called just before each item is broadcast (optional)
+ * @returns {Promise<Array<Object>>} Per-item results in the same order as
+ *   items, each "confirmed", "submitted" (mined, not yet confirmed) or "failed"
+ */
+export async function mintTextNFTBatch(
+  client,
+  items,
+  signerId = null,
+  target = resolveContractTarget(),
+  storage = null,
+  onSubmitted = null,
+  fees = null,
+  confirmationWaitMs = Infinity,
+  onSending = null
+) {
+  try {
+    // Connect to the contract
+    const contract = getNFTContract(client, target);
+
+    const resolvedSignerId = signerId || getDefaultSignerId();
+    const account = getSignerAccount(client, resolvedSignerId);
+    const rpcRequest = getRpcClient({ client, chain: target.chain });
+
+    // Start from the pending nonce so queued transactions are not overwritten
+    const getPendingNonce = () =>
+      eth_getTransactionCount(rpcRequest, {
+        address: account.address,
+        blockTag: "pending",
+      });
+
+    let nonce = await getPendingNonce();
+    console.log(
+      `Minting batch of ${items.length} NFTs with signer ${account.address} from nonce ${nonce}`
+    );
+
+    const results = [];
+
+    for (const [index, item] of items.entries()) {
+      try {
+        const { tokenUri, metadata } = await storeMetadata(
+          client,
+          buildTextMetadata(item.text, item.description, item.template),
+          item.storage || storage
+        );
+
+        const transaction = prepareContractCall({
+          contract,
+          method: "function mintTo(address _to, string _uri) returns (uint256)",
+          params: [item.toAddress, tokenUri],
+          nonce,
+        });
+
+        const { transactionHash } = await sendTrackedTransaction(client, {
+          transaction,
+          signerId: resolvedSignerId,
+          target,
+          fees,
+          onSending,
+        });
+
+        nonce++;
+        if (onSubmitted) {
+          onSubmitted(index, transactionHash);
+        }
+        results.push({
+          index,
+          to: item.toAddress,
+          transactionHash,
+          tokenUri,
+          metadata,
+        });
+      } catch (error) {
+        console.error(`Error sending batch item ${index}:`, error.message);
+        results.push({ index, to: item.toAddress, error: error.message });
+
+        // The failed send may or may not have consumed the nonce
+        try {
+          nonce = await getPendingNonce();
+        } catch (nonceError) {
+          // Guessing the nonce could replace an item already sent, so the
+          // rest of the batch is not sent; what was sent is still reported
+          console.error("Error reading the batch nonce:", nonceError.message);
+          for (const [restIndex, rest] of items.entries()) {
+            if (restIndex > index) {
+              results.push({
+                index: restIndex,
+                to: rest.toAddress,
+                error: `Not sent: could not read the signer's nonce: ${nonceError.message}`,
+              });
+            }
+          }
+          break;
+        }
+      }
+    }
+
+    // Wait for every sent transaction and decode its token ID
+    return await Promise.all(
+      results.map(async (result) => {
+        if (result.error) {
+          return { ...result, success: false, status: "failed" };
+        }
+
+        try {
+          const { transactionHash, tokenId, confirmed, confirmations } =
+            await confirmMintTransaction(
+              client,
+              result.transactionHash,
+              result.to,
+              target,
+              confirmationWaitMs
+            );
+          return {
+            ...result,
+            transactionHash,
+            success: true,
+            status: confirmed ? "confirmed" : "submitted",
+            tokenId,
+            confirmations,
+          };
+        } catch (error) {
+          return {
+            ...result,
+            success: false,
+            status: "failed",
+            error: error.message,
+          };
+        }
+      })
+    );
+  } catch (error) {
+    console.error("Error in mintTextNFTBatch:", error);
+    throw new Error(`Failed to mint NFT batch: ${error.message}`);
+  }
+}
+
+/**
+ * Waits for a mint transaction to be mined and confirmed, and extracts the
+ * token ID. If the transaction was sped up, the receipt is that of the
+ * replacement.
+ * @param {Object} client - Thirdweb client instance
+ * @param {string} transactionHash - The hash of the mint transaction
+ * @param {string} toAddress - The recipient the NFT was minted to
+ * @param {Object} target - Contract target from the registry (optional)
+ * @param {number} waitMs - How long to wait for the mint to be mined and
+ *   TX_CONFIRMATIONS deep (optional, no limit by default)
+ * @returns {Promise<Object>} The transaction receipt and hash, token ID,
+ *   confirmation count and whether the mint reached TX_CONFIRMATIONS in
+ *   time; receipt and token ID are null if the mint was not mined in time
+ */
+export async function confirmMintTransaction(
+  client,
+  transactionHash,
+  toAddress,
+  target = resolveContractTarget(),
+  waitMs = Infinity
+) {
+  const confirmation = await confirmTransaction(
+    client,
+    transactionHash,
+    target,
+    waitMs,
+    "Mint"
+  );
+  const { receipt } = confirmation;
+  if (!receipt) {
+    return { ...confirmation, tokenId: null };
+  }
+
+  // The token ID comes from the Transfer(0x0 -> toAddress) log of our contract
+  const tokenId = findMintedTokenId(receipt, target.address, toAddress);
+
+  if (tokenId === null) {
+    console.warn(
+      `No ERC-721 mint to ${toAddress} found in transaction ${receipt.transactionHash}`
+    );
+  }
+
+  return { ...confirmation, tokenId };
+}
+
+/**
+ * Waits for a transaction to be mined and confirmed. If the transaction was
+ * sped up, the receipt is that of the replacement.
+ * @param {Object} client - Thirdweb client instance
+ * @param {string} transactionHash - The hash of the transaction
+ * @param {Object} target - Contract target from the registry
+ * @param {number} waitMs - How long to wait for the transaction to be mined
+ *   and TX_CONFIRMATIONS deep, in total (optional, no limit by default)
+ * @param {string} label - What the transaction does, for the revert error
+ * @returns {Promise<Object>} The receipt (null if the transaction was not
+ *   mined in time), the hash that was mined or else the one sent,
+ *   confirmation count and whether the transaction reached TX_CONFIRMATIONS
+ *   in time
+ * @throws {Error} If the transaction reverted or was dropped
+ */
+async function confirmTransaction(client, transactionHash, target, waitMs, label) {
+  const deadline = Date.now() + (waitMs ?? Infinity);
+  const included = await waitForTransaction(client, transactionHash, target, waitMs ?? Infinity);
+  if (!included) {
+    // Still pending; the transaction monitor keeps following it
+    return { receipt: null, transactionHash, confirmed: false, confirmations: 0 };
+  }
+
+  // A reorg can move the transaction to another block, so use the latest receipt
+  const { status, receipt: latest } = await waitForConfirmations(
+    client,
+    included.transactionHash,
+    target,
+    deadline - Date.now()
+  );
+  const receipt = latest || included;
+
+  if (receipt.status === "reverted") {
+    throw new Error(`${label} transaction reverted: ${receipt.transactionHash}`);
+  }
+
+  return {
+    receipt,
+    transactionHash: receipt.transactionHash,
+    confirmed: status.status === "confirmed",
+    confirmations: status.confirmations,
+  };
+}
+
+/**
+ * Reads the owner of a token
+ * @param {Object} client - Thirdweb client instance
+ * @param {string|bigint} tokenId - The token ID
+ * @param {Object} target - Contract target from the registry (optional)
+ * @returns {Promise<string|null>} The checksummed owner, or null if the token
+ *   was never minted or has been burned
+ */
+export async function getTokenOwner(client, tokenId, target = resolveContractTarget()) {
+  try {
+    const owner = await readContract({
+      contract: getNFTContract(client, target),
+      method: "function ownerOf(uint256 tokenId) view returns (address)",
+      params: [BigInt(tokenId)],
+    });
+    return owner === ZERO_ADDRESS ? null : getAddress(owner);
+  } catch (error) {
+    // ownerOf reverts for tokens that do not exist; anything else is a real failure
+    if (/revert/i.test(error.message)) {
+      return null;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Sends a call on a token held by a server-managed signer and waits for it.
+ * The owner is read with `ownerOf` first, and nothing is sent unless the
+ * signer holds the token.
+ * @param {Object} client - Thirdweb client instance
+ * @param {string} tokenId - The token ID
+ * @param {string} signerId - The keystore signer (defaults to DEFAULT_SIGNER_ID)
+ * @param {Object} options - Target, fees, confirmationWaitMs and onSending as for mintTextNFT
+ * @param {string} label - What the call does, for logs and errors
+ * @param {Function} buildTransaction - Builds the call from the contract and owner
+ * @returns {Promise<Object>} "confirmed" or "submitted" with the transaction
+ *   details, or "not_found" or "not_owner" when nothing was sent
+ */
+async function sendOwnedTokenTransaction(
+  client,
+  tokenId,
+  signerId,
+  options,
+  label,
+  buildTransaction
+) {
+  const target = options.target || resolveContractTarget();
+  const contract = getNFTContract(client, target);
+  const resolvedSignerId = signerId || getDefaultSignerId();
+  const signer = getSignerAddress(client, resolvedSignerId);
+
+  const owner = await getTokenOwner(client, tokenId, target);
+  if (!owner) {
+    return { status: "not_found", tokenId };
+  }
+  if (owner !== getAddress(signer)) {
+    return { status: "not_owner", tokenId, owner, signer };
+  }
+
+  const result = await sendTrackedTransaction(client, {
+    transaction: buildTransaction(contract, owner),
+    signerId: resolvedSignerId,
+    target,
+    fees: options.fees,
+    onSending: options.onSending,
+  });
+  console.log(`${label} transaction sent for token ${tokenId}:`, result.transactionHash);
+
+  const { transactionHash, confirmed, confirmations } = await confirmTransaction(
+    client,
+    result.transactionHash,
+    target,
+    options.confirmationWaitMs,
+    label
+  );
+
+  return {
+    status: confirmed ? "confirmed" : "submitted",
+    tokenId,
+    transactionHash,
+    confirmations,
+    requiredConfirmations: getRequiredConfirmations(),
+    from: owner,
+  };
+}
+
+/**
+ * Transfers a token held by a server-managed custodial signer with
+ * `safeTransferFrom`
+ * @param {Object} client - Thirdweb client instance
+ * @param {string} tokenId - The token ID
+ * @param {string} toAddress - The new owner
+ * @param {string} signerId - The keystore signer holding the token (defaults to DEFAULT_SIGNER_ID)
+ * @param {Object} options - Additional options (optional)
+ * @param {Object} options.target - Contract target from the registry (defaults to the default contract)
+ * @param {Object} options.fees - Fee override with maxFeeGwei and priorityFeeGwei (optional)
+ * @param {number} options.confirmationWaitMs - How long to wait for the
+ *   transaction to be mined and TX_CONFIRMATIONS deep (optional, no limit by default)
+ * @param {Function} options.onSending - Called just before the transaction is broadcast (optional)
+ * @returns {Promise<Object>} The transfer result; `status` is "confirmed" or
+ *   "submitted", or "not_found" or "not_owner" when nothing was sent
+ */
+export async function transferNFT(client, tokenId, toAddress, signerId = null, options = {}) {
+  try {
+    const result = await sendOwnedTokenTransaction(
+      client,
+      tokenId,
+      signerId,
+      options,
+      "Transfer",
+      (contract, owner) =>
+        prepareContractCall({
+          contract,
+          method: "function safeTransferFrom(address from, address to, uint256 tokenId)",
+          params: [owner, toAddress, BigInt(tokenId)],
+        })
+    );
+    return { ...result, to: toAddress };
+  } catch (error) {
+    console.error("Error in transferNFT:", error);
+    throw new Error(`Failed to transfer NFT: ${error.message}`);
+  }
+}
+
+/**
+ * Burns a token held by a server-managed custodial signer
+ * @param {Object} client - Thirdweb client instance
+ * @param {string} tokenId - The token ID
+ * @param {string} signerId - The keystore signer holding the token (defaults to DEFAULT_SIGNER_ID)
+ * @param {Object} options - Target, fees, confirmationWaitMs and onSending as for transferNFT (optional)
+ * @returns {Promise<Object>} The burn result; `status` is "confirmed" or
+ *   "submitted", or "not_found" or "not_owner" when nothing was sent
+ */
+export async function burnNFT(client, tokenId, signerId = null, options = {}) {
+  try {
+    const result = await sendOwnedTokenTransaction(
+      client,
+      tokenId,
+      signerId,
+      options,
+      "Burn",
+      (contract) =>
+        prepareContractCall({
+          contract,
+          method: "function burn(uint256 tokenId)",
+          params: [BigInt(tokenId)],
+        })
+    );
+    return { ...result, to: ZERO_ADDRESS };
+  } catch (error) {
+    console.error("Error in burnNFT:", error);
+    throw new Error(`Failed to burn NFT: ${error.message}`);
+  }
+}
+
+/**
+ * Replaces the metadata of a text NFT with `setTokenURI`. The current
+ * metadata is read back so its "Created At" survives (see
+ * buildUpdatedTextMetadata), and the update is simulated from the signer
+ * before anything is stored or sent.
+ * @param {Object} client - Thirdweb client instance
+ * @param {string} tokenId - The token ID
+ * @param {string} text - The new text
+ * @param {string} signerId - The keystore signer, which needs the contract's
+ *   metadata role (defaults to DEFAULT_SIGNER_ID)
+ * @param {Object} options - Additional options (optional)
+ * @param {Object} options.target - Contract target from the registry (defaults to the default contract)
+ * @param {string} options.description - New description; the current one is kept when undefined
+ * @param {string} options.template - SVG template used to render the image (optional)
+ * @param {string} options.storage - Metadata storage backend (defaults to METADATA_STORAGE)
+ * @param {Object} options.fees - Fee override with maxFeeGwei and priorityFeeGwei (optional)
+ * @param {number} options.confirmationWaitMs - How long to wait for the
+ *   transaction to be mined and TX_CONFIRMATIONS deep (optional, no limit by default)
+ * @param {Function} options.onSending - Called just before the transaction is broadcast (optional)
+ * @returns {Promise<Object>} The update result; `status` is "confirmed" or
+ *   "submitted", or "not_found" or "rejected" (with the
+ *   simulation `error`) when nothing was sent. `metadataUpdateEvent` tells
+ *   whether the contract emitted an EIP-4906 event for the token.
  */
-export async function mintTextNFTWithPrivateKey(
+export async function updateTextNFTMetadata(
   client,
+  tokenId,
   text,
-  privateKey,
-  toAddress = null,
-  description = null
+  signerId = null,
+  options = {}
 ) {
   try {
-    // Validate required parameters
-    if (!privateKey || privateKey.trim() === "") {
-      throw new Error("Private key is required for minting");
+    const target = options.target || resolveContractTarget();
+    const contract = getNFTContract(client, target);
+    const resolvedSignerId = signerId || getDefaultSignerId();
+
+    if (!(await getTokenOwner(client, tokenId, target))) {
+      return { status: "not_found", tokenId };
     }
 
-    if (!toAddress || toAddress.trim() === "") {
-      throw new Error("Wallet address (toAddress) is required for minting");
+    // The current metadata holds the original creation time
+    const currentUri = await readContract({
+      contract,
+      method: "function tokenURI(uint256 tokenId) view returns (string)",
+      params: [BigInt(tokenId)],
+    });
+    let previous;
+    try {
+      previous = await resolveTokenMetadata(client, currentUri, tokenId);
+    } catch (error) {
+      throw new Error(`Could not read the current metadata: ${error.message}`);
+    }
+
+    const metadata = buildUpdatedTextMetadata(
+      previous,
+      text,
+      options.description === undefined ? previous.description : options.description,
+      options.template
+    );
+    const revision = metadata.attributes.find(
+      (attribute) => attribute.trait_type === "Revision"
+    ).value;
+
+    // Dry-run with the inline URI, the longest form, before storing anything
+    if (isPreflightEnabled()) {
+      try {
+        await simulateTransaction({
+          transaction: prepareContractCall({
+            contract,
+            method: SET_TOKEN_URI,
+            params: [BigInt(tokenId), toMetadataUri(metadata)],
+          }),
+          from: getSignerAddress(client, resolvedSignerId),
+        });
+      } catch (error) {
+        console.warn("Metadata update preflight failed:", error.message);
+        return { status: "rejected", tokenId, error: error.message };
+      }
+    }
+
+    const { tokenUri, metadata: storedMetadata } = await storeMetadata(
+      client,
+      metadata,
+      options.storage
+    );
+
+    const result = await sendTrackedTransaction(client, {
+      transaction: prepareContractCall({
+        contract,
+        method: SET_TOKEN_URI,
+        params: [BigInt(tokenId), tokenUri],
+      }),
+      signerId: resolvedSignerId,
+      target,
+      fees: options.fees,
+      onSending: options.onSending,
+    });
+    console.log(`Metadata update sent for token ${tokenId}:`, result.transactionHash);
+
+    const { receipt, transactionHash, confirmed, confirmations } = await confirmTransaction(
+      client,
+      result.transactionHash,
+      target,
+      options.confirmationWaitMs,
+      "Metadata update"
+    );
+
+    // Until it is mined, the index keeps the old URI
+    if (receipt) {
+      setIndexedTokenUri(target, tokenId, tokenUri);
     }
 
-    // Call the main mint function with performMint=true
-    return await mintTextNFT(client, text, true, privateKey, toAddress, description);
+    return {
+      status: confirmed ? "confirmed" : "submitted",
+      tokenId,
+      transactionHash,
+      confirmations,
+      requiredConfirmations: getRequiredConfirmations(),
+      revision,
+      metadataUpdateEvent: receipt
+        ? decodeMetadataUpdateLogs(receipt, target.address).some(
+            (update) =>
+              update.fromTokenId <= BigInt(tokenId) && BigInt(tokenId) <= update.toTokenId
+          )
+        : null,
+      tokenUri,
+      metadata: storedMetadata,
+    };
   } catch (error) {
-    console.error("Error in mintTextNFTWithPrivateKey:", error);
-    throw new Error(`Failed to mint NFT: ${error.message}`);
+    console.error("Error in updateTextNFTMetadata:", error);
+    throw new Error(`Failed to update NFT metadata: ${error.message}`);
   }
 }
 
 /**
- * Gets all NFTs owned by a wallet address
+ * Reads whether an account holds an AccessControl role
+ * @param {Object} client - Thirdweb client instance
+ * @param {string} roleId - The 32-byte role ID
+ * @param {string} account - The address to check
+ * @param {Object} target - Contract target from the registry (optional)
+ * @returns {Promise<boolean>} Whether the account holds the role
+ */
+export async function checkRole(client, roleId, account, target = resolveContractTarget()) {
+  return readContract({
+    contract: getNFTContract(client, target),
+    method: "function hasRole(bytes32 role, address account) view returns (bool)",
+    params: [roleId, account],
+  });
+}
+
+/**
+ * Reads the role whose holders may grant and revoke a role
+ * @param {Object} contract - Thirdweb contract instance
+ * @param {string} roleId - The 32-byte role ID
+ * @returns {Promise<string>} The admin role ID; DEFAULT_ADMIN_ROLE for
+ *   contracts without `getRoleAdmin`
+ */
+async function getRoleAdmin(contract, roleId) {
+  try {
+    return await readContract({
+      contract,
+      method: "function getRoleAdmin(bytes32 role) view returns (bytes32)",
+      params: [roleId],
+    });
+  } catch (error) {
+    if (!/revert|decode|zero data/i.test(error.message)) {
+      throw error;
+    }
+    return ROLES.DEFAULT_ADMIN_ROLE;
+  }
+}
+
+/**
+ * Lists the holders of the known roles on an AccessControlEnumerable
+ * contract, reading at most NFT_READ_CONCURRENCY members of a role at once
+ * @param {Object} client - Thirdweb client instance
+ * @param {Object} target - Contract target from the registry (optional)
+ * @returns {Promise<Array<Object>>} One entry per role in ROLES, with its
+ *   `role` name, `roleId`, `adminRole` and checksummed `holders`
+ */
+export async function getRoleHolders(client, target = resolveContractTarget()) {
+  try {
+    const contract = getNFTContract(client, target);
+    const concurrency = Number(process.env.NFT_READ_CONCURRENCY || 8);
+
+    return await Promise.all(
+      Object.entries(ROLES).map(async ([role, roleId]) => {
+        const count = await readContract({
+          contract,
+          method: "function getRoleMemberCount(bytes32 role) view returns (uint256)",
+          params: [roleId],
+        });
+        const holders = await mapWithConcurrency(
+          Array.from({ length: Number(count) }, (_, index) => BigInt(index)),
+          concurrency,
+          async (index) =>
+            getAddress(
+              await readContract({
+                contract,
+                method: "function getRoleMember(bytes32 role, uint256 index) view returns (address)",
+                params: [roleId, index],
+              })
+            )
+        );
+        const adminRoleId = await getRoleAdmin(contract, roleId);
+
+        return {
+          role,
+          roleId,
+          adminRole: getRoleName(adminRoleId) || adminRoleId,
+          holders,
+        };
+      })
+    );
+  } catch (error) {
+    console.error("Error in getRoleHolders:", error);
+    throw new Error(`Failed to list role holders: ${error.message}`);
+  }
+}
+
+/**
+ * Grants or revokes a role from a server-managed signer. Nothing is sent if
+ * the account already has (or lacks) the role, or if the signer does not
+ * hold the role's admin role.
+ * @param {Object} client - Thirdweb client instance
+ * @param {boolean} grant - True to grant the role, false to revoke it
+ * @param {string} roleId - The 32-byte role ID
+ * @param {string} account - The address gaining or losing the role
+ * @param {string} signerId - The keystore signer (defaults to DEFAULT_SIGNER_ID)
+ * @param {Object} options - Target, fees, confirmationWaitMs and onSending as for transferNFT
+ * @returns {Promise<Object>} "confirmed" or "submitted" with the transaction
+ *   details, or "unchanged" or "not_admin" (with the `adminRole`) when
+ *   nothing was sent
+ */
+async function sendRoleTransaction(client, grant, roleId, account, signerId, options) {
+  const target = options.target || resolveContractTarget();
+  const contract = getNFTContract(client, target);
+  const resolvedSignerId = signerId || getDefaultSignerId();
+  const signer = getAddress(getSignerAddress(client, resolvedSignerId));
+  const label = grant ? "Grant role" : "Revoke role";
+
+  if ((await checkRole(client, roleId, account, target)) === grant) {
+    return { status: "unchanged", signer };
+  }
+
+  const adminRoleId = await getRoleAdmin(contract, roleId);
+  if (!(await checkRole(client, adminRoleId, signer, target))) {
+    return { status: "not_admin", signer, adminRole: getRoleName(adminRoleId) || adminRoleId };
+  }
+
+  const result = await sendTrackedTransaction(client, {
+    transaction: prepareContractCall({
+      contract,
+      method: grant
+        ? "function grantRole(bytes32 role, address account)"
+        : "function revokeRole(bytes32 role, address account)",
+      params: [roleId, account],
+    }),
+    signerId: resolvedSignerId,
+    target,
+    fees: options.fees,
+    onSending: options.onSending,
+  });
+  console.log(`${label} transaction sent for ${account}:`, result.transactionHash);
+
+  const { transactionHash, confirmed, confirmations } = await confirmTransaction(
+    client,
+    result.transactionHash,
+    target,
+    options.confirmationWaitMs,
+    label
+  );
+
+  return {
+    status: confirmed ? "confirmed" : "submitted",
+    transactionHash,
+    confirmations,
+    requiredConfirmations: getRequiredConfirmations(),
+    signer,
+  };
+}
+
+/**
+ * Grants an AccessControl role, e.g. MINTER_ROLE to a new signer
+ * @param {Object} client - Thirdweb client instance
+ * @param {string} roleId - The 32-byte role ID
+ * @param {string} account - The address to grant the role to
+ * @param {string} signerId - The keystore signer holding the role's admin
+ *   role (defaults to DEFAULT_SIGNER_ID)
+ * @param {Object} options - Target, fees, confirmationWaitMs and onSending as for transferNFT (optional)
+ * @returns {Promise<Object>} The result; `status` is "confirmed" or
+ *   "submitted", or "unchanged" or "not_admin" when nothing was sent
+ */
+export async function grantRole(client, roleId, account, signerId = null, options = {}) {
+  try {
+    return await sendRoleTransaction(client, true, roleId, account, signerId, options);
+  } catch (error) {
+    console.error("Error in grantRole:", error);
+    throw new Error(`Failed to grant role: ${error.message}`);
+  }
+}
+
+/**
+ * Revokes an AccessControl role
+ * @param {Object} client - Thirdweb client instance
+ * @param {string} roleId - The 32-byte role ID
+ * @param {string} account - The address to revoke the role from
+ * @param {string} signerId - The keystore signer holding the role's admin
+ *   role (defaults to DEFAULT_SIGNER_ID)
+ * @param {Object} options - Target, fees, confirmationWaitMs and onSending as for transferNFT (optional)
+ * @returns {Promise<Object>} The result; `status` is "confirmed" or
+ *   "submitted", or "unchanged" or "not_admin" when nothing was sent
+ */
+export async function revokeRole(client, roleId, account, signerId = null, options = {}) {
+  try {
+    return await sendRoleTransaction(client, false, roleId, account, signerId, options);
+  } catch (error) {
+    console.error("Error in revokeRole:", error);
+    throw new Error(`Failed to revoke role: ${error.message}`);
+  }
+}
+
+/**
+ * Resolves a token's metadata into the shape returned by wallet listings
+ * @param {Object} client - Thirdweb client instance
+ * @param {string|bigint} tokenId - The token ID
+ * @param {string|null} tokenUri - The token URI
+ * @returns {Promise<Object>} The NFT
+ */
+async function toWalletNFT(client, tokenId, tokenUri) {
+  // Resolve metadata from data, IPFS, Arweave or HTTP token URIs
+  let metadata = {};
+  try {
+    if (!tokenUri) {
+      throw new Error("Token URI is unknown");
+    }
+    metadata = await resolveTokenMetadata(client, tokenUri, tokenId);
+  } catch (err) {
+    console.warn(`Could not resolve metadata for token ${tokenId}:`, err.message);
+    metadata = {
+      name: `Token #${tokenId}`,
+      description: "No metadata available",
+    };
+  }
+
+  return {
+    tokenId: String(tokenId),
+    name: metadata.name || `Token #${tokenId}`,
+    description: metadata.description || "",
+    image: metadata.image || null,
+    attributes: metadata.attributes || [],
+  };
+}
+
+/**
+ * Reads one token owned by a wallet and resolves its metadata
+ * @param {Object} client - Thirdweb client instance
+ * @param {Object} contract - The NFT contract
+ * @param {string} walletAddress - The owner's wallet address
+ * @param {number} index - The owner's token index
+ * @returns {Promise<Object|null>} The NFT, or null if it could not be read
+ */
+async function readOwnedNFT(client, contract, walletAddress, index) {
+  try {
+    // Get token ID for this owner at index
+    const tokenId = await readContract({
+      contract,
+      method:
+        "function tokenOfOwnerByIndex(address owner, uint256 index) view returns (uint256)",
+      params: [walletAddress, index],
+    });
+
+    // Get token URI
+    const tokenUri = await readContract({
+      contract,
+      method: "function tokenURI(uint256 tokenId) view returns (string)",
+      params: [tokenId],
+    });
+
+    return await toWalletNFT(client, tokenId, tokenUri);
+  } catch (err) {
+    console.error(`Error fetching token at index ${index}:`, err);
+    return null;
+  }
+}
+
+/**
+ * Gets a page of the NFTs owned by a wallet address. Contracts followed by
+ * the indexer are served from the local index once it has caught up with the
+ * chain; otherwise tokens are read by owner index. Either way at most
+ * NFT_READ_CONCURRENCY tokens are resolved at once.
  * @param {Object} client - Thirdweb client instance
  * @param {string} walletAddress - The wallet address to query
- * @returns {Promise<Array>} Array of NFTs owned by the wallet
+ * @param {Object} target - Contract target from the registry (optional)
+ * @param {Object} page - Page to read (optional, all tokens by default)
+ * @param {number} page.offset - Owner index of the first token
+ * @param {number} page.limit - Maximum number of tokens to read
+ * @returns {Promise<Object>} The NFTs, the wallet balance, the offset of
+ *   the next page (null on the last page) and the source (index or chain)
  */
-export async function getWalletNFTs(client, walletAddress) {
+export async function getWalletNFTs(
+  client,
+  walletAddress,
+  target = resolveContractTarget(),
+  { offset = 0, limit = null } = {}
+) {
   try {
+    const concurrency = Number(process.env.NFT_READ_CONCURRENCY || 8);
+
+    if (getIndexerStatus(target).ready) {
+      const owned = getIndexedWalletTokens(target, walletAddress);
+      const end = limit === null ? owned.length : Math.min(owned.length, offset + limit);
+      const nfts = await mapWithConcurrency(
+        owned.slice(offset, end),
+        concurrency,
+        (token) => toWalletNFT(client, token.tokenId, token.tokenUri)
+      );
+
+      return {
+        nfts,
+        balance: owned.length,
+        nextOffset: end < owned.length ? end : null,
+        source: "index",
+      };
+    }
+
     // Connect to the contract
-    const contract = await getContract({
-      client,
-      chain: sepolia,
-      address: process.env.NFT_CONTRACT_ADDRESS,
-    });
+    const contract = getNFTContract(client, target);
 
     // Try to get token balance
     const balance = await readContract({
@@ -285,56 +1223,145 @@ export async function getWalletNFTs(client, walletAddress) {
 
     console.log(`Wallet ${walletAddress} has ${balance} NFTs`);
 
-    // Manually build an array of NFTs based on balance
-    const nfts = [];
     const balanceNum = Number(balance);
+    const end = limit === null ? balanceNum : Math.min(balanceNum, offset + limit);
+    const indexes = [];
+    for (let i = offset; i < end; i++) {
+      indexes.push(i);
+    }
 
-    for (let i = 0; i < balanceNum; i++) {
-      try {
-        // Get token ID for this owner at index
-        const tokenId = await readContract({
-          contract,
-          method:
-            "function tokenOfOwnerByIndex(address owner, uint256 index) view returns (uint256)",
-          params: [walletAddress, i],
-        });
+    const nfts = await mapWithConcurrency(indexes, concurrency, (index) =>
+      readOwnedNFT(client, contract, walletAddress, index)
+    );
 
-        // Get token URI
-        const tokenUri = await readContract({
-          contract,
-          method: "function tokenURI(uint256 tokenId) view returns (string)",
-          params: [tokenId],
-        });
+    return {
+      nfts: nfts.filter(Boolean),
+      balance: balanceNum,
+      nextOffset: end < balanceNum ? end : null,
+      source: "chain",
+    };
+  } catch (error) {
+    console.error("Error in getWalletNFTs:", error);
+    throw new Error(`Failed to fetch NFTs: ${error.message}`);
+  }
+}
 
-        // Parse metadata from token URI if it's base64 encoded
-        let metadata = {};
-        if (tokenUri.startsWith("data:application/json;base64,")) {
-          const base64Data = tokenUri.replace(
-            "data:application/json;base64,",
-            ""
-          );
-          metadata = JSON.parse(Buffer.from(base64Data, "base64").toString());
-        } else {
-          metadata = {
-            name: `Token #${tokenId}`,
-            description: "No metadata available",
-          };
-        }
+/**
+ * Finds the mint of a token, from the index when it has the token and
+ * otherwise from the contract's Transfer logs
+ * @param {Object} client - Thirdweb client instance
+ * @param {string} tokenId - The token ID as a decimal string
+ * @param {Object} target - Contract target from the registry
+ * @returns {Promise<Object|null>} The mint transfer with its block, hash and
+ *   timestamp, or null if it could not be found
+ */
+async function findTokenMint(client, tokenId, target) {
+  const indexed = getTokenHistory(target, tokenId);
+  if (indexed?.mintedAt) {
+    return indexed.mintedAt;
+  }
 
-        nfts.push({
-          tokenId: String(tokenId),
-          name: metadata.name || `Token #${tokenId}`,
-          description: metadata.description || "",
-          attributes: metadata.attributes || [],
-        });
-      } catch (err) {
-        console.error(`Error fetching token at index ${i}:`, err);
-      }
+  // Not every RPC allows a log query over the whole chain, so this is best effort
+  try {
+    const rpcRequest = getRpcClient({ client, chain: target.chain });
+    const logs = await eth_getLogs(rpcRequest, {
+      address: target.address,
+      topics: [
+        TRANSFER_TOPIC,
+        padHex(ZERO_ADDRESS, { size: 32 }),
+        null,
+        padHex(`0x${BigInt(tokenId).toString(16)}`, { size: 32 }),
+      ],
+      fromBlock: target.startBlock ? BigInt(target.startBlock) : "earliest",
+      toBlock: "latest",
+    });
+    const [mint] = decodeTransferLogs({ logs }, target.address);
+    if (!mint) {
+      return null;
     }
 
-    return nfts;
+    const block = await eth_getBlockByNumber(rpcRequest, {
+      blockNumber: BigInt(mint.blockNumber),
+    });
+    return {
+      type: "mint",
+      from: getAddress(mint.from),
+      to: getAddress(mint.to),
+      blockNumber: mint.blockNumber,
+      transactionHash: mint.transactionHash,
+      logIndex: mint.logIndex,
+      timestamp: new Date(Number(block.timestamp) * 1000).toISOString(),
+    };
   } catch (error) {
-    console.error("Error in getWalletNFTs:", error);
-    throw new Error(`Failed to fetch NFTs: ${error.message}`);
+    console.warn(`Could not find the mint of token ${tokenId}:`, error.message);
+    return null;
   }
 }
+
+/**
+ * Looks up one token: its owner, raw token URI, decoded metadata and mint
+ * @param {Object} client - Thirdweb client instance
+ * @param {string} tokenId - The token ID as a decimal string
+ * @param {Object} target - Contract target from the registry (optional)
+ * @returns {Promise<Object|null>} The token, or null if it was never minted
+ *   or has been burned. Metadata that cannot be resolved is null, with the
+ *   reason in `metadataError`.
+ */
+export async function getToken(client, tokenId, target = resolveContractTarget()) {
+  try {
+    const owner = await getTokenOwner(client, tokenId, target);
+    if (!owner) {
+      return null;
+    }
+
+    const tokenUri = await readContract({
+      contract: getNFTContract(client, target),
+      method: "function tokenURI(uint256 tokenId) view returns (string)",
+      params: [BigInt(tokenId)],
+    });
+
+    let metadata = null;
+    let metadataError = null;
+    try {
+      metadata = await resolveTokenMetadata(client, tokenUri, tokenId);
+    } catch (error) {
+      metadataError = error.message;
+    }
+
+    return {
+      tokenId,
+      owner,
+      tokenUri,
+      metadata,
+      metadataError,
+      mintedAt: await findTokenMint(client, tokenId, target),
+    };
+  } catch (error) {
+    console.error("Error in getToken:", error);
+    throw new Error(`Failed to fetch token: ${error.message}`);
+  }
+}
+
+/**
+ * Looks up many tokens, at most NFT_READ_CONCURRENCY at a time. A token
+ * that cannot be read does not fail the others.
+ * @param {Object} client - Thirdweb client instance
+ * @param {Array<string>} tokenIds - Token IDs as decimal strings
+ * @param {Object} target - Contract target from the registry (optional)
+ * @returns {Promise<Array<Object>>} Per-token results in the same order, each
+ *   the token from getToken with `found: true`, or `found: false` with an `error`
+ */
+export async function getTokens(client, tokenIds, target = resolveContractTarget()) {
+  const concurrency = Number(process.env.NFT_READ_CONCURRENCY || 8);
+
+  return mapWithConcurrency(tokenIds, concurrency, async (tokenId) => {
+    try {
+      const token = await getToken(client, tokenId, target);
+      return token
+        ? { found: true, ...token }
+        : { tokenId, found: false, error: "Token not found" };
+    } catch (error) {
+      return { tokenId, found: false, error: error.message };
+    }
+  });
+}
@@ -0,0 +1,414 @@
+import fs from "fs";
+import {
+  ROUTE_DOCS,
+  errorResponseSchema,
+  validationErrorSchema,
+} from "../schemas/responseSchemas.js";
+
+const ERROR_REF = { $ref: "#/components/schemas/ErrorResponse" };
+const VALIDATION_ERROR_REF = { $ref: "#/components/schemas/ValidationError" };
+
+const IDEMPOTENCY_KEY_PARAMETER = {
+  name: "Idempotency-Key",
+  in: "header",
+  required: false,
+  description:
+    "Unique key (1-255 characters) that makes retries of this request safe; see Idempotent Requests",
+  schema: { type: "string", minLength: 1, maxLength: 255 },
+};
+
+/**
+ * Reads the API version from package.json
+ * @returns {string} The version
+ */
+function getApiVersion() {
+  const packageJson = JSON.parse(
+    fs.readFileSync(new URL("../../package.json", import.meta.url), "utf8")
+  );
+  return packageJson.version;
+}
+
+/**
+ * Converts a validation schema to an OpenAPI 3.0 schema. The custom
+ * `notBlank` and `format` keywords become patterns or descriptions, and
+ * multiple types become `anyOf`.
+ * @param {Object} schema - The validation schema
+ * @returns {Object} The OpenAPI schema
+ */
+export function toOpenApiSchema(schema) {
+  if (Array.isArray(schema.type) && schema.type.length > 1) {
+    const { nullable, description, minimum, maximum, ...stringRules } = schema;
+    const { minLength, maxLength, pattern, ...numberRules } = { ...stringRules, minimum, maximum };
+    return {
+      anyOf: schema.type.map((type) =>
+        toOpenApiSchema({ ...(type === "string" ? stringRules : numberRules), type })
+      ),
+      ...(nullable ? { nullable } : {}),
+      ...(description ? { description } : {}),
+    };
+  }
+
+  const result = {};
+  for (const [key, value] of Object.entries(schema)) {
+    if (key === "type") {
+      result.type = [].concat(value)[0];
+    } else if (key === "properties") {
+      result.properties = Object.fromEntries(
+        Object.entries(value).map(([name, property]) => [name, toOpenApiSchema(property)])
+      );
+    } else if (key === "items") {
+      result.items = toOpenApiSchema(value);
+    } else if (key === "anyOf") {
+      result.anyOf = value.map(toOpenApiSchema);
+    } else if (key === "notBlank") {
+      result.pattern = schema.pattern || "\\S";
+    } else if (key === "format" && value === "address") {
+      result.pattern = "^0x[a-fA-F0-9]{40}$";
+      result.description =
+        "Ethereum address; mixed case must be a valid EIP-55 checksum";
+    } else if (key === "format" && value === "uint256") {
+      result.description = "Decimal uint256, at most 2^256 - 1";
+    } else if (key === "format" && value === "url") {
+      result.format = "uri";
+    } else {
+      result[key] = value;
+    }
+  }
+  return result;
+}
+
+/**
+ * Lists the routes registered on an Express router
+ * @param {Array<Object>} stack - The router's layer stack
+ * @param {string} basePath - The path the router is mounted at
+ * @returns {Array<Object>} Routes with method, Express path and handlers
+ */
+function collectRoutes(stack, basePath) {
+  return stack
+    .filter((layer) => layer.route)
+    .flatMap((layer) =>
+      Object.keys(layer.route.methods)
+        .filter((method) => method !== "_all")
+        .map((method) => ({
+          method: method.toUpperCase(),
+          path: basePath + layer.route.path,
+          handlers: layer.route.stack.map((routeLayer) => routeLayer.handle),
+        }))
+    );
+}
+
+/**
+ * Builds an operation ID such as "getApiTokensByTokenIdHistory"
+ * @param {string} method - The HTTP method
+ * @param {string} path - The Express path
+ * @returns {string} The operation ID
+ */
+function toOperationId(method, path) {
+  const words = path
+    .split(/[/.-]/)
+    .filter(Boolean)
+    .map((segment) =>
+      segment.startsWith(":") ? `By${segment[1].toUpperCase()}${segment.slice(2)}` : segment
+    );
+  return (
+    method.toLowerCase() +
+    words.map((word) => word[0].toUpperCase() + word.slice(1)).join("")
+  );
+}
+
+/**
+ * Converts a query or path schema to OpenAPI parameters
+ * @param {Object} schema - The object schema of the location
+ * @param {string} location - query or path
+ * @returns {Array<Object>} The parameters
+ */
+function toParameters(schema, location) {
+  const required = schema.required || [];
+  return Object.entries(schema.properties || {}).map(([name, property]) => ({
+    name,
+    in: location,
+    required: location === "path" || required.includes(name),
+    schema: toOpenApiSchema(property),
+  }));
+}
+
+/**
+ * Converts a documented response to an OpenAPI response object
+ * @param {Object} response - Description plus schema or content type
+ * @returns {Object} The OpenAPI response
+ */
+function toResponse(response) {
+  if (response.$ref) {
+    return {
+      description: response.description,
+      content: { "application/json": { schema: response.$ref } },
+    };
+  }
+  if (response.contentType) {
+    return {
+      description: response.description,
+      content: { [response.contentType]: { schema: { type: "string" } } },
+    };
+  }
+  return {
+    description: response.description,
+    content: { "application/json": { schema: toOpenApiSchema(response.schema) } },
+  };
+}
+
+/**
+ * Builds the OpenAPI operation for one route from its middleware and docs
+ * @param {Object} route - The route from collectRoutes
+ * @returns {Object} The OpenAPI operation
+ */
+function buildOperation(route) {
+  const docs = ROUTE_DOCS[`${route.method} ${route.path}`];
+  const schemas = Object.assign({}, ...route.handlers.map((handler) => handler.schemas || {}));
+  const scopeHandler = route.handlers.find((handler) => handler.scope);
+  const scope = scopeHandler?.scope;
+  const walletOnly = route.handlers.some((handler) => handler.wallet);
+  const idempotent = route.handlers.some((handler) => handler.idempotent);
+
+  const operation = {
+    operationId: toOperationId(route.method, route.path),
+    tags: docs?.tags || ["Undocumented"],
+    summary: docs?.summary || `${route.method} ${route.path}`,
+  };
+  if (docs?.deprecated) {
+    operation.deprecated = true;
+  }
+  if (scope) {
+    operation.description = `Requires an API key with the \`${scope}\` scope.`;
+  }
+  if (scopeHandler?.allowWallet) {
+    operation.description += " A wallet session may be used instead, for its own wallet only.";
+    operation.security = [{ ApiKeyAuth: [] }, { BearerAuth: [] }];
+  }
+  if (walletOnly) {
+    operation.description = "Requires a wallet session.";
+    operation.security = [{ BearerAuth: [] }];
+  }
+  if (docs?.public) {
+    operation.security = [];
+  }
+
+  // Path parameters without a schema are still listed
+  const pathParameters = toParameters(schemas.params || {}, "path");
+  for (const [, name] of route.path.matchAll(/:(\w+)/g)) {
+    if (!pathParameters.some((parameter) => parameter.name === name)) {
+      pathParameters.push({ name, in: "path", required: true, schema: { type: "string" } });
+    }
+  }
+  const parameters = [...pathParameters, ...toParameters(schemas.query || {}, "query")];
+  if (idempotent) {
+    parameters.push(IDEMPOTENCY_KEY_PARAMETER);
+  }
+  if (parameters.length > 0) {
+    operation.parameters = parameters;
+  }
+
+  if (schemas.body) {
+    operation.requestBody = {
+      required: true,
+      content: { "application/json": { schema: toOpenApiSchema(schemas.body) } },
+    };
+  }
+
+  // Responses shared by the middleware, then the route's own
+  const responses = {};
+  if (schemas.body || schemas.query || schemas.params) {
+    responses[400] = { description: "Validation failed", $ref: VALIDATION_ERROR_REF };
+  }
+  if (!docs?.public) {
+    responses[401] = {
+      description: "API key missing, or wallet session invalid or missing",
+      $ref: ERROR_REF,
+    };
+    responses[403] = {
+      description: "API key invalid or revoked, scope missing, or contract not allowed",
+      $ref: ERROR_REF,
+    };
+  }
+  if (idempotent) {
+    responses[409] = {
+      description: "A request with this Idempotency-Key is in progress or was interrupted",
+      $ref: ERROR_REF,
+    };
+    responses[422] = {
+      description: "Idempotency-Key reused with a different body",
+      $ref: ERROR_REF,
+    };
+  }
+  if (scope || walletOnly) {
+    responses[429] = { description: "Rate limit exceeded", $ref: ERROR_REF };
+    responses[500] = { description: "Server or blockchain error", $ref: ERROR_REF };
+  }
+  Object.assign(responses, docs?.responses || {});
+
+  operation.responses = Object.fromEntries(
+    Object.entries(responses)
+      .sort(([a], [b]) => Number(a) - Number(b))
+      .map(([status, response]) => [status, toResponse(response)])
+  );
+
+  return operation;
+}
+
+/**
+ * Builds the OpenAPI 3 document from the registered Express routes. Request
+ * schemas, scopes and idempotency support are read from each route's
+ * middleware; summaries and response schemas come from ROUTE_DOCS.
+ * @param {Array<Object>} routers - `{ basePath, stack }` for each router,
+ *   where stack is the Express router's layer stack
+ * @returns {Object} The OpenAPI document
+ */
+export function buildOpenApiSpec(routers) {
+  const paths = {};
+  for (const { basePath, stack } of routers) {
+    for (const route of collectRoutes(stack, basePath)) {
+      const path = route.path.replace(/:(\w+)/g, "{$1}");
+      paths[path] = paths[path] || {};
+      paths[path][route.method.toLowerCase()] = buildOperation(route);
+    }
+  }
+
+  return {
+    openapi: "3.0.3",
+    info: {
+      title: "NFT Minting API",
+      version: getApiVersion(),
+      description:
+        "Mint text NFTs and query tokens on thirdweb-deployed ERC-721 contracts.",
+    },
+    security: [{ ApiKeyAuth: [] }],
+    paths,
+    components: {
+      securitySchemes: {
+        ApiKeyAuth: { type: "apiKey", in: "header", name: "x-api-key" },
+        BearerAuth: {
+          type: "http",
+          scheme: "bearer",
+          bearerFormat: "JWT",
+          description: "Wallet session token from POST /api/auth/verify",
+        },
+      },
+      schemas: {
+        ErrorResponse: toOpenApiSchema(errorResponseSchema),
+        ValidationError: toOpenApiSchema(validationErrorSchema),
+      },
+    },
+  };
+}
+
+/**
+ * Escapes text for HTML
+ * @param {*} value - The value
+ * @returns {string} The escaped text
+ */
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+/**
+ * Renders a schema as indented JSON inside a collapsible block
+ * @param {string} label - The block label
+ * @param {Object} schema - The schema
+ * @returns {string} HTML
+ */
+function renderSchema(label, schema) {
+  return `<details><summary>${escapeHtml(label)}</summary><pre>${escapeHtml(
+    JSON.stringify(schema, null, 2)
+  )}</pre></details>`;
+}
+
+/**
+ * Renders one operation
+ * @param {string} method - The HTTP method
+ * @param {string} path - The OpenAPI path
+ * @param {Object} operation - The operation
+ * @returns {string} HTML
+ */
+function renderOperation(method, path, operation) {
+  const parameters = (operation.parameters || [])
+    .map(
+      (parameter) =>
+        `<tr><td><code>${escapeHtml(parameter.name)}</code></td><td>${escapeHtml(
+          parameter.in
+        )}</td><td>${parameter.required ? "yes" : "no"}</td><td><code>${escapeHtml(
+          parameter.schema.type || "any"
+        )}</code></td></tr>`
+    )
+    .join("");
+
+  const responses = Object.entries(operation.responses)
+    .map(([status, response]) => {
+      const [contentType, content] = Object.entries(response.content || {})[0] || [];
+      const label = `${status} ${response.description}`;
+      return `<li>${
+        content && contentType === "application/json"
+          ? renderSchema(label, content.schema)
+          : escapeHtml(`${label}${contentType ? ` (${contentType})` : ""}`)
+      }</li>`;
+    })
+    .join("");
+
+  return `<section class="operation" id="${escapeHtml(operation.operationId)}">
+<h3><span class="method ${method}">${method.toUpperCase()}</span> <code>${escapeHtml(path)}</code>${
+    operation.deprecated ? ' <span class="deprecated">deprecated</span>' : ""
+  }</h3>
+<p>${escapeHtml(operation.summary)}${
+    operation.description ? ` ${escapeHtml(operation.description)}` : ""
+  }</p>
+${parameters ? `<table><tr><th>Parameter</th><th>In</th><th>Required</th><th>Type</th></tr>${parameters}</table>` : ""}
+${operation.requestBody ? renderSchema("Request body", operation.requestBody.content["application/json"].schema) : ""}
+<ul class="responses">${responses}</ul>
+</section>`;
+}
+
+/**
+ * Renders the OpenAPI document as a self-contained HTML page, grouped by
+ * tag. It needs no scripts, so it works under the default Content Security
+ * Policy.
+ * @param {Object} spec - The OpenAPI document
+ * @returns {string} The HTML page
+ */
+export function renderDocsPage(spec) {
+  const byTag = new Map();
+  for (const [path, methods] of Object.entries(spec.paths)) {
+    for (const [method, operation] of Object.entries(methods)) {
+      const tag = operation.tags[0];
+      byTag.set(tag, [...(byTag.get(tag) || []), renderOperation(method, path, operation)]);
+    }
+  }
+
+  const sections = [...byTag]
+    .map(([tag, operations]) => `<h2>${escapeHtml(tag)}</h2>\n${operations.join("\n")}`)
+    .join("\n");
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(spec.info.title)} ${escapeHtml(spec.info.version)}</title>
+<style>
+body { font-family: system-ui, sans-serif; max-width: 960px; margin: 2rem auto; padding: 0 1rem; color: #222; }
+.operation { border: 1px solid #ddd; border-radius: 6px; padding: 0.5rem 1rem; margin: 1rem 0; }
+.method { display: inline-block; min-width: 4rem; text-align: center; border-radius: 4px; color: #fff; font-size: 0.8rem; padding: 0.1rem 0.4rem; }
+.get { background: #2b7bb9; } .post { background: #2e8540; } .delete { background: #c0392b; } .patch { background: #b9770e; } .put { background: #7d3c98; }
+.deprecated { color: #c0392b; font-size: 0.8rem; }
+table { border-collapse: collapse; margin: 0.5rem 0; } td, th { border: 1px solid #ddd; padding: 0.2rem 0.5rem; text-align: left; }
+pre { background: #f6f8fa; padding: 0.5rem; overflow-x: auto; }
+</style>
+</head>
+<body>
+<h1>${escapeHtml(spec.info.title)} <small>${escapeHtml(spec.info.version)}</small></h1>
+<p>${escapeHtml(spec.info.description)} Authenticate with the <code>x-api-key</code> header. The machine readable document is at <a href="/api/openapi.json">/api/openapi.json</a>.</p>
+${sections}
+</body>
+</html>
+`;
+}
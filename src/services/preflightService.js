@@ -0,0 +1,132 @@
+import {
+  estimateGas,
+  estimateGasCost,
+  eth_getBalance,
+  getRpcClient,
+  prepareContractCall,
+  readContract,
+  simulateTransaction,
+  toEther,
+} from "thirdweb";
+import { ROLES } from "../utils/roles.js";
+
+/**
+ * Checks whether mints are checked before they are sent
+ * @returns {boolean} False only when MINT_PREFLIGHT is "false"
+ */
+export function isPreflightEnabled() {
+  return process.env.MINT_PREFLIGHT !== "false";
+}
+
+/**
+ * Reads whether an address holds the minter role
+ * @param {Object} contract - Thirdweb contract instance
+ * @param {string} address - The signer address
+ * @returns {Promise<boolean|null>} The result, or null when the contract has
+ *   no AccessControl roles (e.g. owner-only minting)
+ * @throws {Error} If the RPC request itself fails
+ */
+export async function hasMinterRole(contract, address) {
+  try {
+    return await readContract({
+      contract,
+      method: "function hasRole(bytes32 role, address account) view returns (bool)",
+      params: [ROLES.MINTER_ROLE, address],
+    });
+  } catch (error) {
+    // Contracts without hasRole revert or return no data
+    if (/revert|decode|zero data/i.test(error.message)) {
+      return null;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Dry-runs `mintTo` from a signer without sending anything. The call is
+ * simulated, the signer's minter role is checked, and the signer's balance is
+ * compared to the estimated gas cost of `count` such mints.
+ * @param {Object} client - Thirdweb client instance
+ * @param {Object} options - The mint to check
+ * @param {Object} options.contract - Thirdweb contract instance
+ * @param {string} options.signerAddress - The address that will send the mint
+ * @param {string} options.toAddress - The recipient
+ * @param {string} options.tokenUri - The token URI, or a stand-in at least as long
+ * @param {number} options.count - Number of mints the balance must cover (optional)
+ * @returns {Promise<Object>} `ok`, the signer, minter role, simulation, gas
+ *   and balance details, and `reasons` with a code and message for each
+ *   problem found
+ */
+export async function preflightMint(
+  client,
+  { contract, signerAddress, toAddress, tokenUri, count = 1 }
+) {
+  const rpcRequest = getRpcClient({ client, chain: contract.chain });
+  const reasons = [];
+
+  // Network errors surface here, before anything is reported as a mint problem
+  const balance = await eth_getBalance(rpcRequest, { address: signerAddress });
+
+  const minterRole = await hasMinterRole(contract, signerAddress);
+  if (minterRole === false) {
+    reasons.push({
+      code: "not_minter",
+      message: `Signer ${signerAddress} does not have the minter role on ${contract.address}`,
+    });
+  }
+
+  const transaction = prepareContractCall({
+    contract,
+    method: "function mintTo(address _to, string _uri) returns (uint256)",
+    params: [toAddress, tokenUri],
+  });
+
+  let simulation;
+  try {
+    const tokenId = await simulateTransaction({ transaction, from: signerAddress });
+    simulation = { success: true, tokenId: String(tokenId), error: null };
+  } catch (error) {
+    simulation = { success: false, tokenId: null, error: error.message };
+    reasons.push({ code: "simulation_reverted", message: error.message });
+  }
+
+  // Gas can only be estimated for a call that would succeed
+  let gas = null;
+  if (simulation.success) {
+    const limit = await estimateGas({ transaction, from: signerAddress });
+    const cost = await estimateGasCost({
+      transaction: { ...transaction, gas: limit },
+      from: signerAddress,
+    });
+    const totalCost = cost.wei * BigInt(count);
+    gas = {
+      limit: String(limit),
+      costWei: String(cost.wei),
+      costEther: cost.ether,
+      totalCostWei: String(totalCost),
+      totalCostEther: toEther(totalCost),
+    };
+
+    if (balance < totalCost) {
+      reasons.push({
+        code: "insufficient_funds",
+        message: `Signer balance ${toEther(balance)} is below the estimated cost ${toEther(totalCost)}`,
+      });
+    }
+  } else if (balance === 0n) {
+    reasons.push({
+      code: "insufficient_funds",
+      message: `Signer ${signerAddress} has no funds for gas`,
+    });
+  }
+
+  return {
+    ok: reasons.length === 0,
+    signer: signerAddress,
+    minterRole,
+    simulation,
+    gas,
+    balance: { wei: String(balance), ether: toEther(balance) },
+    reasons,
+  };
+}
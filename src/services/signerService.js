@@ -0,0 +1,279 @@
+import crypto from "crypto";
+import fs from "fs";
+import path from "path";
+import { getAddress, keccak256 } from "thirdweb";
+import { privateKeyToAccount } from "thirdweb/wallets";
+
+// Default scrypt parameters, matching geth's "standard" keystore settings
+const SCRYPT_N = 262144;
+const SCRYPT_R = 8;
+const SCRYPT_P = 1;
+const DKLEN = 32;
+
+// Accounts are decrypted once and then kept in memory
+const accountCache = new Map();
+
+// The parsed keystore file, with the path it was read from
+let keystoreCache = null;
+
+/**
+ * Gets the path of the encrypted keystore file
+ * @returns {string} Absolute path to the keystore file
+ */
+export function getKeystorePath() {
+  return path.resolve(process.env.SIGNER_KEYSTORE_PATH || "keystore.json");
+}
+
+/**
+ * Gets the keystore password from the environment
+ * @returns {string} The keystore password
+ */
+function getKeystorePassword() {
+  const password = process.env.SIGNER_KEYSTORE_PASSWORD;
+  if (!password) {
+    throw new Error("SIGNER_KEYSTORE_PASSWORD is not configured");
+  }
+  return password;
+}
+
+/**
+ * Derives the encryption key for a V3 keystore entry
+ * @param {string} password - The keystore password
+ * @param {Object} cryptoParams - The `crypto` section of a V3 keystore
+ * @returns {Buffer} The derived key
+ */
+function deriveKey(password, cryptoParams) {
+  const { kdf, kdfparams } = cryptoParams;
+  const salt = Buffer.from(kdfparams.salt, "hex");
+
+  if (kdf === "scrypt") {
+    return crypto.scryptSync(password, salt, kdfparams.dklen, {
+      N: kdfparams.n,
+      r: kdfparams.r,
+      p: kdfparams.p,
+      maxmem: 256 * kdfparams.n * kdfparams.r,
+    });
+  }
+
+  if (kdf === "pbkdf2") {
+    if (kdfparams.prf !== "hmac-sha256") {
+      throw new Error(`Unsupported pbkdf2 prf: ${kdfparams.prf}`);
+    }
+    return crypto.pbkdf2Sync(
+      password,
+      salt,
+      kdfparams.c,
+      kdfparams.dklen,
+      "sha256"
+    );
+  }
+
+  throw new Error(`Unsupported keystore kdf: ${kdf}`);
+}
+
+/**
+ * Computes the keystore MAC over the derived key and ciphertext
+ * @param {Buffer} derivedKey - The derived key
+ * @param {Buffer} ciphertext - The encrypted private key
+ * @returns {string} The MAC as a hex string without 0x prefix
+ */
+function computeMac(derivedKey, ciphertext) {
+  return keccak256(
+    Buffer.concat([derivedKey.subarray(16, 32), ciphertext])
+  ).substring(2);
+}
+
+/**
+ * Encrypts a private key into a Web3 Secret Storage (V3) keystore entry
+ * @param {Object} client - Thirdweb client instance
+ * @param {string} privateKey - The private key, with or without 0x prefix
+ * @param {string} password - The password to encrypt with
+ * @returns {Object} The V3 keystore entry
+ */
+export function encryptPrivateKey(client, privateKey, password) {
+  const privateKeyStr = privateKey.trim().replace(/^0x/, "");
+  if (!/^[a-fA-F0-9]{64}$/.test(privateKeyStr)) {
+    throw new Error("Invalid private key format. Expected 64 hex characters.");
+  }
+
+  const account = privateKeyToAccount({
+    privateKey: privateKeyStr,
+    client,
+  });
+
+  const salt = crypto.randomBytes(32);
+  const iv = crypto.randomBytes(16);
+  const kdfparams = {
+    dklen: DKLEN,
+    salt: salt.toString("hex"),
+    n: SCRYPT_N,
+    r: SCRYPT_R,
+    p: SCRYPT_P,
+  };
+  const derivedKey = deriveKey(password, { kdf: "scrypt", kdfparams });
+
+  const cipher = crypto.createCipheriv(
+    "aes-128-ctr",
+    derivedKey.subarray(0, 16),
+    iv
+  );
+  const ciphertext = Buffer.concat([
+    cipher.update(Buffer.from(privateKeyStr, "hex")),
+    cipher.final(),
+  ]);
+
+  return {
+    version: 3,
+    id: crypto.randomUUID(),
+    address: account.address.substring(2).toLowerCase(),
+    crypto: {
+      cipher: "aes-128-ctr",
+      cipherparams: { iv: iv.toString("hex") },
+      ciphertext: ciphertext.toString("hex"),
+      kdf: "scrypt",
+      kdfparams,
+      mac: computeMac(derivedKey, ciphertext),
+    },
+  };
+}
+
+/**
+ * Decrypts a Web3 Secret Storage (V3) keystore entry
+ * @param {Object} keystore - The V3 keystore entry
+ * @param {string} password - The password to decrypt with
+ * @returns {string} The private key as a hex string without 0x prefix
+ */
+export function decryptPrivateKey(keystore, password) {
+  if (!keystore || keystore.version !== 3) {
+    throw new Error("Unsupported keystore version. Expected version 3.");
+  }
+
+  const cryptoParams = keystore.crypto || keystore.Crypto;
+  if (cryptoParams.cipher !== "aes-128-ctr") {
+    throw new Error(`Unsupported keystore cipher: ${cryptoParams.cipher}`);
+  }
+
+  const derivedKey = deriveKey(password, cryptoParams);
+  const ciphertext = Buffer.from(cryptoParams.ciphertext, "hex");
+
+  if (computeMac(derivedKey, ciphertext) !== cryptoParams.mac.toLowerCase()) {
+    throw new Error("Keystore password is incorrect or the file is corrupted");
+  }
+
+  const decipher = crypto.createDecipheriv(
+    "aes-128-ctr",
+    derivedKey.subarray(0, 16),
+    Buffer.from(cryptoParams.cipherparams.iv, "hex")
+  );
+  return Buffer.concat([
+    decipher.update(ciphertext),
+    decipher.final(),
+  ]).toString("hex");
+}
+
+/**
+ * Reads the keystore file, from disk on first use and from memory after that.
+ * Changes made by another process are seen after a restart.
+ * @returns {Object} The keystore contents, keyed by signer ID
+ */
+export function readKeystore() {
+  const keystorePath = getKeystorePath();
+  if (keystoreCache?.path === keystorePath) {
+    return keystoreCache.keystore;
+  }
+
+  const keystore = fs.existsSync(keystorePath)
+    ? { signers: JSON.parse(fs.readFileSync(keystorePath, "utf8")).signers || {} }
+    : { signers: {} };
+
+  keystoreCache = { path: keystorePath, keystore };
+  return keystore;
+}
+
+/**
+ * Writes the keystore file to disk, readable only by the current user
+ * @param {Object} keystore - The keystore contents, keyed by signer ID
+ */
+export function writeKeystore(keystore) {
+  const keystorePath = getKeystorePath();
+  fs.writeFileSync(keystorePath, JSON.stringify(keystore, null, 2), {
+    mode: 0o600,
+  });
+
+  // Signers may have been replaced, so their decrypted accounts are dropped too
+  keystoreCache = null;
+  accountCache.clear();
+}
+
+/**
+ * Gets the signer ID used when a request does not specify one
+ * @returns {string|null} The default signer ID
+ */
+export function getDefaultSignerId() {
+  return process.env.DEFAULT_SIGNER_ID || null;
+}
+
+/**
+ * Checks whether a signer ID exists in the keystore
+ * @param {string} signerId - The signer ID
+ * @returns {boolean} Whether the signer exists
+ */
+export function hasSigner(signerId) {
+  return Boolean(signerId && readKeystore().signers[signerId]);
+}
+
+/**
+ * Lists the signers in the keystore without decrypting them
+ * @returns {Array<Object>} Signer IDs and their public addresses
+ */
+export function listSigners() {
+  const { signers } = readKeystore();
+  return Object.entries(signers).map(([signerId, entry]) => ({
+    signerId,
+    address: entry.address ? getAddress(`0x${entry.address}`) : "unknown",
+    default: signerId === getDefaultSignerId(),
+  }));
+}
+
+/**
+ * Gets the account for a server-managed signer, decrypting it on first use
+ * @param {Object} client - Thirdweb client instance
+ * @param {string} signerId - The signer ID in the keystore
+ * @returns {Object} Thirdweb account for signing transactions
+ */
+export function getSignerAccount(client, signerId) {
+  if (!signerId) {
+    throw new Error("No signerId provided and DEFAULT_SIGNER_ID is not set");
+  }
+
+  if (accountCache.has(signerId)) {
+    return accountCache.get(signerId);
+  }
+
+  const entry = readKeystore().signers[signerId];
+  if (!entry) {
+    throw new Error(`Unknown signer: ${signerId}`);
+  }
+
+  const privateKey = decryptPrivateKey(entry, getKeystorePassword());
+  const account = privateKeyToAccount({ privateKey, client });
+
+  accountCache.set(signerId, account);
+  console.log(`Signer ${signerId} loaded:`, account.address);
+  return account;
+}
+
+/**
+ * Gets a signer's address, from the keystore when recorded there so the key
+ * does not have to be decrypted
+ * @param {Object} client - Thirdweb client instance
+ * @param {string} signerId - The signer ID in the keystore
+ * @returns {string} The checksummed signer address
+ */
+export function getSignerAddress(client, signerId) {
+  const entry = signerId ? readKeystore().signers[signerId] : null;
+  if (entry?.address) {
+    return getAddress(`0x${entry.address}`);
+  }
+  return getSignerAccount(client, signerId).address;
+}
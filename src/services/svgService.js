@@ -0,0 +1,300 @@
+import fs from "fs";
+import path from "path";
+
+// Built-in templates; config/svg-templates.json can override or add to these
+const BUILT_IN_TEMPLATES = {
+  default: {
+    width: 1000,
+    height: 1000,
+    padding: 80,
+    background: "#0f172a",
+    textColor: "#f8fafc",
+    fontFamily: "Helvetica, Arial, sans-serif",
+    fontWeight: "bold",
+    fontSize: 72,
+    minFontSize: 28,
+    lineHeight: 1.25,
+    maxChars: 280,
+    maxLines: 12,
+  },
+  light: {
+    width: 1000,
+    height: 1000,
+    padding: 80,
+    background: "#ffffff",
+    textColor: "#111827",
+    fontFamily: "Georgia, 'Times New Roman', serif",
+    fontWeight: "normal",
+    fontSize: 72,
+    minFontSize: 28,
+    lineHeight: 1.3,
+    maxChars: 280,
+    maxLines: 12,
+  },
+};
+
+// Style fields that may be overridden when previewing, with their bounds
+const NUMERIC_STYLE_FIELDS = {
+  width: [100, 4000],
+  height: [100, 4000],
+  padding: [0, 1000],
+  fontSize: [4, 400],
+  minFontSize: [4, 400],
+  lineHeight: [0.5, 4],
+  maxChars: [1, 2000],
+  maxLines: [1, 100],
+};
+const STRING_STYLE_FIELDS = ["background", "textColor", "fontFamily", "fontWeight"];
+
+// Average glyph width relative to font size, used to estimate line length
+const CHAR_WIDTH_RATIO = 0.6;
+
+let templates = null;
+
+/**
+ * Loads the SVG templates, merging config/svg-templates.json over the built-ins
+ * @returns {Object} Templates keyed by name
+ */
+export function loadTemplates() {
+  if (templates) {
+    return templates;
+  }
+
+  const templatesPath = path.resolve(
+    process.env.SVG_TEMPLATES_PATH || "config/svg-templates.json"
+  );
+  const configured = fs.existsSync(templatesPath)
+    ? JSON.parse(fs.readFileSync(templatesPath, "utf8"))
+    : {};
+
+  templates = {};
+  for (const [name, template] of Object.entries({
+    ...BUILT_IN_TEMPLATES,
+    ...configured,
+  })) {
+    // Custom templates only need to list what differs from the default
+    templates[name] = { ...BUILT_IN_TEMPLATES.default, ...template };
+  }
+
+  return templates;
+}
+
+/**
+ * Lists the available template names
+ * @returns {Array<string>} Template names
+ */
+export function listTemplates() {
+  return Object.keys(loadTemplates());
+}
+
+/**
+ * Resolves a template by name, applying optional style overrides
+ * @param {string} templateName - The template name (defaults to "default")
+ * @param {Object} style - Style overrides (optional)
+ * @returns {Object} The resolved template
+ */
+export function resolveTemplate(templateName = "default", style = {}) {
+  const template = loadTemplates()[templateName || "default"];
+  if (!template) {
+    throw new Error(`Unknown SVG template: ${templateName}`);
+  }
+
+  const overrides = {};
+  for (const [field, [min, max]] of Object.entries(NUMERIC_STYLE_FIELDS)) {
+    if (style[field] !== undefined) {
+      const value = Number(style[field]);
+      if (!Number.isFinite(value) || value < min || value > max) {
+        throw new Error(`Invalid style.${field}: expected a number from ${min} to ${max}`);
+      }
+      overrides[field] = value;
+    }
+  }
+  for (const field of STRING_STYLE_FIELDS) {
+    if (style[field] !== undefined) {
+      if (typeof style[field] !== "string" || style[field].length > 200) {
+        throw new Error(`Invalid style.${field}: expected a string`);
+      }
+      overrides[field] = style[field];
+    }
+  }
+
+  const resolved = { ...template, ...overrides };
+  resolved.minFontSize = Math.min(resolved.minFontSize, resolved.fontSize);
+  return resolved;
+}
+
+/**
+ * Checks that text can be rendered with a template
+ * @param {string} text - The NFT text
+ * @param {string} templateName - The template name (optional)
+ * @returns {Object|null} The offending field (text or template) with an error
+ *   code and message, or null if the text is valid
+ */
+export function validateTextForTemplate(text, templateName) {
+  let template;
+  try {
+    template = resolveTemplate(templateName);
+  } catch (error) {
+    return { field: "template", code: "unknown_template", message: error.message };
+  }
+
+  if (text.length > template.maxChars) {
+    return {
+      field: "text",
+      code: "too_long",
+      message: `Text is too long: ${text.length} characters. Maximum is ${template.maxChars}.`,
+    };
+  }
+
+  return null;
+}
+
+/**
+ * Escapes text for use inside SVG markup
+ * @param {string} value - The raw text
+ * @returns {string} The escaped text
+ */
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&apos;");
+}
+
+/**
+ * Wraps text into lines of at most maxCharsPerLine characters. Explicit
+ * line breaks are kept and words longer than a line are split.
+ * @param {string} text - The text to wrap
+ * @param {number} maxCharsPerLine - Maximum characters per line
+ * @returns {Array<string>} The wrapped lines
+ */
+export function wrapText(text, maxCharsPerLine) {
+  const lines = [];
+
+  for (const paragraph of text.split(/\r?\n/)) {
+    let line = "";
+
+    for (let word of paragraph.split(/\s+/).filter(Boolean)) {
+      while (word.length > maxCharsPerLine) {
+        if (line) {
+          lines.push(line);
+          line = "";
+        }
+        lines.push(word.substring(0, maxCharsPerLine));
+        word = word.substring(maxCharsPerLine);
+      }
+
+      if (!line) {
+        line = word;
+      } else if (line.length + 1 + word.length <= maxCharsPerLine) {
+        line += ` ${word}`;
+      } else {
+        lines.push(line);
+        line = word;
+      }
+    }
+
+    lines.push(line);
+  }
+
+  return lines;
+}
+
+/**
+ * Picks the largest font size at which the wrapped text fits the template,
+ * truncating with an ellipsis if it does not fit even at the minimum size
+ * @param {string} text - The text to lay out
+ * @param {Object} template - The resolved template
+ * @returns {Object} Font size, line height and lines
+ */
+export function layoutText(text, template) {
+  const contentWidth = template.width - template.padding * 2;
+  const contentHeight = template.height - template.padding * 2;
+
+  for (
+    let fontSize = template.fontSize;
+    fontSize >= template.minFontSize;
+    fontSize -= 2
+  ) {
+    const maxCharsPerLine = Math.max(
+      1,
+      Math.floor(contentWidth / (fontSize * CHAR_WIDTH_RATIO))
+    );
+    const lines = wrapText(text, maxCharsPerLine);
+    const lineHeight = fontSize * template.lineHeight;
+
+    if (
+      lines.length <= template.maxLines &&
+      lines.length * lineHeight <= contentHeight
+    ) {
+      return { fontSize, lineHeight, lines };
+    }
+  }
+
+  const fontSize = template.minFontSize;
+  const lineHeight = fontSize * template.lineHeight;
+  const maxCharsPerLine = Math.max(
+    1,
+    Math.floor(contentWidth / (fontSize * CHAR_WIDTH_RATIO))
+  );
+  const maxLines = Math.max(
+    1,
+    Math.min(template.maxLines, Math.floor(contentHeight / lineHeight))
+  );
+  const wrapped = wrapText(text, maxCharsPerLine);
+  if (wrapped.length <= maxLines) {
+    return { fontSize, lineHeight, lines: wrapped };
+  }
+
+  const lines = wrapped.slice(0, maxLines);
+  const last = lines[maxLines - 1];
+  lines[maxLines - 1] = `${last.substring(0, maxCharsPerLine - 1)}…`;
+
+  return { fontSize, lineHeight, lines };
+}
+
+/**
+ * Renders text into an SVG image
+ * @param {string} text - The text to render
+ * @param {string} templateName - The template name (optional)
+ * @param {Object} style - Style overrides (optional)
+ * @returns {string} The SVG markup
+ */
+export function renderTextSvg(text, templateName = "default", style = {}) {
+  const template = resolveTemplate(templateName, style);
+  const { fontSize, lineHeight, lines } = layoutText(text, template);
+
+  // Center the block of lines vertically; each line is centered horizontally
+  const blockHeight = lines.length * lineHeight;
+  const firstBaseline =
+    (template.height - blockHeight) / 2 + lineHeight / 2 + fontSize * 0.35;
+
+  const tspans = lines
+    .map(
+      (line, index) =>
+        `<tspan x="${template.width / 2}" y="${(
+          firstBaseline +
+          index * lineHeight
+        ).toFixed(1)}">${escapeXml(line)}</tspan>`
+    )
+    .join("");
+
+  return (
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${template.width}" height="${template.height}" viewBox="0 0 ${template.width} ${template.height}">` +
+    `<rect width="100%" height="100%" fill="${escapeXml(template.background)}"/>` +
+    `<text text-anchor="middle" fill="${escapeXml(template.textColor)}" font-family="${escapeXml(template.fontFamily)}" font-weight="${escapeXml(template.fontWeight)}" font-size="${fontSize}">` +
+    tspans +
+    "</text></svg>"
+  );
+}
+
+/**
+ * Encodes an SVG as a base64 data URI for use as an NFT image
+ * @param {string} svg - The SVG markup
+ * @returns {string} The image URI
+ */
+export function toSvgDataUri(svg) {
+  return `data:image/svg+xml;base64,${Buffer.from(svg).toString("base64")}`;
+}
@@ -0,0 +1,822 @@
+import crypto from "crypto";
+import {
+  encode,
+  estimateGas,
+  eth_blockNumber,
+  eth_gasPrice,
+  eth_getBlockByNumber,
+  eth_getTransactionByHash,
+  eth_getTransactionCount,
+  eth_getTransactionReceipt,
+  eth_maxPriorityFeePerGas,
+  getRpcClient,
+  prepareTransaction,
+  sendTransaction,
+  toTokens,
+  toUnits,
+  waitForReceipt,
+} from "thirdweb";
+import { createJsonStore } from "../utils/jsonStore.js";
+import { resolveContractTarget } from "./contractRegistry.js";
+import { getSignerAccount } from "./signerService.js";
+
+// Sent transactions are persisted so stuck ones are still replaced after a restart
+const store = createJsonStore("transactions", { transactions: {} });
+
+export const STUCK_TX_ACTIONS = ["speedup", "cancel", "none"];
+
+export const TRANSACTION_STATUSES = [
+  "pending",
+  "confirmed",
+  "reverted",
+  "cancelled",
+  "dropped",
+];
+
+// Nodes reject a replacement unless every fee rises by at least 10%
+const MIN_REPLACEMENT_BUMP_PERCENT = 10;
+
+let monitorTimer = null;
+let monitorBusy = false;
+
+// Callers waiting on a transaction, by transaction record ID
+const waiters = new Map();
+
+/**
+ * Reads the fee policy and stuck-transaction settings from the environment
+ * @returns {Object} Fee cap and tip in wei (or null), bump percentage,
+ *   stuck timeout, action and replacement limit, poll interval and history size
+ */
+function getTransactionConfig() {
+  const gwei = (value) => (value ? toUnits(String(value), 9) : null);
+  const action = process.env.STUCK_TX_ACTION || "speedup";
+
+  return {
+    maxFeePerGas: gwei(process.env.GAS_MAX_FEE_GWEI),
+    maxPriorityFeePerGas: gwei(process.env.GAS_PRIORITY_FEE_GWEI),
+    bumpPercent: Math.max(
+      Number(process.env.GAS_FEE_BUMP_PERCENT) || 15,
+      MIN_REPLACEMENT_BUMP_PERCENT
+    ),
+    stuckTimeoutMs: Number(process.env.STUCK_TX_TIMEOUT_MS) || 180000,
+    stuckAction: STUCK_TX_ACTIONS.includes(action) ? action : "speedup",
+    maxReplacements: Number(process.env.STUCK_TX_MAX_REPLACEMENTS) || 3,
+    pollIntervalMs: Number(process.env.TX_MONITOR_INTERVAL_MS) || 5000,
+    historyMaxEntries: Number(process.env.TX_HISTORY_MAX) || 1000,
+  };
+}
+
+/**
+ * Combines the server fee policy with a per-request override. A request can
+ * set its own tip and a lower fee cap, but never a cap above GAS_MAX_FEE_GWEI.
+ * @param {Object} overrides - Per-request fees (optional)
+ * @param {number} overrides.maxFeeGwei - Maximum fee per gas in gwei
+ * @param {number} overrides.priorityFeeGwei - Priority fee (tip) per gas in gwei
+ * @returns {Object} The policy with `maxFeePerGas` and `maxPriorityFeePerGas`
+ *   in wei, each null when the network suggestion should be used
+ */
+export function getFeePolicy(overrides = {}) {
+  const config = getTransactionConfig();
+  let { maxFeePerGas, maxPriorityFeePerGas } = config;
+
+  if (overrides?.maxFeeGwei !== undefined && overrides?.maxFeeGwei !== null) {
+    const requested = toUnits(String(overrides.maxFeeGwei), 9);
+    maxFeePerGas = maxFeePerGas === null || requested < maxFeePerGas ? requested : maxFeePerGas;
+  }
+  if (overrides?.priorityFeeGwei !== undefined && overrides?.priorityFeeGwei !== null) {
+    maxPriorityFeePerGas = toUnits(String(overrides.priorityFeeGwei), 9);
+  }
+
+  return { maxFeePerGas, maxPriorityFeePerGas };
+}
+
+/**
+ * Caps a fee at a maximum
+ * @param {bigint} fee - The fee in wei
+ * @param {bigint|null} cap - The cap in wei, or null for none
+ * @returns {bigint} The capped fee
+ */
+function capFee(fee, cap) {
+  return cap !== null && fee > cap ? cap : fee;
+}
+
+/**
+ * Works out the fees to send with under a fee policy. On EIP-1559 chains the
+ * max fee is twice the latest base fee plus the tip, as thirdweb does by
+ * default; chains without a base fee get a legacy gas price.
+ * @param {Object} client - Thirdweb client instance
+ * @param {Object} chain - Thirdweb chain
+ * @param {Object} policy - Fee policy from getFeePolicy (optional)
+ * @returns {Promise<Object>} `maxFeePerGas` and `maxPriorityFeePerGas`, or `gasPrice`
+ */
+export async function resolveFees(client, chain, policy = getFeePolicy()) {
+  const rpcRequest = getRpcClient({ client, chain });
+  const [block, suggestedTip] = await Promise.all([
+    eth_getBlockByNumber(rpcRequest, { blockTag: "latest" }),
+    eth_maxPriorityFeePerGas(rpcRequest).catch(() => null),
+  ]);
+
+  if (block?.baseFeePerGas == null || suggestedTip === null) {
+    const gasPrice = await eth_gasPrice(rpcRequest);
+    return { gasPrice: capFee(gasPrice, policy.maxFeePerGas) };
+  }
+
+  const tip = capFee(policy.maxPriorityFeePerGas ?? suggestedTip, policy.maxFeePerGas);
+  return {
+    maxFeePerGas: capFee(block.baseFeePerGas * 2n + tip, policy.maxFeePerGas),
+    maxPriorityFeePerGas: tip,
+  };
+}
+
+/**
+ * Converts fees in wei to strings for storage and API responses
+ * @param {Object} fees - Fees in wei
+ * @returns {Object} The same fees as decimal strings
+ */
+function serializeFees(fees) {
+  return Object.fromEntries(
+    Object.entries(fees).map(([name, value]) => [name, String(value)])
+  );
+}
+
+/**
+ * Converts stored fees back to wei
+ * @param {Object} fees - Fees as decimal strings
+ * @returns {Object} The same fees as bigints
+ */
+function parseFees(fees) {
+  return Object.fromEntries(
+    Object.entries(fees).map(([name, value]) => [name, BigInt(value)])
+  );
+}
+
+/**
+ * Formats a stored transaction for API responses
+ * @param {Object} record - The stored transaction
+ * @returns {Object} The public view of the transaction
+ */
+function toPublicTransaction(record) {
+  const latest = record.attempts[record.attempts.length - 1];
+  return {
+    id: record.id,
+    status: record.status,
+    transactionHash: latest.hash,
+    minedHash: record.minedHash,
+    chainId: record.chainId,
+    contract: record.contract,
+    from: record.from,
+    signerId: record.signerId,
+    nonce: record.nonce,
+    fees: Object.fromEntries(
+      Object.entries(latest.fees).map(([name, value]) => [
+        `${name}Gwei`,
+        toTokens(BigInt(value), 9),
+      ])
+    ),
+    attempts: record.attempts.map(({ hash, kind, sentAt }) => ({ hash, kind, sentAt })),
+    error: record.error,
+    createdAt: record.createdAt,
+    updatedAt: record.updatedAt,
+  };
+}
+
+/**
+ * Finds the stored transaction that sent a hash, including replacements
+ * @param {string} transactionHash - Any hash sent for the transaction
+ * @returns {Object|undefined} The stored transaction
+ */
+function findRecord(transactionHash) {
+  const hash = transactionHash.toLowerCase();
+  return Object.values(store.read().transactions).find((record) =>
+    record.attempts.some((attempt) => attempt.hash.toLowerCase() === hash)
+  );
+}
+
+/**
+ * Applies changes to a stored transaction
+ * @param {string} id - The transaction record ID
+ * @param {Object|Function} changes - Fields to update, or a function that
+ *   mutates the record
+ * @returns {Object} The updated record
+ */
+function updateRecord(id, changes) {
+  return store.update(({ transactions }) => {
+    const record = transactions[id];
+    if (typeof changes === "function") {
+      changes(record);
+    } else {
+      Object.assign(record, changes);
+    }
+    record.updatedAt = new Date().toISOString();
+    return record;
+  });
+}
+
+/**
+ * Drops the oldest finished transactions beyond TX_HISTORY_MAX
+ * @param {Object} transactions - Stored transactions by ID
+ */
+function pruneTransactions(transactions) {
+  const { historyMaxEntries } = getTransactionConfig();
+  const finished = Object.values(transactions)
+    .filter((record) => record.status !== "pending")
+    .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+
+  for (const record of finished.slice(0, Math.max(0, finished.length - historyMaxEntries))) {
+    delete transactions[record.id];
+  }
+}
+
+/**
+ * Sends a contract call from a keystore signer with fees from the fee policy,
+ * and tracks it until it is mined. Stuck transactions are sped up or
+ * cancelled by the transaction monitor.
+ * @param {Object} client - Thirdweb client instance
+ * @param {Object} options - What to send
+ * @param {Object} options.transaction - Prepared contract call (may set a nonce)
+ * @param {string} options.signerId - The keystore signer to send from
+ * @param {Object} options.target - Contract target from the registry
+ * @param {Object} options.fees - Per-request fee override (optional)
+ * @param {Function} options.onSending - Called just before the transaction is
+ *   broadcast; from then on a failure may leave it sent (optional)
+ * @returns {Promise<Object>} The `transactionHash` that was sent
+ */
+export async function sendTrackedTransaction(
+  client,
+  { transaction, signerId, target, fees = null, onSending = null }
+) {
+  const account = getSignerAccount(client, signerId);
+  const rpcRequest = getRpcClient({ client, chain: target.chain });
+  const policy = getFeePolicy(fees);
+
+  // Fix everything a replacement must repeat before the first send
+  const [data, gas, feeValues, nonce] = await Promise.all([
+    encode(transaction),
+    estimateGas({ transaction, from: account.address }),
+    resolveFees(client, target.chain, policy),
+    transaction.nonce ??
+      eth_getTransactionCount(rpcRequest, {
+        address: account.address,
+        blockTag: "pending",
+      }),
+  ]);
+
+  if (onSending) {
+    await onSending();
+  }
+  const { transactionHash } = await sendTransaction({
+    account,
+    transaction: prepareTransaction({
+      client,
+      chain: target.chain,
+      to: target.address,
+      data,
+      gas,
+      nonce: Number(nonce),
+      ...feeValues,
+    }),
+  });
+
+  const now = new Date().toISOString();
+  const record = {
+    id: crypto.randomUUID(),
+    status: "pending",
+    chainId: target.chainId,
+    contract: target.address,
+    from: account.address,
+    signerId,
+    nonce: Number(nonce),
+    data,
+    gas: String(gas),
+    feeCap: policy.maxFeePerGas === null ? null : String(policy.maxFeePerGas),
+    atFeeCap: false,
+    attempts: [
+      { hash: transactionHash, kind: "original", fees: serializeFees(feeValues), sentAt: now },
+    ],
+    minedHash: null,
+    error: null,
+    createdAt: now,
+    updatedAt: now,
+  };
+
+  store.update(({ transactions }) => {
+    transactions[record.id] = record;
+  });
+
+  startTransactionMonitor(client);
+  return { transactionHash };
+}
+
+/**
+ * Raises fees for a replacement by the bump percentage, or to the current
+ * network fees if those are higher, without going over the fee cap
+ * @param {Object} previous - Fees of the transaction being replaced, in wei
+ * @param {Object} current - Fees the network suggests now, in wei
+ * @param {bigint|null} cap - Fee cap in wei, or null for none
+ * @param {number} bumpPercent - Percentage to raise fees by
+ * @returns {Object|null} The new fees, or null when the cap leaves no room
+ *   for a replacement the network would accept
+ */
+function bumpFees(previous, current, cap, bumpPercent) {
+  const bump = (fee, percent) => (fee * BigInt(100 + percent) + 99n) / 100n;
+  const next = {};
+
+  for (const [name, fee] of Object.entries(previous)) {
+    const raised = bump(fee, bumpPercent);
+    const suggested = current[name] ?? 0n;
+    next[name] = capFee(raised > suggested ? raised : suggested, cap);
+
+    if (next[name] < bump(fee, MIN_REPLACEMENT_BUMP_PERCENT)) {
+      return null;
+    }
+  }
+
+  return next;
+}
+
+/**
+ * Replaces a stuck transaction at the same nonce with higher fees. A speed-up
+ * resends the same call; a cancellation sends nothing to the signer itself.
+ * @param {Object} client - Thirdweb client instance
+ * @param {Object} record - The stored transaction
+ * @param {Object} target - Contract target from the registry
+ * @param {string} kind - "speedup" or "cancel"
+ * @returns {Promise<Object|null>} The updated record, or null when fees are
+ *   already at the cap
+ */
+async function replaceTransaction(client, record, target, kind) {
+  const { bumpPercent } = getTransactionConfig();
+  const latest = record.attempts[record.attempts.length - 1];
+  const previous = parseFees(latest.fees);
+  const cap = record.feeCap === null ? null : BigInt(record.feeCap);
+
+  const current = await resolveFees(client, target.chain, {
+    maxFeePerGas: null,
+    maxPriorityFeePerGas: null,
+  });
+  const fees = bumpFees(previous, current, cap, bumpPercent);
+  if (!fees) {
+    return null;
+  }
+
+  const account = getSignerAccount(client, record.signerId);
+  const call =
+    kind === "cancel"
+      ? { to: record.from, data: "0x", value: 0n, gas: 21000n }
+      : { to: record.contract, data: record.data, gas: BigInt(record.gas) };
+
+  const { transactionHash } = await sendTransaction({
+    account,
+    transaction: prepareTransaction({
+      client,
+      chain: target.chain,
+      nonce: record.nonce,
+      ...call,
+      ...fees,
+    }),
+  });
+
+  console.log(
+    `Replaced stuck transaction ${latest.hash} (${kind}) with ${transactionHash}`
+  );
+
+  return updateRecord(record.id, (stored) => {
+    stored.attempts.push({
+      hash: transactionHash,
+      kind,
+      fees: serializeFees(fees),
+      sentAt: new Date().toISOString(),
+    });
+  });
+}
+
+/**
+ * Settles a transaction and wakes up anyone waiting for it
+ * @param {Object} record - The stored transaction
+ * @param {Object} changes - Final status, mined hash and error
+ * @param {Object|null} receipt - The receipt of the mined attempt
+ */
+function finishTransaction(record, changes, receipt) {
+  const finished = updateRecord(record.id, changes);
+  store.update(({ transactions }) => pruneTransactions(transactions));
+
+  for (const waiter of waiters.get(record.id) || []) {
+    waiter({ record: finished, receipt });
+  }
+  waiters.delete(record.id);
+}
+
+/**
+ * Reads the receipt of a transaction that may not be mined yet
+ * @param {Function} rpcRequest - RPC client for the transaction's chain
+ * @param {string} hash - The transaction hash
+ * @returns {Promise<Object|null>} The receipt, or null if it is not mined
+ * @throws {Error} If the RPC request fails
+ */
+async function readReceipt(rpcRequest, hash) {
+  try {
+    return await eth_getTransactionReceipt(rpcRequest, { hash });
+  } catch (error) {
+    // Only a missing receipt means "not mined"; timeouts and rate limits are failures
+    if (error.message === "Transaction receipt not found.") {
+      return null;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Finds the attempt of a transaction that was mined
+ * @param {Function} rpcRequest - RPC client for the transaction's chain
+ * @param {Object} record - The stored transaction
+ * @returns {Promise<Object|null>} The mined `attempt` and its `receipt`, or
+ *   null if no attempt is mined
+ */
+async function findMinedAttempt(rpcRequest, record) {
+  for (const attempt of record.attempts) {
+    const receipt = await readReceipt(rpcRequest, attempt.hash);
+    if (receipt) {
+      return { attempt, receipt };
+    }
+  }
+  return null;
+}
+
+/**
+ * Checks a pending transaction: settles it if one of its attempts was mined
+ * or its nonce was used by something else, and replaces it if it is stuck
+ * @param {Object} client - Thirdweb client instance
+ * @param {Object} record - The stored transaction
+ */
+async function checkTransaction(client, record) {
+  const config = getTransactionConfig();
+  const target = resolveContractTarget({
+    chain: record.chainId,
+    contract: record.contract,
+  });
+  const rpcRequest = getRpcClient({ client, chain: target.chain });
+
+  // Read the nonce first, so a mined attempt is always seen below
+  const minedNonce = await eth_getTransactionCount(rpcRequest, {
+    address: record.from,
+    blockTag: "latest",
+  });
+
+  let mined = await findMinedAttempt(rpcRequest, record);
+
+  // Dropping is final, so look for a mined attempt once more before giving
+  // up on the transaction; a load-balanced node may lag behind another
+  if (!mined && minedNonce > record.nonce) {
+    mined = await findMinedAttempt(rpcRequest, record);
+  }
+
+  if (mined) {
+    const { attempt, receipt } = mined;
+    const status =
+      attempt.kind === "cancel"
+        ? "cancelled"
+        : receipt.status === "reverted"
+          ? "reverted"
+          : "confirmed";
+    return finishTransaction(record, { status, minedHash: attempt.hash }, receipt);
+  }
+
+  if (minedNonce > record.nonce) {
+    return finishTransaction(
+      record,
+      {
+        status: "dropped",
+        error: `Nonce ${record.nonce} was used by another transaction`,
+      },
+      null
+    );
+  }
+
+  const latest = record.attempts[record.attempts.length - 1];
+  const replacements = record.attempts.length - 1;
+  const stuckFor = Date.now() - Date.parse(latest.sentAt);
+
+  if (
+    config.stuckAction === "none" ||
+    stuckFor < config.stuckTimeoutMs ||
+    replacements >= config.maxReplacements ||
+    record.atFeeCap
+  ) {
+    return;
+  }
+
+  // Once cancelled, only the cancellation is sped up
+  const kind = latest.kind === "cancel" ? "cancel" : config.stuckAction;
+  const replaced = await replaceTransaction(client, record, target, kind);
+  if (!replaced) {
+    console.warn(
+      `Transaction ${latest.hash} is stuck but its fees are already at the cap`
+    );
+    updateRecord(record.id, { atFeeCap: true });
+  }
+}
+
+/**
+ * Checks every pending transaction once
+ * @param {Object} client - Thirdweb client instance
+ */
+async function checkPendingTransactions(client) {
+  if (monitorBusy) {
+    return;
+  }
+
+  monitorBusy = true;
+  try {
+    const pending = Object.values(store.read().transactions).filter(
+      (record) => record.status === "pending"
+    );
+    for (const record of pending) {
+      try {
+        await checkTransaction(client, record);
+      } catch (error) {
+        console.warn(`Could not check transaction ${record.id}:`, error.message);
+      }
+    }
+  } finally {
+    monitorBusy = false;
+  }
+}
+
+/**
+ * Starts the background monitor that settles pending transactions and
+ * replaces stuck ones. Transactions left pending by a previous run are
+ * picked up again.
+ * @param {Object} client - Thirdweb client instance
+ */
+export function startTransactionMonitor(client) {
+  if (monitorTimer) {
+    return;
+  }
+
+  monitorTimer = setInterval(() => {
+    checkPendingTransactions(client).catch((error) =>
+      console.error("Transaction monitor error:", error)
+    );
+  }, getTransactionConfig().pollIntervalMs);
+
+  console.log("Transaction monitor started");
+}
+
+/**
+ * Settles a promise with null if it takes longer than a wait
+ * @param {Promise} promise - The promise to wait for
+ * @param {number} waitMs - How long to wait; Infinity waits for good
+ * @param {Function} onTimeout - Called if the wait runs out (optional)
+ * @returns {Promise} The promise's value, or null if the wait ran out
+ */
+function waitAtMost(promise, waitMs, onTimeout = () => {}) {
+  if (waitMs === Infinity) {
+    return promise;
+  }
+
+  let timer;
+  const timeout = new Promise((resolve) => {
+    timer = setTimeout(() => {
+      onTimeout();
+      resolve(null);
+    }, Math.max(waitMs, 0));
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Waits for a transaction to be mined. Tracked transactions resolve with the
+ * receipt of whichever attempt was mined, so the receipt's hash can differ
+ * from the one passed in after a speed-up.
+ * @param {Object} client - Thirdweb client instance
+ * @param {string} transactionHash - Any hash sent for the transaction
+ * @param {Object} target - Contract target from the registry (optional)
+ * @param {number} waitMs - How long to wait for a stuck or slow transaction
+ *   (optional, no limit by default)
+ * @returns {Promise<Object|null>} The transaction receipt, or null if the
+ *   transaction was not mined within waitMs
+ */
+export async function waitForTransaction(
+  client,
+  transactionHash,
+  target = resolveContractTarget(),
+  waitMs = Infinity
+) {
+  const record = findRecord(transactionHash);
+  if (!record) {
+    return waitAtMost(
+      waitForReceipt({ client, chain: target.chain, transactionHash }),
+      waitMs
+    );
+  }
+
+  let outcome;
+  if (record.status === "pending") {
+    startTransactionMonitor(client);
+    let waiter;
+    outcome = await waitAtMost(
+      new Promise((resolve) => {
+        waiter = resolve;
+        waiters.set(record.id, [...(waiters.get(record.id) || []), resolve]);
+      }),
+      waitMs,
+      () => {
+        // The monitor keeps the transaction; only this wait is given up
+        const remaining = (waiters.get(record.id) || []).filter((w) => w !== waiter);
+        if (remaining.length > 0) {
+          waiters.set(record.id, remaining);
+        } else {
+          waiters.delete(record.id);
+        }
+      }
+    );
+    if (!outcome) {
+      return null;
+    }
+  } else {
+    outcome = {
+      record,
+      receipt: record.minedHash
+        ? await waitForReceipt({
+            client,
+            chain: target.chain,
+            transactionHash: record.minedHash,
+          })
+        : null,
+    };
+  }
+
+  if (outcome.record.status === "cancelled") {
+    throw new Error(
+      `Transaction ${transactionHash} was stuck and cancelled by ${outcome.record.minedHash}`
+    );
+  }
+  if (outcome.record.status === "dropped") {
+    throw new Error(`Transaction ${transactionHash} was dropped: ${outcome.record.error}`);
+  }
+  return outcome.receipt;
+}
+
+/**
+ * Gets the number of blocks a transaction must be in, counting its own,
+ * before it is reported as confirmed
+ * @returns {number} TX_CONFIRMATIONS, default 1
+ */
+export function getRequiredConfirmations() {
+  return Math.max(Number(process.env.TX_CONFIRMATIONS) || 1, 1);
+}
+
+/**
+ * Gets how long a mint request waits for TX_CONFIRMATIONS before responding
+ * with a submitted mint
+ * @returns {number} TX_CONFIRMATION_WAIT_MS, default 30 seconds
+ */
+export function getConfirmationWaitMs() {
+  return Number(process.env.TX_CONFIRMATION_WAIT_MS) || 30000;
+}
+
+/**
+ * Reads where a transaction stands on chain. A tracked transaction that was
+ * sped up is reported by its mined replacement; one that was cancelled or
+ * whose nonce was used elsewhere is reported as dropped.
+ * @param {Object} client - Thirdweb client instance
+ * @param {string} transactionHash - The transaction hash
+ * @param {Object} target - Contract target for untracked transactions (optional)
+ * @returns {Promise<Object|null>} The status and the receipt it is based on,
+ *   or null if neither the server nor the node knows the transaction
+ */
+async function readTransactionStatus(
+  client,
+  transactionHash,
+  target = resolveContractTarget()
+) {
+  const record = findRecord(transactionHash);
+  const chainTarget = record
+    ? resolveContractTarget({ chain: record.chainId, contract: record.contract })
+    : target;
+  const rpcRequest = getRpcClient({ client, chain: chainTarget.chain });
+  const requiredConfirmations = getRequiredConfirmations();
+
+  const status = {
+    transactionHash,
+    status: "pending",
+    minedHash: record?.minedHash ?? null,
+    chainId: chainTarget.chainId,
+    blockNumber: null,
+    blockHash: null,
+    confirmations: 0,
+    requiredConfirmations,
+    error: record?.error ?? null,
+  };
+
+  if (record?.status === "dropped" || record?.status === "cancelled") {
+    return {
+      status: {
+        ...status,
+        status: "dropped",
+        error:
+          record.status === "cancelled"
+            ? `Cancelled by ${record.minedHash} after being stuck`
+            : record.error,
+      },
+      receipt: null,
+    };
+  }
+
+  // Read the head first, so a receipt found below is never ahead of it
+  const head = await eth_blockNumber(rpcRequest);
+  const receipt = await readReceipt(rpcRequest, status.minedHash || transactionHash);
+
+  if (!receipt) {
+    // Known to the server, or still in the node's mempool
+    const known =
+      record ||
+      (await eth_getTransactionByHash(rpcRequest, { hash: transactionHash }).catch(
+        () => null
+      ));
+    return known ? { status, receipt: null } : null;
+  }
+
+  const confirmations = Number(head - receipt.blockNumber + 1n);
+  return {
+    status: {
+      ...status,
+      status:
+        receipt.status === "reverted"
+          ? "reverted"
+          : confirmations >= requiredConfirmations
+            ? "confirmed"
+            : "included",
+      blockNumber: Number(receipt.blockNumber),
+      blockHash: receipt.blockHash,
+      confirmations: Math.max(confirmations, 0),
+    },
+    receipt,
+  };
+}
+
+/**
+ * Reports where a transaction stands: `pending`, `included` with fewer than
+ * TX_CONFIRMATIONS confirmations, `confirmed`, `reverted` or `dropped`. A
+ * reorg that removes an included transaction puts it back to pending.
+ * @param {Object} client - Thirdweb client instance
+ * @param {string} transactionHash - The transaction hash
+ * @param {Object} target - Contract target for untracked transactions (optional)
+ * @returns {Promise<Object|null>} The status, or null if the transaction is unknown
+ */
+export async function getTransactionStatus(client, transactionHash, target) {
+  const result = await readTransactionStatus(client, transactionHash, target);
+  return result ? result.status : null;
+}
+
+/**
+ * Waits until an included transaction has TX_CONFIRMATIONS confirmations,
+ * following it through reorgs
+ * @param {Object} client - Thirdweb client instance
+ * @param {string} transactionHash - The hash of the included transaction
+ * @param {Object} target - Contract target from the registry (optional)
+ * @param {number} waitMs - How long to wait before giving up (optional, no limit by default)
+ * @returns {Promise<Object>} The last status and the receipt it is based on;
+ *   the status is `included` or `pending` if the wait ran out
+ */
+export async function waitForConfirmations(
+  client,
+  transactionHash,
+  target = resolveContractTarget(),
+  waitMs = Infinity
+) {
+  const { pollIntervalMs } = getTransactionConfig();
+  const deadline = Date.now() + waitMs;
+
+  for (;;) {
+    const result = await readTransactionStatus(client, transactionHash, target);
+    if (!result || result.status.status === "dropped") {
+      throw new Error(
+        `Transaction ${transactionHash} was dropped${result?.status.error ? `: ${result.status.error}` : ""}`
+      );
+    }
+    if (
+      result.status.status === "confirmed" ||
+      result.status.status === "reverted" ||
+      Date.now() + pollIntervalMs > deadline
+    ) {
+      return result;
+    }
+    await new Promise((resolve) => setTimeout(resolve, pollIntervalMs));
+  }
+}
+
+/**
+ * Lists tracked transactions, newest first
+ * @param {Object} filter - Filter and page size (optional)
+ * @param {string} filter.status - Only transactions with this status
+ * @param {number} filter.limit - Maximum number of transactions to return
+ * @returns {Array<Object>} Public views of the transactions
+ */
+export function listTransactions({ status = null, limit = 100 } = {}) {
+  return Object.values(store.read().transactions)
+    .filter((record) => !status || record.status === status)
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+    .slice(0, limit)
+    .map(toPublicTransaction);
+}
@@ -0,0 +1,224 @@
+import crypto from "crypto";
+import { getAddress, isAddress } from "thirdweb";
+import { verifySignature } from "thirdweb/auth";
+import { createJsonStore } from "../utils/jsonStore.js";
+import { resolveChain } from "./contractRegistry.js";
+import { signJwt, verifyJwt } from "../utils/jwt.js";
+import { createSiweMessage, parseSiweMessage } from "../utils/siwe.js";
+
+// Outstanding nonces and revoked sessions are persisted so a restart neither
+// reopens a used nonce nor un-revokes a session
+const store = createJsonStore("wallet-auth", { nonces: {}, revoked: {} });
+
+/**
+ * Reads the wallet sign-in settings from the environment
+ * @returns {Object} JWT secret, expected domain and URI, statement, nonce
+ *   lifetime and session lifetime
+ */
+function getAuthConfig() {
+  return {
+    secret: process.env.AUTH_JWT_SECRET || null,
+    domain: process.env.AUTH_DOMAIN || null,
+    uri: process.env.AUTH_URI || null,
+    statement:
+      process.env.AUTH_STATEMENT || "Sign in to the NFT Minting API with your wallet.",
+    nonceTtlMs: Number(process.env.AUTH_NONCE_TTL_MS) || 5 * 60 * 1000,
+    sessionTtlSeconds: Number(process.env.AUTH_SESSION_TTL_SECONDS) || 24 * 60 * 60,
+  };
+}
+
+/**
+ * Checks whether wallet sign-in is configured. The domain has to be set
+ * explicitly: taking it from the Host header would let a phishing site
+ * replay signatures made for its own domain.
+ * @returns {boolean} True when AUTH_JWT_SECRET and AUTH_DOMAIN are set
+ */
+export function isWalletAuthEnabled() {
+  const { secret, domain } = getAuthConfig();
+  return Boolean(secret && domain);
+}
+
+/**
+ * Drops expired nonces and revocations of sessions that have expired anyway
+ * @param {Object} data - The store contents
+ */
+function pruneAuthStore(data) {
+  const now = Date.now();
+  for (const [nonce, entry] of Object.entries(data.nonces)) {
+    if (Date.parse(entry.expiresAt) <= now) {
+      delete data.nonces[nonce];
+    }
+  }
+  for (const [id, expiresAt] of Object.entries(data.revoked)) {
+    if (Date.parse(expiresAt) <= now) {
+      delete data.revoked[id];
+    }
+  }
+}
+
+/**
+ * Issues a single-use nonce and the EIP-4361 message a wallet signs with it
+ * @param {Object} options - The sign-in request
+ * @param {string} options.address - The wallet address
+ * @param {number} options.chainId - The chain the wallet is on, one of the
+ *   configured chains (optional, defaults to the default contract's chain)
+ * @returns {Object} The nonce, when it expires, and the message to sign
+ * @throws {Error} If the chain is not configured
+ */
+export function createLoginChallenge({ address, chainId }) {
+  const config = getAuthConfig();
+  const chain = resolveChain(chainId);
+  const issuedAt = new Date();
+  const expiresAt = new Date(issuedAt.getTime() + config.nonceTtlMs).toISOString();
+  const nonce = crypto.randomBytes(16).toString("hex");
+
+  store.update((data) => {
+    pruneAuthStore(data);
+    data.nonces[nonce] = { address: getAddress(address), expiresAt };
+  });
+
+  return {
+    nonce,
+    expiresAt,
+    message: createSiweMessage({
+      domain: config.domain,
+      address: getAddress(address),
+      statement: config.statement,
+      uri: config.uri || `https://${config.domain}`,
+      version: "1",
+      chainId: chain.chainId,
+      nonce,
+      issuedAt: issuedAt.toISOString(),
+      expirationTime: expiresAt,
+    }),
+  };
+}
+
+/**
+ * Verifies a signed EIP-4361 message and starts a wallet session. The message
+ * must name this server's domain, one of the configured chains and an unused
+ * nonce issued by it, and be within its validity window. Smart contract
+ * wallets are verified on the message's chain (EIP-1271), through its
+ * configured RPC.
+ * @param {Object} client - Thirdweb client instance
+ * @param {Object} options - The sign-in
+ * @param {string} options.message - The signed message
+ * @param {string} options.signature - The wallet's signature
+ * @returns {Promise<Object>} The session `token`, wallet `address`, `chainId` and `expiresAt`
+ * @throws {Error} If the message or signature is not valid
+ */
+export async function verifyLogin(client, { message, signature }) {
+  const config = getAuthConfig();
+  const fields = parseSiweMessage(message);
+  const now = Date.now();
+
+  if (fields.domain !== config.domain) {
+    throw new Error(`Message is for domain ${fields.domain}`);
+  }
+  if (config.uri && fields.uri !== config.uri) {
+    throw new Error(`Message is for URI ${fields.uri}`);
+  }
+  if (fields.version !== "1") {
+    throw new Error(`Unsupported message version ${fields.version}`);
+  }
+  if (!isAddress(fields.address)) {
+    throw new Error("Message has an invalid address");
+  }
+  if (fields.expirationTime && Date.parse(fields.expirationTime) <= now) {
+    throw new Error("Message has expired");
+  }
+  if (fields.notBefore && Date.parse(fields.notBefore) > now) {
+    throw new Error("Message is not valid yet");
+  }
+
+  // A chain from the message alone could point verification at any RPC
+  let chain;
+  try {
+    ({ chain } = resolveChain(fields.chainId));
+  } catch {
+    throw new Error(`Message is for unsupported chain ${fields.chainId}`);
+  }
+
+  // Nonces are single use, so one is taken even when the signature turns out bad
+  const issued = store.update((data) => {
+    const entry = data.nonces[fields.nonce];
+    delete data.nonces[fields.nonce];
+    return entry;
+  });
+  if (!issued || Date.parse(issued.expiresAt) <= now) {
+    throw new Error("Unknown or expired nonce");
+  }
+  if (issued.address !== getAddress(fields.address)) {
+    throw new Error("Nonce was issued for a different address");
+  }
+
+  const valid = await verifySignature({
+    message,
+    signature,
+    address: fields.address,
+    chain,
+    client,
+  });
+  if (!valid) {
+    throw new Error("Signature does not match the message and address");
+  }
+
+  const issuedAt = Math.floor(now / 1000);
+  const claims = {
+    sub: getAddress(fields.address),
+    chainId: fields.chainId,
+    iss: fields.domain,
+    iat: issuedAt,
+    exp: issuedAt + config.sessionTtlSeconds,
+    jti: crypto.randomUUID(),
+  };
+
+  return {
+    token: signJwt(claims, config.secret),
+    address: claims.sub,
+    chainId: claims.chainId,
+    expiresAt: new Date(claims.exp * 1000).toISOString(),
+  };
+}
+
+/**
+ * Resolves a session token into the signed-in wallet
+ * @param {string} token - The bearer token
+ * @returns {Object|null} Session with id, address, chainId and expiresAt, or
+ *   null if the token is invalid, expired or revoked
+ */
+export function authenticateWalletToken(token) {
+  if (!isWalletAuthEnabled()) {
+    return null;
+  }
+  const { secret } = getAuthConfig();
+
+  let claims;
+  try {
+    claims = verifyJwt(token, secret);
+  } catch {
+    return null;
+  }
+
+  if (store.read().revoked[claims.jti]) {
+    return null;
+  }
+
+  return {
+    id: claims.jti,
+    address: claims.sub,
+    chainId: claims.chainId,
+    expiresAt: new Date(claims.exp * 1000).toISOString(),
+  };
+}
+
+/**
+ * Ends a wallet session before its token expires
+ * @param {Object} session - The session from authenticateWalletToken
+ */
+export function revokeWalletSession(session) {
+  store.update((data) => {
+    pruneAuthStore(data);
+    data.revoked[session.id] = session.expiresAt;
+  });
+}
@@ -0,0 +1,413 @@
+import crypto from "crypto";
+import { mapWithConcurrency } from "../utils/concurrency.js";
+import { createJsonStore } from "../utils/jsonStore.js";
+import { checkPublicHost } from "../utils/publicHost.js";
+
+// Endpoints and the delivery log are persisted so retries survive a restart
+const store = createJsonStore("webhooks", { endpoints: {}, deliveries: {} });
+
+export const WEBHOOK_EVENTS = ["mint.submitted", "mint.confirmed", "mint.failed"];
+
+const RETRY_MAX_MS = 60 * 60 * 1000;
+
+let workerTimer = null;
+let workerBusy = false;
+
+/**
+ * Reads the delivery settings from the environment
+ * @returns {Object} Attempt limit, backoff, timeout, log size and poll interval
+ */
+function getWebhookConfig() {
+  return {
+    maxAttempts: Number(process.env.WEBHOOK_MAX_ATTEMPTS) || 8,
+    retryBaseMs: Number(process.env.WEBHOOK_RETRY_BASE_MS) || 5000,
+    timeoutMs: Number(process.env.WEBHOOK_TIMEOUT_MS) || 10000,
+    logMaxEntries: Number(process.env.WEBHOOK_DELIVERY_LOG_MAX) || 1000,
+    pollIntervalMs: Number(process.env.WEBHOOK_POLL_INTERVAL_MS) || 1000,
+    concurrency: Number(process.env.WEBHOOK_CONCURRENCY) || 8,
+  };
+}
+
+/**
+ * Checks that a webhook URL uses HTTPS and that its host resolves only to
+ * public addresses, so endpoints cannot be used to reach internal services
+ * @param {string} url - The endpoint URL
+ * @returns {Promise<string|null>} Why the URL is not allowed, or null if it is
+ */
+export async function checkWebhookUrl(url) {
+  const { protocol, hostname } = new URL(url);
+  if (protocol !== "https:") {
+    return "Webhook URLs must use https";
+  }
+
+  return await checkPublicHost(hostname);
+}
+
+/**
+ * Formats a stored endpoint for API responses, leaving out the secret
+ * @param {Object} endpoint - The stored endpoint
+ * @returns {Object} The public view of the endpoint
+ */
+function toPublicEndpoint(endpoint) {
+  return {
+    id: endpoint.id,
+    url: endpoint.url,
+    events: endpoint.events,
+    description: endpoint.description,
+    apiKeyId: endpoint.apiKeyId,
+    createdAt: endpoint.createdAt,
+  };
+}
+
+/**
+ * Formats a stored delivery for API responses
+ * @param {Object} delivery - The stored delivery
+ * @returns {Object} The public view of the delivery
+ */
+function toPublicDelivery(delivery) {
+  return {
+    id: delivery.id,
+    endpointId: delivery.endpointId,
+    event: delivery.payload.type,
+    eventId: delivery.payload.id,
+    status: delivery.status,
+    attempts: delivery.attempts,
+    nextAttemptAt: delivery.status === "pending" ? delivery.nextAttemptAt : null,
+    replayOf: delivery.replayOf,
+    log: delivery.log,
+    createdAt: delivery.createdAt,
+    updatedAt: delivery.updatedAt,
+  };
+}
+
+/**
+ * Registers a webhook endpoint. Its signing secret is only returned here.
+ * @param {Object} options - The endpoint settings
+ * @param {string} options.url - The HTTPS URL to POST events to
+ * @param {Array<string>} options.events - Subscribed event types
+ * @param {string} options.description - A human readable description (optional)
+ * @param {string} options.apiKeyId - The API key that owns the endpoint
+ * @returns {Object} The public endpoint record plus the plaintext `secret`
+ */
+export function createWebhookEndpoint({ url, events, description = null, apiKeyId }) {
+  const endpoint = {
+    id: crypto.randomUUID(),
+    url,
+    events,
+    description,
+    apiKeyId,
+    secret: `whsec_${crypto.randomBytes(32).toString("base64url")}`,
+    createdAt: new Date().toISOString(),
+  };
+
+  store.update(({ endpoints }) => {
+    endpoints[endpoint.id] = endpoint;
+  });
+
+  console.log(`Webhook endpoint ${endpoint.id} registered for ${url}`);
+  return { ...toPublicEndpoint(endpoint), secret: endpoint.secret };
+}
+
+/**
+ * Lists webhook endpoints
+ * @param {string|null} apiKeyId - Only list endpoints of this key (null for all)
+ * @returns {Array<Object>} Public endpoint records
+ */
+export function listWebhookEndpoints(apiKeyId = null) {
+  return Object.values(store.read().endpoints)
+    .filter((endpoint) => apiKeyId === null || endpoint.apiKeyId === apiKeyId)
+    .map(toPublicEndpoint);
+}
+
+/**
+ * Gets a webhook endpoint
+ * @param {string} endpointId - The endpoint ID
+ * @returns {Object|null} The public endpoint record, or null if it does not exist
+ */
+export function getWebhookEndpoint(endpointId) {
+  const endpoint = store.read().endpoints[endpointId];
+  return endpoint ? toPublicEndpoint(endpoint) : null;
+}
+
+/**
+ * Deletes a webhook endpoint and cancels its pending deliveries
+ * @param {string} endpointId - The endpoint ID
+ * @returns {Object|null} The deleted endpoint, or null if it does not exist
+ */
+export function deleteWebhookEndpoint(endpointId) {
+  return store.update(({ endpoints, deliveries }) => {
+    const endpoint = endpoints[endpointId];
+    if (!endpoint) {
+      return null;
+    }
+
+    delete endpoints[endpointId];
+    for (const delivery of Object.values(deliveries)) {
+      if (delivery.endpointId === endpointId && delivery.status === "pending") {
+        delivery.status = "cancelled";
+        delivery.updatedAt = new Date().toISOString();
+      }
+    }
+
+    console.log(`Webhook endpoint ${endpointId} deleted`);
+    return toPublicEndpoint(endpoint);
+  });
+}
+
+/**
+ * Lists the most recent deliveries to an endpoint
+ * @param {string} endpointId - The endpoint ID
+ * @param {number} limit - Maximum number of deliveries (optional)
+ * @returns {Array<Object>} Deliveries, newest first
+ */
+export function listWebhookDeliveries(endpointId, limit = 50) {
+  return Object.values(store.read().deliveries)
+    .filter((delivery) => delivery.endpointId === endpointId)
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+    .slice(0, limit)
+    .map(toPublicDelivery);
+}
+
+/**
+ * Creates a pending delivery of a payload to an endpoint
+ * @param {Object} deliveries - The stored deliveries
+ * @param {string} endpointId - The endpoint ID
+ * @param {Object} payload - The event payload
+ * @param {string|null} replayOf - The delivery being replayed (optional)
+ * @returns {Object} The new delivery
+ */
+function addDelivery(deliveries, endpointId, payload, replayOf = null) {
+  const now = new Date().toISOString();
+  const delivery = {
+    id: crypto.randomUUID(),
+    endpointId,
+    payload,
+    status: "pending",
+    attempts: 0,
+    nextAttemptAt: now,
+    replayOf,
+    log: [],
+    createdAt: now,
+    updatedAt: now,
+  };
+
+  deliveries[delivery.id] = delivery;
+  return delivery;
+}
+
+/**
+ * Drops the oldest finished deliveries once the log exceeds its size limit
+ * @param {Object} deliveries - The stored deliveries
+ */
+function pruneDeliveries(deliveries) {
+  const { logMaxEntries } = getWebhookConfig();
+  const finished = Object.values(deliveries)
+    .filter((delivery) => delivery.status !== "pending")
+    .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+
+  for (const delivery of finished.slice(0, Math.max(0, finished.length - logMaxEntries))) {
+    delete deliveries[delivery.id];
+  }
+}
+
+/**
+ * Queues an event for every endpoint of the API key subscribed to it
+ * @param {string} type - The event type, e.g. "mint.confirmed"
+ * @param {string} apiKeyId - The API key that started the mint
+ * @param {Object} data - The event data
+ * @returns {number} The number of deliveries queued
+ */
+export function emitWebhookEvent(type, apiKeyId, data) {
+  const payload = {
+    id: crypto.randomUUID(),
+    type,
+    createdAt: new Date().toISOString(),
+    data,
+  };
+
+  return store.update(({ endpoints, deliveries }) => {
+    const subscribed = Object.values(endpoints).filter(
+      (endpoint) => endpoint.apiKeyId === apiKeyId && endpoint.events.includes(type)
+    );
+
+    for (const endpoint of subscribed) {
+      addDelivery(deliveries, endpoint.id, payload);
+    }
+
+    return subscribed.length;
+  });
+}
+
+/**
+ * Sends a delivery again with its original payload, as a new delivery
+ * @param {string} endpointId - The endpoint ID
+ * @param {string} deliveryId - The delivery to replay
+ * @returns {Object|null} The new delivery, or null if either does not exist
+ */
+export function replayWebhookDelivery(endpointId, deliveryId) {
+  return store.update(({ endpoints, deliveries }) => {
+    const original = deliveries[deliveryId];
+    if (!endpoints[endpointId] || !original || original.endpointId !== endpointId) {
+      return null;
+    }
+
+    console.log(`Replaying webhook delivery ${deliveryId}`);
+    return toPublicDelivery(
+      addDelivery(deliveries, endpointId, original.payload, deliveryId)
+    );
+  });
+}
+
+/**
+ * Signs a webhook body. Receivers recompute the HMAC-SHA256 of
+ * `${timestamp}.${body}` with the endpoint secret and compare it to `v1`.
+ * @param {string} secret - The endpoint secret
+ * @param {string} body - The raw JSON body
+ * @param {number} timestamp - Unix time in seconds
+ * @returns {string} The signature header value
+ */
+export function signWebhookPayload(secret, body, timestamp) {
+  const signature = crypto
+    .createHmac("sha256", secret)
+    .update(`${timestamp}.${body}`)
+    .digest("hex");
+  return `t=${timestamp},v1=${signature}`;
+}
+
+/**
+ * Makes one delivery attempt and records the outcome
+ * @param {Object} delivery - The stored delivery
+ */
+async function attemptDelivery(delivery) {
+  const config = getWebhookConfig();
+  const endpoint = store.read().endpoints[delivery.endpointId];
+  const attempts = delivery.attempts + 1;
+  const startedAt = Date.now();
+  const entry = { attempt: attempts, at: new Date(startedAt).toISOString() };
+
+  if (!endpoint) {
+    return;
+  }
+
+  const body = JSON.stringify(delivery.payload);
+  const timestamp = Math.floor(startedAt / 1000);
+
+  try {
+    // Checked on every attempt, as DNS may have changed since registration
+    const urlError = await checkWebhookUrl(endpoint.url);
+    if (urlError) {
+      throw new Error(urlError);
+    }
+
+    const response = await fetch(endpoint.url, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        "User-Agent": "nft-minting-api-webhooks",
+        "Webhook-Id": delivery.payload.id,
+        "Webhook-Event": delivery.payload.type,
+        "Webhook-Signature": signWebhookPayload(endpoint.secret, body, timestamp),
+      },
+      body,
+      redirect: "manual",
+      signal: AbortSignal.timeout(config.timeoutMs),
+    });
+    response.body?.cancel();
+
+    entry.statusCode = response.status;
+    entry.success = response.ok;
+    if (!response.ok) {
+      entry.error = `Endpoint responded with ${response.status}`;
+    }
+  } catch (error) {
+    entry.success = false;
+    entry.error = error.message;
+  }
+  entry.durationMs = Date.now() - startedAt;
+
+  store.update(({ deliveries }) => {
+    const stored = deliveries[delivery.id];
+    if (!stored || stored.status !== "pending") {
+      return;
+    }
+
+    stored.attempts = attempts;
+    stored.log.push(entry);
+    stored.updatedAt = new Date().toISOString();
+
+    if (entry.success) {
+      stored.status = "delivered";
+    } else if (attempts >= config.maxAttempts) {
+      stored.status = "failed";
+      console.error(
+        `Webhook delivery ${delivery.id} failed after ${attempts} attempts:`,
+        entry.error
+      );
+    } else {
+      const delay = Math.min(config.retryBaseMs * 2 ** (attempts - 1), RETRY_MAX_MS);
+      stored.nextAttemptAt = new Date(Date.now() + delay).toISOString();
+    }
+
+    pruneDeliveries(deliveries);
+  });
+}
+
+/**
+ * Attempts every due delivery. Endpoints are served concurrently, each one's
+ * deliveries in order, so a slow endpoint does not hold up the others.
+ */
+async function runDeliveries() {
+  if (workerBusy) {
+    return;
+  }
+
+  const now = new Date().toISOString();
+  const due = Object.values(store.read().deliveries)
+    .filter((delivery) => delivery.status === "pending" && delivery.nextAttemptAt <= now)
+    .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+
+  if (due.length === 0) {
+    return;
+  }
+
+  const byEndpoint = new Map();
+  for (const delivery of due) {
+    byEndpoint.set(delivery.endpointId, [
+      ...(byEndpoint.get(delivery.endpointId) || []),
+      delivery,
+    ]);
+  }
+
+  workerBusy = true;
+  try {
+    await mapWithConcurrency(
+      [...byEndpoint.values()],
+      getWebhookConfig().concurrency,
+      async (deliveries) => {
+        for (const delivery of deliveries) {
+          await attemptDelivery(delivery);
+        }
+      }
+    );
+  } finally {
+    workerBusy = false;
+  }
+}
+
+/**
+ * Starts the background worker that sends webhook deliveries.
+ * Deliveries left pending by a previous run are picked up again.
+ */
+export function startWebhookWorker() {
+  if (workerTimer) {
+    return;
+  }
+
+  workerTimer = setInterval(() => {
+    runDeliveries().catch((error) =>
+      console.error("Webhook worker error:", error)
+    );
+  }, getWebhookConfig().pollIntervalMs);
+
+  console.log("Webhook delivery worker started");
+}
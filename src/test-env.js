@@ -10,9 +10,10 @@ console.log("THIRDWEB_SECRET_KEY exists:", !!process.env.THIRDWEB_SECRET_KEY);
 console.log("PORT:", process.env.PORT);
 console.log("NFT_CONTRACT_ADDRESS:", process.env.NFT_CONTRACT_ADDRESS);
 console.log("WALLET_ADDRESS:", process.env.WALLET_ADDRESS);
-console.log("PRIVATE_KEY exists:", !!process.env.PRIVATE_KEY);
+console.log("SIGNER_KEYSTORE_PATH:", process.env.SIGNER_KEYSTORE_PATH);
 console.log(
-  "PRIVATE_KEY first 4 chars:",
-  process.env.PRIVATE_KEY ? process.env.PRIVATE_KEY.substring(0, 4) : "none"
+  "SIGNER_KEYSTORE_PASSWORD exists:",
+  !!process.env.SIGNER_KEYSTORE_PASSWORD
 );
+console.log("DEFAULT_SIGNER_ID:", process.env.DEFAULT_SIGNER_ID);
 console.log("=========================");
@@ -0,0 +1,27 @@
+/**
+ * Maps over items with at most `limit` calls of `fn` in flight at once.
+ * Results keep the order of the input.
+ * @param {Array} items - The items to map
+ * @param {number} limit - Maximum number of concurrent calls
+ * @param {Function} fn - Async mapper called with (item, index)
+ * @returns {Promise<Array>} The mapped results
+ */
+export async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  async function worker() {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  }
+
+  const workers = Array.from(
+    { length: Math.max(1, Math.min(limit, items.length)) },
+    worker
+  );
+  await Promise.all(workers);
+
+  return results;
+}
@@ -0,0 +1,56 @@
+import fs from "fs";
+import path from "path";
+
+/**
+ * Gets the directory where persistent service data is stored
+ * @returns {string} Absolute path to the data directory
+ */
+export function getDataDir() {
+  return path.resolve(process.env.DATA_DIR || "data");
+}
+
+/**
+ * Creates a JSON file-backed store that survives server restarts.
+ * Data is cached in memory and written atomically on every change.
+ * @param {string} name - The store name, used as the file name
+ * @param {Object} defaults - Initial contents when the file does not exist
+ * @returns {Object} Store with read, write and update functions
+ */
+export function createJsonStore(name, defaults) {
+  let data = null;
+
+  // Resolved lazily so DATA_DIR from .env is honored
+  function getFilePath() {
+    return path.join(getDataDir(), `${name}.json`);
+  }
+
+  function read() {
+    const filePath = getFilePath();
+    if (data === null) {
+      data = fs.existsSync(filePath)
+        ? JSON.parse(fs.readFileSync(filePath, "utf8"))
+        : structuredClone(defaults);
+    }
+    return data;
+  }
+
+  function write(nextData) {
+    const filePath = getFilePath();
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+
+    // Write to a temp file first so a crash never leaves a half-written store
+    const tempPath = `${filePath}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(nextData, null, 2));
+    fs.renameSync(tempPath, filePath);
+    data = nextData;
+  }
+
+  function update(updater) {
+    const current = read();
+    const result = updater(current);
+    write(current);
+    return result;
+  }
+
+  return { read, write, update, getFilePath };
+}
@@ -0,0 +1,63 @@
+import crypto from "crypto";
+
+const HEADER = Buffer.from(JSON.stringify({ alg: "HS256", typ: "JWT" })).toString(
+  "base64url"
+);
+
+/**
+ * Computes the HS256 signature of a token's header and payload
+ * @param {string} data - The encoded header and payload joined by a dot
+ * @param {string} secret - The signing secret
+ * @returns {Buffer} The signature
+ */
+function sign(data, secret) {
+  return crypto.createHmac("sha256", secret).update(data).digest();
+}
+
+/**
+ * Signs claims into an HS256 JSON Web Token
+ * @param {Object} claims - The token claims, including `exp` in seconds
+ * @param {string} secret - The signing secret
+ * @returns {string} The token
+ */
+export function signJwt(claims, secret) {
+  const payload = Buffer.from(JSON.stringify(claims)).toString("base64url");
+  const signature = sign(`${HEADER}.${payload}`, secret).toString("base64url");
+  return `${HEADER}.${payload}.${signature}`;
+}
+
+/**
+ * Verifies an HS256 JSON Web Token and returns its claims
+ * @param {string} token - The token
+ * @param {string} secret - The signing secret
+ * @returns {Object} The claims
+ * @throws {Error} If the token is malformed, badly signed or expired
+ */
+export function verifyJwt(token, secret) {
+  const [header, payload, signature] = String(token).split(".");
+  if (header !== HEADER || !payload || !signature) {
+    throw new Error("Malformed token");
+  }
+
+  const expected = sign(`${header}.${payload}`, secret);
+  const presented = Buffer.from(signature, "base64url");
+  if (
+    presented.length !== expected.length ||
+    !crypto.timingSafeEqual(presented, expected)
+  ) {
+    throw new Error("Invalid token signature");
+  }
+
+  let claims;
+  try {
+    claims = JSON.parse(Buffer.from(payload, "base64url").toString());
+  } catch {
+    throw new Error("Malformed token");
+  }
+
+  if (typeof claims.exp !== "number" || claims.exp * 1000 <= Date.now()) {
+    throw new Error("Token has expired");
+  }
+
+  return claims;
+}
@@ -0,0 +1,29 @@
+/**
+ * Encodes a list offset as an opaque pagination cursor
+ * @param {number} offset - Index of the first item of the next page
+ * @returns {string} The cursor
+ */
+export function encodeCursor(offset) {
+  return Buffer.from(JSON.stringify({ offset })).toString("base64url");
+}
+
+/**
+ * Decodes a pagination cursor back into a list offset
+ * @param {string} cursor - The cursor from a previous response
+ * @returns {number} The offset
+ * @throws {Error} If the cursor is malformed
+ */
+export function decodeCursor(cursor) {
+  let offset;
+  try {
+    ({ offset } = JSON.parse(Buffer.from(cursor, "base64url").toString()));
+  } catch {
+    throw new Error("Invalid cursor");
+  }
+
+  if (!Number.isSafeInteger(offset) || offset < 0) {
+    throw new Error("Invalid cursor");
+  }
+
+  return offset;
+}
@@ -0,0 +1,52 @@
+import dns from "dns/promises";
+import net from "net";
+
+// Loopback, private, link-local and other non-public address ranges, which
+// URLs supplied by users must not reach. The IPv4 ranges also cover
+// IPv4-mapped IPv6.
+const BLOCKED_ADDRESSES = new net.BlockList();
+for (const [network, prefix] of [
+  ["0.0.0.0", 8],
+  ["10.0.0.0", 8],
+  ["100.64.0.0", 10],
+  ["127.0.0.0", 8],
+  ["169.254.0.0", 16],
+  ["172.16.0.0", 12],
+  ["192.168.0.0", 16],
+  ["224.0.0.0", 3],
+]) {
+  BLOCKED_ADDRESSES.addSubnet(network, prefix, "ipv4");
+}
+for (const [network, prefix] of [
+  ["::", 127],
+  ["fc00::", 7],
+  ["fe80::", 10],
+  ["ff00::", 8],
+]) {
+  BLOCKED_ADDRESSES.addSubnet(network, prefix, "ipv6");
+}
+
+/**
+ * Checks that a host resolves only to public addresses, so a URL cannot be
+ * used to reach internal services
+ * @param {string} hostname - The host name or IP literal, as in URL.hostname
+ * @returns {Promise<string|null>} Why the host is not allowed, or null if it is
+ */
+export async function checkPublicHost(hostname) {
+  let addresses;
+  try {
+    addresses = await dns.lookup(hostname.replace(/^\[|\]$/g, ""), {
+      all: true,
+      verbatim: true,
+    });
+  } catch (error) {
+    return `Could not resolve ${hostname}: ${error.code || error.message}`;
+  }
+
+  const blocked = addresses.find(({ address, family }) =>
+    BLOCKED_ADDRESSES.check(address, family === 6 ? "ipv6" : "ipv4")
+  );
+  return blocked
+    ? `${hostname} resolves to a non-public address (${blocked.address})`
+    : null;
+}
@@ -0,0 +1,109 @@
+import { keccak256, stringToHex } from "thirdweb";
+
+// topic0 of Transfer(address,address,uint256), shared by ERC-20 and ERC-721
+export const TRANSFER_TOPIC = keccak256(
+  stringToHex("Transfer(address,address,uint256)")
+);
+
+// topic0 of the EIP-4906 MetadataUpdate(uint256) and
+// BatchMetadataUpdate(uint256,uint256) events
+export const METADATA_UPDATE_TOPIC = keccak256(stringToHex("MetadataUpdate(uint256)"));
+export const BATCH_METADATA_UPDATE_TOPIC = keccak256(
+  stringToHex("BatchMetadataUpdate(uint256,uint256)")
+);
+
+const ZERO_ADDRESS = "0x0000000000000000000000000000000000000000";
+
+/**
+ * Converts a 32-byte indexed topic into a lowercase address
+ * @param {string} topic - The hex-encoded topic
+ * @returns {string} The address held in the low 20 bytes
+ */
+function topicToAddress(topic) {
+  return `0x${topic.slice(-40)}`.toLowerCase();
+}
+
+/**
+ * Decodes every ERC-721 Transfer log emitted by a contract in a receipt.
+ * ERC-20 Transfer logs share topic0 but only have three topics, so they
+ * are skipped.
+ * @param {Object} receipt - The transaction receipt
+ * @param {string} contractAddress - The NFT contract address
+ * @returns {Array<Object>} Decoded transfers with from, to, decimal tokenId
+ *   and the log's position (logIndex, blockNumber, transactionHash)
+ */
+export function decodeTransferLogs(receipt, contractAddress) {
+  const contract = contractAddress.toLowerCase();
+
+  return (receipt.logs || [])
+    .filter(
+      (log) =>
+        log.address?.toLowerCase() === contract &&
+        log.topics?.length === 4 &&
+        log.topics[0]?.toLowerCase() === TRANSFER_TOPIC
+    )
+    .map((log) => ({
+      from: topicToAddress(log.topics[1]),
+      to: topicToAddress(log.topics[2]),
+      tokenId: BigInt(log.topics[3]).toString(),
+      logIndex: Number(log.logIndex),
+      blockNumber: Number(log.blockNumber),
+      transactionHash: log.transactionHash,
+    }));
+}
+
+/**
+ * Finds the token ID minted to a recipient in a transaction receipt
+ * @param {Object} receipt - The transaction receipt
+ * @param {string} contractAddress - The NFT contract address
+ * @param {string} toAddress - The expected recipient of the mint
+ * @returns {string|null} The token ID as a decimal string, or null if no
+ *   matching mint was found
+ */
+export function findMintedTokenId(receipt, contractAddress, toAddress) {
+  const recipient = toAddress.toLowerCase();
+  const mint = decodeTransferLogs(receipt, contractAddress).find(
+    (transfer) => transfer.from === ZERO_ADDRESS && transfer.to === recipient
+  );
+
+  return mint ? mint.tokenId : null;
+}
+
+/**
+ * Decodes every EIP-4906 metadata update log emitted by a contract in a
+ * receipt. A single MetadataUpdate is returned as a range of one token.
+ * @param {Object} receipt - The transaction receipt
+ * @param {string} contractAddress - The NFT contract address
+ * @returns {Array<Object>} Updated ranges with fromTokenId and toTokenId as
+ *   bigints and the log's position (logIndex, blockNumber, transactionHash)
+ */
+export function decodeMetadataUpdateLogs(receipt, contractAddress) {
+  const contract = contractAddress.toLowerCase();
+
+  return (receipt.logs || [])
+    .filter((log) => log.address?.toLowerCase() === contract)
+    .flatMap((log) => {
+      // Token IDs are not indexed, so they are read from the data words
+      const topic = log.topics?.[0]?.toLowerCase();
+      const words = (log.data || "0x").slice(2).match(/.{64}/g) || [];
+
+      let range;
+      if (topic === METADATA_UPDATE_TOPIC && words.length >= 1) {
+        range = [BigInt(`0x${words[0]}`), BigInt(`0x${words[0]}`)];
+      } else if (topic === BATCH_METADATA_UPDATE_TOPIC && words.length >= 2) {
+        range = [BigInt(`0x${words[0]}`), BigInt(`0x${words[1]}`)];
+      } else {
+        return [];
+      }
+
+      return [
+        {
+          fromTokenId: range[0],
+          toTokenId: range[1],
+          logIndex: Number(log.logIndex),
+          blockNumber: Number(log.blockNumber),
+          transactionHash: log.transactionHash,
+        },
+      ];
+    });
+}
@@ -0,0 +1,41 @@
+import { keccak256, padHex, toHex } from "thirdweb";
+
+// AccessControl roles of thirdweb's TokenERC721, by their Solidity constant
+// names. Other contracts may define more, which are addressed by their ID.
+export const ROLES = {
+  DEFAULT_ADMIN_ROLE: padHex("0x0", { size: 32 }),
+  MINTER_ROLE: keccak256(toHex("MINTER_ROLE")),
+  TRANSFER_ROLE: keccak256(toHex("TRANSFER_ROLE")),
+  METADATA_ROLE: keccak256(toHex("METADATA_ROLE")),
+};
+
+/**
+ * Resolves a role given by name or ID. Names are matched case-insensitively
+ * and the "_ROLE" suffix is optional, so "minter" is MINTER_ROLE; "admin" is
+ * DEFAULT_ADMIN_ROLE.
+ * @param {string} role - A role name, or a 32-byte hex role ID
+ * @returns {Object|null} The role `name` (null for unknown IDs) and `id`, or
+ *   null if the name is not known
+ */
+export function resolveRole(role) {
+  if (/^0x[a-fA-F0-9]{64}$/.test(role)) {
+    const id = role.toLowerCase();
+    const name = Object.keys(ROLES).find((candidate) => ROLES[candidate] === id);
+    return { name: name || null, id };
+  }
+
+  const upper = role.toUpperCase();
+  const name = [upper, `${upper}_ROLE`, `DEFAULT_${upper}_ROLE`].find((candidate) =>
+    Object.hasOwn(ROLES, candidate)
+  );
+  return name ? { name, id: ROLES[name] } : null;
+}
+
+/**
+ * Names a role ID for responses
+ * @param {string} id - The 32-byte hex role ID
+ * @returns {string|null} The role name, or null if the role is not known
+ */
+export function getRoleName(id) {
+  return resolveRole(id)?.name ?? null;
+}
@@ -0,0 +1,114 @@
+// Sign-In with Ethereum (EIP-4361) messages
+
+const HEADER_SUFFIX = " wants you to sign in with your Ethereum account:";
+
+// Fields after the statement, in the order EIP-4361 lists them
+const FIELDS = [
+  ["uri", "URI"],
+  ["version", "Version"],
+  ["chainId", "Chain ID"],
+  ["nonce", "Nonce"],
+  ["issuedAt", "Issued At"],
+  ["expirationTime", "Expiration Time"],
+  ["notBefore", "Not Before"],
+  ["requestId", "Request ID"],
+];
+
+/**
+ * Builds an EIP-4361 message for a wallet to sign
+ * @param {Object} fields - The message fields
+ * @param {string} fields.domain - The domain requesting the sign-in
+ * @param {string} fields.address - The checksummed wallet address
+ * @param {string} fields.statement - Human readable statement (optional)
+ * @param {string} fields.uri - The URI the sign-in is for
+ * @param {number} fields.chainId - The chain the wallet is on
+ * @param {string} fields.nonce - The server-issued nonce
+ * @param {string} fields.issuedAt - ISO 8601 time the message was created
+ * @param {string} fields.expirationTime - ISO 8601 time the message expires (optional)
+ * @returns {string} The message
+ */
+export function createSiweMessage(fields) {
+  const lines = [`${fields.domain}${HEADER_SUFFIX}`, fields.address, ""];
+  if (fields.statement) {
+    lines.push(fields.statement, "");
+  }
+
+  for (const [name, label] of FIELDS) {
+    if (fields[name] !== undefined && fields[name] !== null) {
+      lines.push(`${label}: ${fields[name]}`);
+    }
+  }
+  if (fields.resources?.length) {
+    lines.push("Resources:", ...fields.resources.map((resource) => `- ${resource}`));
+  }
+
+  return lines.join("\n");
+}
+
+/**
+ * Parses an EIP-4361 message
+ * @param {string} message - The signed message
+ * @returns {Object} The fields, with `chainId` as a number and `resources` as an array
+ * @throws {Error} If the message is not a well-formed EIP-4361 message
+ */
+export function parseSiweMessage(message) {
+  const lines = String(message).split("\n");
+
+  if (!lines[0]?.endsWith(HEADER_SUFFIX)) {
+    throw new Error("Not a Sign-In with Ethereum message");
+  }
+  const fields = {
+    domain: lines[0].slice(0, -HEADER_SUFFIX.length),
+    address: lines[1],
+    statement: null,
+    resources: [],
+  };
+  if (!fields.domain || !/^0x[a-fA-F0-9]{40}$/.test(fields.address || "")) {
+    throw new Error("Message is missing its domain or address");
+  }
+
+  // An optional statement sits between two blank lines
+  let index = 3;
+  if (lines[2] !== "") {
+    throw new Error("Malformed message header");
+  }
+  if (lines[3] !== undefined && !lines[3].startsWith("URI: ")) {
+    fields.statement = lines[3];
+    if (lines[4] !== "") {
+      throw new Error("Malformed message statement");
+    }
+    index = 5;
+  }
+
+  const labels = new Map(FIELDS.map(([name, label]) => [`${label}: `, name]));
+  for (; index < lines.length; index++) {
+    const line = lines[index];
+    if (line === "Resources:") {
+      fields.resources = lines.slice(index + 1).map((resource) => {
+        if (!resource.startsWith("- ")) {
+          throw new Error("Malformed message resources");
+        }
+        return resource.slice(2);
+      });
+      break;
+    }
+
+    const prefix = [...labels.keys()].find((label) => line.startsWith(label));
+    if (!prefix || fields[labels.get(prefix)] !== undefined) {
+      throw new Error(`Unexpected line in message: ${line}`);
+    }
+    fields[labels.get(prefix)] = line.slice(prefix.length);
+  }
+
+  for (const [name, label] of FIELDS.slice(0, 5)) {
+    if (!fields[name]) {
+      throw new Error(`Message is missing ${label}`);
+    }
+  }
+  fields.chainId = Number(fields.chainId);
+  if (!Number.isSafeInteger(fields.chainId) || fields.chainId < 1) {
+    throw new Error("Message has an invalid Chain ID");
+  }
+
+  return fields;
+}
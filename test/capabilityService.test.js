@@ -0,0 +1,146 @@
+import assert from "node:assert/strict";
+import http from "node:http";
+import { after, before, describe, it } from "node:test";
+import { createThirdwebClient, defineChain, getContract } from "thirdweb";
+import { toFunctionSelector } from "thirdweb/utils";
+import {
+  getCapabilitySupport,
+  getContractCapabilities,
+} from "../src/services/capabilityService.js";
+
+const client = createThirdwebClient({ clientId: "test" });
+
+const OWNER_OF = "function ownerOf(uint256 tokenId) view returns (address)";
+const MINT_TO = "function mintTo(address _to, string _uri) returns (uint256)";
+const TOKEN_URI = "function tokenURI(uint256 tokenId) view returns (string)";
+const SUPPORTS_INTERFACE = "function supportsInterface(bytes4 interfaceId) view returns (bool)";
+
+/**
+ * Builds runtime code whose dispatcher compares the call against the given
+ * functions with PUSH4 selectors
+ * @param {Array<string>} signatures - The functions
+ * @returns {string} The bytecode
+ */
+function dispatcherCode(signatures) {
+  const checks = signatures.map((signature) => `63${toFunctionSelector(signature).slice(2)}14`);
+  return `0x6080604052${checks.join("")}00`;
+}
+
+// Contracts served by the fixture RPC, by address
+const CONTRACTS = {
+  // A plain ERC-721 without ERC-165
+  "0x00000000000000000000000000000000000000c1": {
+    code: dispatcherCode([OWNER_OF, MINT_TO, TOKEN_URI]),
+  },
+  // A router forwarding every call to plugins, so its own code shows nothing
+  "0x00000000000000000000000000000000000000c2": {
+    code: "0x60806040523660008037",
+  },
+  // An ERC-165 contract supporting ERC-721 and nothing else
+  "0x00000000000000000000000000000000000000c3": {
+    code: dispatcherCode([OWNER_OF, MINT_TO, SUPPORTS_INTERFACE]),
+    interfaces: new Set(["01ffc9a7", "80ac58cd"]),
+  },
+};
+const [PLAIN, ROUTER, ERC165] = Object.keys(CONTRACTS);
+
+/**
+ * Answers one JSON-RPC request for the fixture contracts
+ * @param {Object} request - The JSON-RPC request
+ * @returns {Object} The JSON-RPC response
+ */
+function answer({ id, method, params }) {
+  const reply = (result) => ({ jsonrpc: "2.0", id, result });
+  const revert = { jsonrpc: "2.0", id, error: { code: 3, message: "execution reverted" } };
+
+  switch (method) {
+    case "eth_chainId":
+      return reply("0x7a69");
+    case "eth_getCode":
+      return reply(CONTRACTS[params[0].toLowerCase()]?.code ?? "0x");
+    case "eth_getStorageAt":
+      return reply(`0x${"0".repeat(64)}`);
+    case "eth_call": {
+      const { to, data } = params[0];
+      const { interfaces } = CONTRACTS[to.toLowerCase()] ?? {};
+      if (!interfaces || data.slice(2, 10) !== "01ffc9a7") {
+        return revert;
+      }
+      return reply(`0x${"0".repeat(63)}${interfaces.has(data.slice(10, 18)) ? 1 : 0}`);
+    }
+    default:
+      return { jsonrpc: "2.0", id, error: { code: -32601, message: `Unsupported: ${method}` } };
+  }
+}
+
+let server;
+let chain;
+
+before(async () => {
+  server = http.createServer((req, res) => {
+    let body = "";
+    req.on("data", (chunk) => {
+      body += chunk;
+    });
+    req.on("end", () => {
+      const request = JSON.parse(body);
+      const response = Array.isArray(request) ? request.map(answer) : answer(request);
+      res.setHeader("Content-Type", "application/json");
+      res.end(JSON.stringify(response));
+    });
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  chain = defineChain({ id: 31337, rpc: `http://127.0.0.1:${server.address().port}` });
+});
+
+after(() => {
+  server.close();
+});
+
+/**
+ * Gets a fixture contract
+ * @param {string} address - The contract address
+ * @returns {Object} Thirdweb contract instance
+ */
+function contractAt(address) {
+  return getContract({ client, chain, address });
+}
+
+describe("getContractCapabilities", () => {
+  it("detects functions from the code of a contract without ERC-165", async () => {
+    const capabilities = await getContractCapabilities(contractAt(PLAIN));
+    assert.equal(capabilities.erc721, true);
+    assert.equal(capabilities.erc721Metadata, true);
+    assert.equal(capabilities.mintTo, true);
+    assert.equal(capabilities.burn, false);
+    assert.equal(capabilities.erc4906MetadataUpdate, false);
+  });
+
+  it("takes interfaces from ERC-165 when the contract implements it", async () => {
+    const capabilities = await getContractCapabilities(contractAt(ERC165));
+    assert.equal(capabilities.erc721, true);
+    assert.equal(capabilities.erc721Metadata, false);
+    assert.equal(capabilities.accessControl, false);
+  });
+});
+
+describe("getCapabilitySupport", () => {
+  it("reports detected capabilities as supported", async () => {
+    assert.equal(await getCapabilitySupport(contractAt(PLAIN), "mintTo"), true);
+    assert.equal(await getCapabilitySupport(contractAt(ERC165), "erc721"), true);
+  });
+
+  it("reports functions missing from a readable dispatcher as unsupported", async () => {
+    assert.equal(await getCapabilitySupport(contractAt(PLAIN), "burn"), false);
+    assert.equal(await getCapabilitySupport(contractAt(PLAIN), "setTokenURI"), false);
+  });
+
+  it("reports interfaces denied through ERC-165 as unsupported", async () => {
+    assert.equal(await getCapabilitySupport(contractAt(ERC165), "accessControl"), false);
+  });
+
+  it("does not know what a router without a readable dispatcher supports", async () => {
+    assert.equal(await getCapabilitySupport(contractAt(ROUTER), "mintTo"), null);
+    assert.equal(await getCapabilitySupport(contractAt(ROUTER), "burn"), null);
+  });
+});
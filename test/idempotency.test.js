@@ -0,0 +1,136 @@
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { after, before, describe, it } from "node:test";
+import express from "express";
+import { createIdempotency, markBroadcast } from "../src/middleware/idempotency.js";
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "idempotency-test-"));
+process.env.DATA_DIR = dataDir;
+
+let server;
+let baseUrl;
+const calls = {};
+
+/**
+ * Sends a POST to the test server
+ * @param {string} route - The route path
+ * @param {string} key - The Idempotency-Key header (optional)
+ * @param {Object} body - The JSON body
+ * @returns {Promise<Object>} Status, headers and parsed body
+ */
+async function post(route, key, body = {}) {
+  const response = await fetch(`${baseUrl}${route}`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json", ...(key && { "Idempotency-Key": key }) },
+    body: JSON.stringify(body),
+  });
+  return { status: response.status, headers: response.headers, body: await response.json() };
+}
+
+/**
+ * Adds a route that counts its calls and answers with the given handler
+ * @param {Object} app - The Express app
+ * @param {string} route - The route path
+ * @param {Function} handler - Sends the response
+ */
+function countedRoute(app, route, handler) {
+  calls[route] = 0;
+  app.post(route, createIdempotency(), (req, res) => {
+    calls[route]++;
+    handler(req, res);
+  });
+}
+
+before(async () => {
+  const app = express();
+  app.use(express.json());
+  countedRoute(app, "/ok", (req, res) => res.status(201).json({ call: calls["/ok"] }));
+  countedRoute(app, "/rejected", (req, res) => res.status(400).json({ success: false }));
+  countedRoute(app, "/unsent", (req, res) => res.status(500).json({ success: false }));
+  countedRoute(app, "/sent", (req, res) => {
+    markBroadcast(res);
+    res.status(500).json({ success: false, call: calls["/sent"] });
+  });
+  countedRoute(app, "/slow", (req, res) => setTimeout(() => res.json({ done: true }), 200));
+
+  await new Promise((resolve) => {
+    server = app.listen(0, "127.0.0.1", resolve);
+  });
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+  server.close();
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+describe("createIdempotency", () => {
+  it("runs requests without a key every time", async () => {
+    await post("/ok", null);
+    await post("/ok", null);
+    assert.equal(calls["/ok"], 2);
+  });
+
+  it("replays the stored response for a repeated key and body", async () => {
+    const first = await post("/ok", "replay", { text: "a", n: 1 });
+    const second = await post("/ok", "replay", { n: 1, text: "a" });
+    assert.equal(second.status, 201);
+    assert.deepEqual(second.body, first.body);
+    assert.equal(second.headers.get("idempotent-replayed"), "true");
+    assert.equal(first.headers.get("idempotent-replayed"), null);
+  });
+
+  it("rejects a repeated key with a different body", async () => {
+    await post("/ok", "changed", { text: "a" });
+    const response = await post("/ok", "changed", { text: "b" });
+    assert.equal(response.status, 422);
+  });
+
+  it("replays 4xx responses", async () => {
+    await post("/rejected", "rejected");
+    const response = await post("/rejected", "rejected");
+    assert.equal(response.status, 400);
+    assert.equal(response.headers.get("idempotent-replayed"), "true");
+    assert.equal(calls["/rejected"], 1);
+  });
+
+  it("releases the key after a server error when nothing was broadcast", async () => {
+    await post("/unsent", "unsent");
+    const response = await post("/unsent", "unsent");
+    assert.equal(response.status, 500);
+    assert.equal(response.headers.get("idempotent-replayed"), null);
+    assert.equal(calls["/unsent"], 2);
+  });
+
+  it("keeps a server error once a transaction was broadcast", async () => {
+    const first = await post("/sent", "sent");
+    const second = await post("/sent", "sent");
+    assert.equal(second.status, 500);
+    assert.equal(second.headers.get("idempotent-replayed"), "true");
+    assert.deepEqual(second.body, first.body);
+    assert.equal(calls["/sent"], 1);
+  });
+
+  it("answers 409 while the first request is still running", async () => {
+    const first = post("/slow", "slow");
+    await new Promise((resolve) => setTimeout(resolve, 50));
+    const second = await post("/slow", "slow");
+    assert.equal(second.status, 409);
+    assert.equal(second.headers.get("retry-after"), "1");
+    assert.equal((await first).status, 200);
+  });
+
+  it("scopes keys to the route", async () => {
+    await post("/ok", "shared");
+    const response = await post("/rejected", "shared");
+    assert.equal(response.status, 400);
+    assert.equal(response.headers.get("idempotent-replayed"), null);
+  });
+
+  it("rejects keys longer than 255 characters", async () => {
+    const response = await post("/ok", "k".repeat(256));
+    assert.equal(response.status, 400);
+  });
+});
@@ -0,0 +1,236 @@
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import http from "node:http";
+import os from "node:os";
+import path from "node:path";
+import { after, before, describe, it } from "node:test";
+import { createThirdwebClient, defineChain, padHex, toHex } from "thirdweb";
+import { encodeAbiParameters } from "thirdweb/utils";
+import {
+  getIndexedWalletTokens,
+  getIndexerStatus,
+  getTokenHistory,
+  indexContract,
+} from "../src/services/indexerService.js";
+import { METADATA_UPDATE_TOPIC, TRANSFER_TOPIC } from "../src/utils/receiptDecoder.js";
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "indexer-test-"));
+process.env.DATA_DIR = dataDir;
+
+const client = createThirdwebClient({ clientId: "test" });
+
+const ZERO_ADDRESS = "0x0000000000000000000000000000000000000000";
+const ALICE = "0x8ba1f109551bD432803012645Ac136ddd64DBA72";
+const BOB = "0xAb5801a7D398351b8bE11C439e05C5B3259aeC9B";
+
+// Chain state served by the fixture RPC
+const fixture = { head: 0, logs: [], uris: {} };
+
+/**
+ * Builds an ERC-721 Transfer log
+ * @param {string} address - The contract address
+ * @param {number} blockNumber - The block of the log
+ * @param {Object} transfer - from, to and tokenId
+ * @returns {Object} The log as returned by eth_getLogs
+ */
+function transferLog(address, blockNumber, { from, to, tokenId }) {
+  return {
+    address,
+    topics: [
+      TRANSFER_TOPIC,
+      padHex(from.toLowerCase(), { size: 32 }),
+      padHex(to.toLowerCase(), { size: 32 }),
+      padHex(toHex(tokenId), { size: 32 }),
+    ],
+    data: "0x",
+    blockNumber: toHex(blockNumber),
+    logIndex: "0x0",
+    transactionHash: padHex(toHex(blockNumber), { size: 32 }),
+  };
+}
+
+/**
+ * Builds an EIP-4906 MetadataUpdate log
+ * @param {string} address - The contract address
+ * @param {number} blockNumber - The block of the log
+ * @param {bigint} tokenId - The updated token
+ * @returns {Object} The log as returned by eth_getLogs
+ */
+function metadataUpdateLog(address, blockNumber, tokenId) {
+  return {
+    address,
+    topics: [METADATA_UPDATE_TOPIC],
+    data: padHex(toHex(tokenId), { size: 32 }),
+    blockNumber: toHex(blockNumber),
+    logIndex: "0x1",
+    transactionHash: padHex(toHex(blockNumber), { size: 32 }),
+  };
+}
+
+/**
+ * Answers one JSON-RPC request from the fixture chain state
+ * @param {Object} request - The JSON-RPC request
+ * @returns {Object} The JSON-RPC response
+ */
+function answer({ id, method, params }) {
+  const reply = (result) => ({ jsonrpc: "2.0", id, result });
+
+  switch (method) {
+    case "eth_chainId":
+      return reply("0x7a69");
+    case "eth_blockNumber":
+      return reply(toHex(fixture.head));
+    case "eth_getLogs": {
+      const { address, fromBlock, toBlock } = params[0];
+      return reply(
+        fixture.logs.filter(
+          (log) =>
+            log.address.toLowerCase() === address.toLowerCase() &&
+            Number(log.blockNumber) >= Number(fromBlock) &&
+            Number(log.blockNumber) <= Number(toBlock)
+        )
+      );
+    }
+    case "eth_getBlockByNumber":
+      return reply({
+        number: params[0],
+        hash: padHex(params[0], { size: 32 }),
+        timestamp: toHex(1700000000 + Number(params[0]) * 12),
+        transactions: [],
+      });
+    case "eth_call": {
+      // tokenURI(uint256) is the only call the indexer makes
+      const { to, data } = params[0];
+      const uri = fixture.uris[`${to.toLowerCase()}-${BigInt(`0x${data.slice(10)}`)}`] ?? "";
+      return reply(encodeAbiParameters([{ type: "string" }], [uri]));
+    }
+    default:
+      return { jsonrpc: "2.0", id, error: { code: -32601, message: `Unsupported: ${method}` } };
+  }
+}
+
+let server;
+let chain;
+
+before(async () => {
+  server = http.createServer((req, res) => {
+    let body = "";
+    req.on("data", (chunk) => {
+      body += chunk;
+    });
+    req.on("end", () => {
+      const request = JSON.parse(body);
+      const response = Array.isArray(request) ? request.map(answer) : answer(request);
+      res.setHeader("Content-Type", "application/json");
+      res.end(JSON.stringify(response));
+    });
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  chain = defineChain({ id: 31337, rpc: `http://127.0.0.1:${server.address().port}` });
+});
+
+after(() => {
+  server.close();
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+/**
+ * Gets a registry target for a fixture contract starting at block 1
+ * @param {string} address - The contract address
+ * @returns {Object} The contract target
+ */
+function targetAt(address) {
+  return { alias: "test", chainId: 31337, chain, address, startBlock: 1 };
+}
+
+describe("indexContract", () => {
+  it("indexes mints, transfers and burns", async () => {
+    const address = "0x00000000000000000000000000000000000000a1";
+    fixture.uris[`${address}-1`] = "ipfs://one";
+    fixture.uris[`${address}-2`] = "ipfs://two";
+    fixture.logs.push(
+      transferLog(address, 2, { from: ZERO_ADDRESS, to: ALICE, tokenId: 1n }),
+      transferLog(address, 3, { from: ZERO_ADDRESS, to: ALICE, tokenId: 2n }),
+      transferLog(address, 4, { from: ALICE, to: BOB, tokenId: 1n }),
+      transferLog(address, 5, { from: ALICE, to: ZERO_ADDRESS, tokenId: 2n })
+    );
+    fixture.head = 5;
+
+    const target = targetAt(address);
+    await indexContract(client, target);
+
+    assert.deepEqual(getIndexedWalletTokens(target, BOB), [{ tokenId: "1", tokenUri: "ipfs://one" }]);
+    assert.deepEqual(getIndexedWalletTokens(target, ALICE), []);
+
+    const history = getTokenHistory(target, "1");
+    assert.equal(history.owner, BOB);
+    assert.equal(history.burned, false);
+    assert.deepEqual(
+      history.transfers.map(({ type, from, to, blockNumber }) => [type, from, to, blockNumber]),
+      [
+        ["mint", ZERO_ADDRESS, ALICE, 2],
+        ["transfer", ALICE, BOB, 4],
+      ]
+    );
+    assert.equal(history.mintedAt.timestamp, new Date((1700000000 + 2 * 12) * 1000).toISOString());
+
+    const burned = getTokenHistory(target, "2");
+    assert.equal(burned.owner, null);
+    assert.equal(burned.burned, true);
+
+    assert.deepEqual(getIndexerStatus(target), {
+      indexed: true,
+      startBlock: 1,
+      lastBlock: 5,
+      headBlock: 5,
+      tokenCount: 1,
+      ready: true,
+    });
+  });
+
+  it("drops transfers that a reorg removed from recent blocks", async () => {
+    const address = "0x00000000000000000000000000000000000000a2";
+    const reorged = transferLog(address, 3, { from: ALICE, to: BOB, tokenId: 1n });
+    fixture.logs.push(transferLog(address, 2, { from: ZERO_ADDRESS, to: ALICE, tokenId: 1n }), reorged);
+    fixture.head = 3;
+
+    const target = targetAt(address);
+    await indexContract(client, target);
+    assert.equal(getTokenHistory(target, "1").owner, BOB);
+
+    fixture.logs.splice(fixture.logs.indexOf(reorged), 1);
+    fixture.head = 4;
+    await indexContract(client, target);
+
+    const history = getTokenHistory(target, "1");
+    assert.equal(history.owner, ALICE);
+    assert.equal(history.transfers.length, 1);
+    assert.equal(getIndexerStatus(target).lastBlock, 4);
+  });
+
+  it("reads the URI again for tokens named by a metadata update", async () => {
+    const address = "0x00000000000000000000000000000000000000a3";
+    fixture.uris[`${address}-7`] = "ipfs://before";
+    fixture.logs.push(transferLog(address, 2, { from: ZERO_ADDRESS, to: ALICE, tokenId: 7n }));
+    fixture.head = 2;
+
+    const target = targetAt(address);
+    await indexContract(client, target);
+    assert.equal(getTokenHistory(target, "7").tokenUri, "ipfs://before");
+
+    fixture.uris[`${address}-7`] = "ipfs://after";
+    fixture.logs.push(metadataUpdateLog(address, 3, 7n));
+    fixture.head = 3;
+    await indexContract(client, target);
+
+    assert.equal(getTokenHistory(target, "7").tokenUri, "ipfs://after");
+  });
+});
+
+describe("getIndexerStatus", () => {
+  it("reports contracts without a start block as not indexed", () => {
+    assert.deepEqual(getIndexerStatus({ ...targetAt(ZERO_ADDRESS), startBlock: null }), {
+      indexed: false,
+    });
+  });
+});
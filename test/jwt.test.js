@@ -0,0 +1,44 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { signJwt, verifyJwt } from "../src/utils/jwt.js";
+
+const SECRET = "test-secret";
+
+/**
+ * Gets a time in seconds relative to now
+ * @param {number} offsetSeconds - Seconds from now
+ * @returns {number} Unix time in seconds
+ */
+function secondsFromNow(offsetSeconds) {
+  return Math.floor(Date.now() / 1000) + offsetSeconds;
+}
+
+describe("verifyJwt", () => {
+  it("returns the claims of a valid token", () => {
+    const claims = { sub: "0x8ba1f109551bD432803012645Ac136ddd64DBA72", exp: secondsFromNow(60) };
+    assert.deepEqual(verifyJwt(signJwt(claims, SECRET), SECRET), claims);
+  });
+
+  it("rejects a token signed with another secret", () => {
+    const token = signJwt({ exp: secondsFromNow(60) }, "other-secret");
+    assert.throws(() => verifyJwt(token, SECRET), /Invalid token signature/);
+  });
+
+  it("rejects a token whose claims were changed", () => {
+    const [header, , signature] = signJwt({ sub: "a", exp: secondsFromNow(60) }, SECRET).split(".");
+    const payload = Buffer.from(JSON.stringify({ sub: "b", exp: secondsFromNow(60) })).toString(
+      "base64url"
+    );
+    assert.throws(() => verifyJwt(`${header}.${payload}.${signature}`, SECRET), /Invalid token signature/);
+  });
+
+  it("rejects expired tokens and tokens without an expiry", () => {
+    assert.throws(() => verifyJwt(signJwt({ exp: secondsFromNow(-1) }, SECRET), SECRET), /expired/);
+    assert.throws(() => verifyJwt(signJwt({ sub: "a" }, SECRET), SECRET), /expired/);
+  });
+
+  it("rejects malformed tokens", () => {
+    assert.throws(() => verifyJwt("not-a-token", SECRET), /Malformed token/);
+    assert.throws(() => verifyJwt(undefined, SECRET), /Malformed token/);
+  });
+});
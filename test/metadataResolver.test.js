@@ -0,0 +1,105 @@
+import assert from "node:assert/strict";
+import http from "node:http";
+import { after, before, describe, it } from "node:test";
+import { resolveTokenMetadata, substituteTokenId } from "../src/services/metadataResolver.js";
+
+const METADATA = { name: "Token", description: "A token", image: "ipfs://image" };
+
+let server;
+let baseUrl;
+
+before(async () => {
+  server = http.createServer((req, res) => {
+    if (req.url === "/metadata/token.json") {
+      res.setHeader("Content-Type", "application/json");
+      return res.end(JSON.stringify(METADATA));
+    }
+    if (req.url === "/metadata/moved.json") {
+      res.statusCode = 302;
+      res.setHeader("Location", "/metadata/token.json");
+      return res.end();
+    }
+    if (req.url === "/metadata/escape.json") {
+      // Another port on the same host is a different origin
+      res.statusCode = 302;
+      res.setHeader("Location", "http://localhost:1/latest/meta-data");
+      return res.end();
+    }
+    res.statusCode = 404;
+    res.end();
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+  process.env.METADATA_BASE_URL = baseUrl;
+});
+
+after(() => {
+  server.close();
+});
+
+describe("substituteTokenId", () => {
+  it("replaces {id} with the zero-padded hex token ID", () => {
+    assert.equal(
+      substituteTokenId("https://example.com/{id}.json", 255n),
+      `https://example.com/${"0".repeat(62)}ff.json`
+    );
+  });
+
+  it("leaves URIs without a token ID alone", () => {
+    assert.equal(substituteTokenId("https://example.com/{id}.json", null), "https://example.com/{id}.json");
+  });
+});
+
+describe("resolveTokenMetadata", () => {
+  it("decodes base64 and percent-encoded JSON data URIs", async () => {
+    const base64 = Buffer.from(JSON.stringify(METADATA)).toString("base64");
+    assert.deepEqual(
+      await resolveTokenMetadata(null, `data:application/json;base64,${base64}`),
+      METADATA
+    );
+    assert.deepEqual(
+      await resolveTokenMetadata(
+        null,
+        `data:application/json,${encodeURIComponent(JSON.stringify(METADATA))}`
+      ),
+      METADATA
+    );
+  });
+
+  it("rejects data URIs that are not JSON objects", async () => {
+    await assert.rejects(resolveTokenMetadata(null, "data:application/json,[1]"), /not a JSON object/);
+    await assert.rejects(resolveTokenMetadata(null, "data:image/png;base64,AAAA"), /Unsupported data URI type/);
+  });
+
+  it("refuses token URIs on loopback, private and link-local hosts", async () => {
+    for (const uri of [
+      "http://127.0.0.1:1/metadata.json",
+      "http://localhost:1/metadata.json",
+      "http://169.254.169.254/latest/meta-data",
+      "http://10.0.0.1/metadata.json",
+      "http://[::1]:1/metadata.json",
+    ]) {
+      await assert.rejects(resolveTokenMetadata(null, uri), /not allowed/, uri);
+    }
+  });
+
+  it("fetches URIs on the METADATA_BASE_URL origin and follows their redirects", async () => {
+    assert.deepEqual(await resolveTokenMetadata(null, `${baseUrl}/metadata/token.json`), METADATA);
+    assert.deepEqual(await resolveTokenMetadata(null, `${baseUrl}/metadata/moved.json`), METADATA);
+  });
+
+  it("checks every redirect hop", async () => {
+    await assert.rejects(
+      resolveTokenMetadata(null, `${baseUrl}/metadata/escape.json`),
+      /not allowed: localhost resolves to a non-public address/
+    );
+  });
+
+  it("reports failed requests", async () => {
+    await assert.rejects(resolveTokenMetadata(null, `${baseUrl}/metadata/missing.json`), /failed: 404/);
+  });
+
+  it("rejects unsupported schemes", async () => {
+    await assert.rejects(resolveTokenMetadata(null, "ftp://example.com/a.json"), /Unsupported token URI scheme/);
+  });
+});
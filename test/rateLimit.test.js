@@ -0,0 +1,187 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import {
+  createMemoryStore,
+  createRateLimiter,
+  createRedisStore,
+} from "../src/middleware/rateLimit.js";
+
+/**
+ * Runs a rate limiter on a request
+ * @param {Function} limiter - The middleware
+ * @param {Object} request - Fields of the request, e.g. apiKey and ip
+ * @returns {Promise<Object>} Whether next was called, and the response
+ *   status, headers and body
+ */
+async function run(limiter, request = {}) {
+  const req = { ip: "203.0.113.7", apiKey: { id: "key-1" }, ...request };
+  const res = {
+    headers: {},
+    setHeader(name, value) {
+      this.headers[name] = value;
+    },
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      this.body = body;
+      return this;
+    },
+  };
+  let called = false;
+  await limiter(req, res, () => {
+    called = true;
+  });
+  return { called, status: res.statusCode, headers: res.headers, body: res.body };
+}
+
+/**
+ * Creates a stand-in for an ioredis client with the commands the Redis
+ * store uses, keeping keys in memory
+ * @returns {Object} The client
+ */
+function createRedisLike() {
+  const keys = new Map();
+  return {
+    keys,
+    async incrby(key, amount) {
+      const entry = keys.get(key) ?? { value: 0, expiresAt: null };
+      entry.value += amount;
+      keys.set(key, entry);
+      return entry.value;
+    },
+    async pexpire(key, ms) {
+      keys.get(key).expiresAt = Date.now() + ms;
+      return 1;
+    },
+    async pttl(key) {
+      const { expiresAt } = keys.get(key);
+      return expiresAt === null ? -1 : expiresAt - Date.now();
+    },
+  };
+}
+
+describe("createRateLimiter", () => {
+  it("lets requests through up to the limit and sets the headers", async () => {
+    const limiter = createRateLimiter({
+      name: "read",
+      limit: 2,
+      windowMs: 60000,
+      store: createMemoryStore(),
+    });
+
+    const first = await run(limiter);
+    assert.ok(first.called);
+    assert.equal(first.headers["RateLimit-Limit"], "2");
+    assert.equal(first.headers["RateLimit-Remaining"], "1");
+    assert.equal(first.headers["RateLimit-Policy"], "2;w=60");
+    assert.equal(first.headers["RateLimit-Reset"], "60");
+
+    const second = await run(limiter);
+    assert.ok(second.called);
+    assert.equal(second.headers["RateLimit-Remaining"], "0");
+  });
+
+  it("answers 429 with Retry-After once the limit is exceeded", async () => {
+    const limiter = createRateLimiter({
+      name: "mint",
+      limit: 1,
+      windowMs: 30000,
+      store: createMemoryStore(),
+    });
+    await run(limiter);
+
+    const { called, status, headers, body } = await run(limiter);
+    assert.equal(called, false);
+    assert.equal(status, 429);
+    assert.equal(headers["Retry-After"], "30");
+    assert.match(body.message, /mint rate limit of 1 per 30s/);
+  });
+
+  it("counts API keys and client IPs separately", async () => {
+    const limiter = createRateLimiter({
+      name: "read",
+      limit: 1,
+      windowMs: 60000,
+      store: createMemoryStore(),
+    });
+    await run(limiter);
+
+    assert.ok((await run(limiter, { apiKey: { id: "key-2" } })).called);
+    assert.ok((await run(limiter, { ip: "198.51.100.1" })).called);
+    assert.equal((await run(limiter)).status, 429);
+  });
+
+  it("charges the cost of each request", async () => {
+    const limiter = createRateLimiter({
+      name: "mint",
+      limit: 5,
+      windowMs: 60000,
+      store: createMemoryStore(),
+      cost: (req) => req.items,
+    });
+
+    assert.equal((await run(limiter, { items: 3 })).headers["RateLimit-Remaining"], "2");
+    assert.equal((await run(limiter, { items: 3 })).status, 429);
+  });
+
+  it("starts a new window once the old one has ended", async () => {
+    const limiter = createRateLimiter({
+      name: "read",
+      limit: 1,
+      windowMs: 50,
+      store: createMemoryStore(),
+    });
+    await run(limiter);
+    assert.equal((await run(limiter)).status, 429);
+
+    await new Promise((resolve) => setTimeout(resolve, 60));
+    assert.ok((await run(limiter)).called);
+  });
+
+  it("lets requests through when the store fails", async () => {
+    const limiter = createRateLimiter({
+      name: "read",
+      limit: 1,
+      windowMs: 60000,
+      store: {
+        async increment() {
+          throw new Error("store down");
+        },
+      },
+    });
+    const originalError = console.error;
+    console.error = () => {};
+    try {
+      assert.ok((await run(limiter)).called);
+    } finally {
+      console.error = originalError;
+    }
+  });
+});
+
+describe("createRedisStore", () => {
+  it("counts in one window across calls and sets its expiry once", async () => {
+    const redis = createRedisLike();
+    const store = createRedisStore(redis);
+
+    const first = await store.increment("read:key-1:ip", 60000, 2);
+    const second = await store.increment("read:key-1:ip", 60000);
+    assert.equal(first.count, 2);
+    assert.equal(second.count, 3);
+    assert.ok(Math.abs(second.resetAt - first.resetAt) < 50);
+    assert.ok(redis.keys.has("ratelimit:read:key-1:ip"));
+  });
+
+  it("restarts the expiry of a key that lost it", async () => {
+    const redis = createRedisLike();
+    const store = createRedisStore(redis);
+    await redis.incrby("ratelimit:stale", 4);
+
+    const { count, resetAt } = await store.increment("stale", 1000);
+    assert.equal(count, 5);
+    assert.ok(resetAt > Date.now());
+    assert.notEqual(redis.keys.get("ratelimit:stale").expiresAt, null);
+  });
+});
@@ -0,0 +1,64 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { padHex, toHex } from "thirdweb";
+import { TRANSFER_TOPIC, findMintedTokenId } from "../src/utils/receiptDecoder.js";
+
+const CONTRACT = "0xFe05466FB24f917c55a1456dbA186153766EB751";
+const ZERO_ADDRESS = "0x0000000000000000000000000000000000000000";
+const RECIPIENT = "0x8ba1f109551bD432803012645Ac136ddd64DBA72";
+const OTHER = "0xAb5801a7D398351b8bE11C439e05C5B3259aeC9B";
+
+/**
+ * Builds an ERC-721 Transfer log
+ * @param {Object} options - The log fields
+ * @returns {Object} The log
+ */
+function transferLog({ from, to, tokenId, address = CONTRACT }) {
+  return {
+    address,
+    topics: [
+      TRANSFER_TOPIC,
+      padHex(from.toLowerCase(), { size: 32 }),
+      padHex(to.toLowerCase(), { size: 32 }),
+      padHex(toHex(tokenId), { size: 32 }),
+    ],
+    data: "0x",
+    logIndex: 0,
+    blockNumber: 1,
+    transactionHash: `0x${"ab".repeat(32)}`,
+  };
+}
+
+describe("findMintedTokenId", () => {
+  it("returns the token minted to the recipient", () => {
+    const receipt = { logs: [transferLog({ from: ZERO_ADDRESS, to: RECIPIENT, tokenId: 124n })] };
+    assert.equal(findMintedTokenId(receipt, CONTRACT, RECIPIENT), "124");
+  });
+
+  it("matches the contract and recipient regardless of case", () => {
+    const receipt = { logs: [transferLog({ from: ZERO_ADDRESS, to: RECIPIENT, tokenId: 7n })] };
+    assert.equal(findMintedTokenId(receipt, CONTRACT.toLowerCase(), RECIPIENT.toLowerCase()), "7");
+  });
+
+  it("skips mints to others, transfers and other contracts", () => {
+    const receipt = {
+      logs: [
+        transferLog({ from: ZERO_ADDRESS, to: OTHER, tokenId: 1n }),
+        transferLog({ from: OTHER, to: RECIPIENT, tokenId: 2n }),
+        transferLog({ from: ZERO_ADDRESS, to: RECIPIENT, tokenId: 3n, address: OTHER }),
+        transferLog({ from: ZERO_ADDRESS, to: RECIPIENT, tokenId: 4n }),
+      ],
+    };
+    assert.equal(findMintedTokenId(receipt, CONTRACT, RECIPIENT), "4");
+  });
+
+  it("ignores ERC-20 Transfer logs, which have three topics", () => {
+    const erc20 = transferLog({ from: ZERO_ADDRESS, to: RECIPIENT, tokenId: 5n });
+    erc20.topics = erc20.topics.slice(0, 3);
+    assert.equal(findMintedTokenId({ logs: [erc20] }, CONTRACT, RECIPIENT), null);
+  });
+
+  it("returns null for a receipt without logs", () => {
+    assert.equal(findMintedTokenId({}, CONTRACT, RECIPIENT), null);
+  });
+});
@@ -0,0 +1,176 @@
+import assert from "node:assert/strict";
+import http from "node:http";
+import { after, before, describe, it } from "node:test";
+import { createThirdwebClient, defineChain, getContract } from "thirdweb";
+import { decodeAbiParameters, encodeAbiParameters, toFunctionSelector } from "thirdweb/utils";
+import { checkRole, getRoleHolders } from "../src/services/nftService.js";
+import { hasMinterRole } from "../src/services/preflightService.js";
+import { ROLES, getRoleName, resolveRole } from "../src/utils/roles.js";
+
+const client = createThirdwebClient({ clientId: "test" });
+
+const ALICE = "0x8ba1f109551bD432803012645Ac136ddd64DBA72";
+const BOB = "0xAb5801a7D398351b8bE11C439e05C5B3259aeC9B";
+
+// An AccessControlEnumerable contract, one without roles and one whose node fails
+const ROLES_CONTRACT = "0x00000000000000000000000000000000000000b1";
+const OWNABLE_CONTRACT = "0x00000000000000000000000000000000000000b2";
+const FAILING_CONTRACT = "0x00000000000000000000000000000000000000b3";
+
+// Role holders of ROLES_CONTRACT, by role ID
+const HOLDERS = {
+  [ROLES.DEFAULT_ADMIN_ROLE]: [BOB],
+  [ROLES.MINTER_ROLE]: [ALICE, BOB],
+};
+
+const SELECTORS = {
+  hasRole: toFunctionSelector("function hasRole(bytes32 role, address account)"),
+  getRoleAdmin: toFunctionSelector("function getRoleAdmin(bytes32 role)"),
+  getRoleMemberCount: toFunctionSelector("function getRoleMemberCount(bytes32 role)"),
+  getRoleMember: toFunctionSelector("function getRoleMember(bytes32 role, uint256 index)"),
+};
+
+/**
+ * Answers an eth_call to ROLES_CONTRACT
+ * @param {string} data - The call data
+ * @returns {string} The encoded return value
+ */
+function callRolesContract(data) {
+  const selector = data.slice(0, 10);
+  const args = `0x${data.slice(10)}`;
+
+  switch (selector) {
+    case SELECTORS.hasRole: {
+      const [role, account] = decodeAbiParameters([{ type: "bytes32" }, { type: "address" }], args);
+      const holds = (HOLDERS[role] || []).some((holder) => holder.toLowerCase() === account.toLowerCase());
+      return encodeAbiParameters([{ type: "bool" }], [holds]);
+    }
+    case SELECTORS.getRoleAdmin:
+      return encodeAbiParameters([{ type: "bytes32" }], [ROLES.DEFAULT_ADMIN_ROLE]);
+    case SELECTORS.getRoleMemberCount: {
+      const [role] = decodeAbiParameters([{ type: "bytes32" }], args);
+      return encodeAbiParameters([{ type: "uint256" }], [BigInt((HOLDERS[role] || []).length)]);
+    }
+    case SELECTORS.getRoleMember: {
+      const [role, index] = decodeAbiParameters([{ type: "bytes32" }, { type: "uint256" }], args);
+      return encodeAbiParameters([{ type: "address" }], [HOLDERS[role][Number(index)].toLowerCase()]);
+    }
+    default:
+      return null;
+  }
+}
+
+/**
+ * Answers one JSON-RPC request for the fixture contracts
+ * @param {Object} request - The JSON-RPC request
+ * @returns {Object} The JSON-RPC response
+ */
+function answer({ id, method, params }) {
+  const reply = (result) => ({ jsonrpc: "2.0", id, result });
+  const revert = { jsonrpc: "2.0", id, error: { code: 3, message: "execution reverted" } };
+
+  switch (method) {
+    case "eth_chainId":
+      return reply("0x7a69");
+    case "eth_call": {
+      const { to, data } = params[0];
+      if (to.toLowerCase() === FAILING_CONTRACT) {
+        return { jsonrpc: "2.0", id, error: { code: -32005, message: "rate limit exceeded" } };
+      }
+      const result = to.toLowerCase() === ROLES_CONTRACT ? callRolesContract(data) : null;
+      return result ? reply(result) : revert;
+    }
+    default:
+      return { jsonrpc: "2.0", id, error: { code: -32601, message: `Unsupported: ${method}` } };
+  }
+}
+
+let server;
+let chain;
+
+before(async () => {
+  server = http.createServer((req, res) => {
+    let body = "";
+    req.on("data", (chunk) => {
+      body += chunk;
+    });
+    req.on("end", () => {
+      const request = JSON.parse(body);
+      const response = Array.isArray(request) ? request.map(answer) : answer(request);
+      res.setHeader("Content-Type", "application/json");
+      res.end(JSON.stringify(response));
+    });
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  chain = defineChain({ id: 31337, rpc: `http://127.0.0.1:${server.address().port}` });
+});
+
+after(() => {
+  server.close();
+});
+
+/**
+ * Gets a registry target for a fixture contract
+ * @param {string} address - The contract address
+ * @returns {Object} The contract target
+ */
+function targetAt(address) {
+  return { alias: "test", chainId: 31337, chain, address };
+}
+
+describe("resolveRole", () => {
+  it("resolves role names with or without the _ROLE suffix", () => {
+    assert.deepEqual(resolveRole("minter"), { name: "MINTER_ROLE", id: ROLES.MINTER_ROLE });
+    assert.deepEqual(resolveRole("METADATA_ROLE"), { name: "METADATA_ROLE", id: ROLES.METADATA_ROLE });
+    assert.deepEqual(resolveRole("admin"), {
+      name: "DEFAULT_ADMIN_ROLE",
+      id: ROLES.DEFAULT_ADMIN_ROLE,
+    });
+    assert.equal(resolveRole("owner"), null);
+  });
+
+  it("accepts role IDs, naming the known ones", () => {
+    assert.deepEqual(resolveRole(ROLES.TRANSFER_ROLE.toUpperCase().replace("0X", "0x")), {
+      name: "TRANSFER_ROLE",
+      id: ROLES.TRANSFER_ROLE,
+    });
+
+    const custom = `0x${"ab".repeat(32)}`;
+    assert.deepEqual(resolveRole(custom), { name: null, id: custom });
+    assert.equal(getRoleName(custom), null);
+    assert.equal(getRoleName(ROLES.MINTER_ROLE), "MINTER_ROLE");
+  });
+});
+
+describe("hasMinterRole", () => {
+  it("reads whether an address holds MINTER_ROLE", async () => {
+    const contract = getContract({ client, chain, address: ROLES_CONTRACT });
+    assert.equal(await hasMinterRole(contract, ALICE), true);
+    assert.equal(await checkRole(client, ROLES.DEFAULT_ADMIN_ROLE, ALICE, targetAt(ROLES_CONTRACT)), false);
+  });
+
+  it("reports contracts without roles as null", async () => {
+    const contract = getContract({ client, chain, address: OWNABLE_CONTRACT });
+    assert.equal(await hasMinterRole(contract, ALICE), null);
+  });
+
+  it("throws when the role cannot be read", async () => {
+    const contract = getContract({ client, chain, address: FAILING_CONTRACT });
+    await assert.rejects(hasMinterRole(contract, ALICE), { message: "rate limit exceeded" });
+  });
+});
+
+describe("getRoleHolders", () => {
+  it("lists the checksummed holders and admin role of every known role", async () => {
+    const roles = await getRoleHolders(client, targetAt(ROLES_CONTRACT));
+    assert.deepEqual(
+      roles.map(({ role, adminRole, holders }) => [role, adminRole, holders]),
+      [
+        ["DEFAULT_ADMIN_ROLE", "DEFAULT_ADMIN_ROLE", [BOB]],
+        ["MINTER_ROLE", "DEFAULT_ADMIN_ROLE", [ALICE, BOB]],
+        ["TRANSFER_ROLE", "DEFAULT_ADMIN_ROLE", []],
+        ["METADATA_ROLE", "DEFAULT_ADMIN_ROLE", []],
+      ]
+    );
+  });
+});
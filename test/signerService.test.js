@@ -0,0 +1,58 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { createThirdwebClient } from "thirdweb";
+import { privateKeyToAccount } from "thirdweb/wallets";
+import { decryptPrivateKey, encryptPrivateKey } from "../src/services/signerService.js";
+
+const client = createThirdwebClient({ clientId: "test" });
+
+// Test vector from the Web3 Secret Storage definition
+const PBKDF2_KEYSTORE = {
+  version: 3,
+  id: "3198bc9c-6672-5ab3-d995-4942343ae5b6",
+  crypto: {
+    cipher: "aes-128-ctr",
+    cipherparams: { iv: "6087dab2f9fdbbfaddc31a909735c1e6" },
+    ciphertext: "5318b4d5bcd28de64ee5559e671353e16f075ecae9f99c7a79a38af5f869aa46",
+    kdf: "pbkdf2",
+    kdfparams: {
+      c: 262144,
+      dklen: 32,
+      prf: "hmac-sha256",
+      salt: "ae3cd4e7013836a3df6bd7241b12db061dbe2c6785853cce422d148a624ce0bd",
+    },
+    mac: "517ead924a9d0dc3124507e3393d175ce3ff7c1e96529c6c555ce9e51205e9b2",
+  },
+};
+
+describe("encryptPrivateKey and decryptPrivateKey", () => {
+  const privateKey = "4c0883a69102937d6231471b5dbb6204fe5129617082792ae468d01a3f362318";
+  const keystore = encryptPrivateKey(client, `0x${privateKey}`, "correct horse");
+
+  it("round-trips a private key", () => {
+    assert.equal(decryptPrivateKey(keystore, "correct horse"), privateKey);
+  });
+
+  it("writes a V3 scrypt entry for the key's address", () => {
+    const { address } = privateKeyToAccount({ client, privateKey });
+    assert.equal(keystore.version, 3);
+    assert.equal(keystore.crypto.kdf, "scrypt");
+    assert.equal(keystore.address, address.slice(2).toLowerCase());
+    assert.ok(!JSON.stringify(keystore).includes(privateKey));
+  });
+
+  it("rejects a wrong password", () => {
+    assert.throws(() => decryptPrivateKey(keystore, "wrong"), /password is incorrect/);
+  });
+
+  it("rejects malformed private keys", () => {
+    assert.throws(() => encryptPrivateKey(client, "0x1234", "pw"), /Invalid private key/);
+  });
+
+  it("decrypts pbkdf2 keystores made by other tools", () => {
+    assert.equal(
+      decryptPrivateKey(PBKDF2_KEYSTORE, "testpassword"),
+      "7a28b5ba57c53603b0b07b56bba752f7784bf506fa95edc395f5cf6c7514fe9d"
+    );
+  });
+});
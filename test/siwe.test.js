@@ -0,0 +1,54 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { createSiweMessage, parseSiweMessage } from "../src/utils/siwe.js";
+
+const FIELDS = {
+  domain: "api.example.com",
+  address: "0x8ba1f109551bD432803012645Ac136ddd64DBA72",
+  statement: "Sign in to the NFT Minting API with your wallet.",
+  uri: "https://api.example.com",
+  version: "1",
+  chainId: 11155111,
+  nonce: "n0nce1234",
+  issuedAt: "2024-01-01T12:00:00.000Z",
+  expirationTime: "2024-01-01T12:05:00.000Z",
+};
+
+describe("parseSiweMessage", () => {
+  it("reads back the fields of a created message", () => {
+    assert.deepEqual(parseSiweMessage(createSiweMessage(FIELDS)), {
+      ...FIELDS,
+      resources: [],
+    });
+  });
+
+  it("accepts a message without a statement, with resources", () => {
+    const message = createSiweMessage({
+      ...FIELDS,
+      statement: undefined,
+      resources: ["https://api.example.com/terms"],
+    });
+    const fields = parseSiweMessage(message);
+    assert.equal(fields.statement, null);
+    assert.deepEqual(fields.resources, ["https://api.example.com/terms"]);
+  });
+
+  it("rejects messages that are not Sign-In with Ethereum", () => {
+    assert.throws(() => parseSiweMessage("hello"), /Not a Sign-In with Ethereum message/);
+  });
+
+  it("rejects a missing required field", () => {
+    const message = createSiweMessage({ ...FIELDS, nonce: undefined });
+    assert.throws(() => parseSiweMessage(message), /missing Nonce/);
+  });
+
+  it("rejects an invalid Chain ID", () => {
+    const message = createSiweMessage({ ...FIELDS, chainId: "mainnet" });
+    assert.throws(() => parseSiweMessage(message), /invalid Chain ID/);
+  });
+
+  it("rejects repeated or unknown lines", () => {
+    const message = `${createSiweMessage(FIELDS)}\nNonce: other`;
+    assert.throws(() => parseSiweMessage(message), /Unexpected line/);
+  });
+});
@@ -0,0 +1,43 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { layoutText, resolveTemplate, wrapText } from "../src/services/svgService.js";
+
+describe("wrapText", () => {
+  it("fills lines with whole words", () => {
+    assert.deepEqual(wrapText("the quick brown fox jumps", 10), ["the quick", "brown fox", "jumps"]);
+  });
+
+  it("keeps explicit line breaks and collapses spaces", () => {
+    assert.deepEqual(wrapText("one   two\r\nthree", 20), ["one two", "three"]);
+  });
+
+  it("splits words longer than a line", () => {
+    assert.deepEqual(wrapText("a abcdefghij b", 4), ["a", "abcd", "efgh", "ij b"]);
+  });
+});
+
+describe("layoutText", () => {
+  const template = resolveTemplate("default");
+
+  it("uses the template font size for short text", () => {
+    const layout = layoutText("Hello", template);
+    assert.equal(layout.fontSize, template.fontSize);
+    assert.deepEqual(layout.lines, ["Hello"]);
+    assert.equal(layout.lineHeight, template.fontSize * template.lineHeight);
+  });
+
+  it("shrinks the font until the text fits", () => {
+    const layout = layoutText("word ".repeat(60).trim(), template);
+    assert.ok(layout.fontSize < template.fontSize);
+    assert.ok(layout.fontSize >= template.minFontSize);
+    assert.ok(layout.lines.length <= template.maxLines);
+    assert.ok(!layout.lines.at(-1).endsWith("…"));
+  });
+
+  it("truncates with an ellipsis text that does not fit at the minimum size", () => {
+    const layout = layoutText("word ".repeat(400).trim(), template);
+    assert.equal(layout.fontSize, template.minFontSize);
+    assert.equal(layout.lines.length, template.maxLines);
+    assert.ok(layout.lines.at(-1).endsWith("…"));
+  });
+});
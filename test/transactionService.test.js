@@ -0,0 +1,297 @@
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import http from "node:http";
+import os from "node:os";
+import path from "node:path";
+import { after, before, describe, it } from "node:test";
+import { createThirdwebClient, padHex, toHex, toUnits } from "thirdweb";
+import {
+  getFeePolicy,
+  getTransactionStatus,
+  listTransactions,
+  resolveFees,
+} from "../src/services/transactionService.js";
+import { resolveContractTarget } from "../src/services/contractRegistry.js";
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "transactions-test-"));
+process.env.DATA_DIR = dataDir;
+
+const client = createThirdwebClient({ clientId: "test" });
+
+const CONTRACT = "0xFe05466FB24f917c55a1456dbA186153766EB751";
+const SIGNER = "0x8ba1f109551bD432803012645Ac136ddd64DBA72";
+const gwei = (value) => toUnits(String(value), 9);
+
+/**
+ * Builds a transaction hash from a short label
+ * @param {number} label - Distinguishes the hash
+ * @returns {string} The hash
+ */
+function hash(label) {
+  return padHex(toHex(label), { size: 32 });
+}
+
+// Chain state served by the fixture RPC
+const fixture = {
+  head: 100,
+  baseFeePerGas: gwei(10),
+  // Receipts by hash, as block number and status
+  receipts: {
+    [hash(1)]: { blockNumber: 100, status: "0x1" },
+    [hash(2)]: { blockNumber: 98, status: "0x1" },
+    [hash(3)]: { blockNumber: 99, status: "0x0" },
+    [hash(11)]: { blockNumber: 90, status: "0x1" },
+  },
+  // Hashes the node has in its mempool
+  mempool: new Set([hash(4)]),
+};
+
+/**
+ * Answers one JSON-RPC request from the fixture chain state
+ * @param {Object} request - The JSON-RPC request
+ * @returns {Object} The JSON-RPC response
+ */
+function answer({ id, method, params }) {
+  const reply = (result) => ({ jsonrpc: "2.0", id, result });
+
+  switch (method) {
+    case "eth_chainId":
+      return reply("0x7a69");
+    case "eth_blockNumber":
+      return reply(toHex(fixture.head));
+    case "eth_getBlockByNumber":
+      return reply({
+        number: toHex(fixture.head),
+        hash: hash(fixture.head),
+        timestamp: "0x0",
+        transactions: [],
+        ...(fixture.baseFeePerGas !== null && { baseFeePerGas: toHex(fixture.baseFeePerGas) }),
+      });
+    case "eth_maxPriorityFeePerGas":
+      return reply(toHex(gwei(1)));
+    case "eth_gasPrice":
+      return reply(toHex(gwei(30)));
+    case "eth_getTransactionReceipt": {
+      const receipt = fixture.receipts[params[0]];
+      return reply(
+        receipt && {
+          transactionHash: params[0],
+          blockHash: hash(receipt.blockNumber),
+          blockNumber: toHex(receipt.blockNumber),
+          status: receipt.status,
+          from: SIGNER,
+          to: CONTRACT,
+          logs: [],
+        }
+      );
+    }
+    case "eth_getTransactionByHash":
+      return reply(
+        fixture.mempool.has(params[0])
+          ? { hash: params[0], from: SIGNER, to: CONTRACT, nonce: "0x0", blockNumber: null }
+          : null
+      );
+    default:
+      return { jsonrpc: "2.0", id, error: { code: -32601, message: `Unsupported: ${method}` } };
+  }
+}
+
+/**
+ * Builds a stored transaction as the monitor leaves it
+ * @param {Object} fields - The fields that differ between records
+ * @returns {Object} The record
+ */
+function storedTransaction({ id, status, hashes, minedHash, error = null, createdAt }) {
+  return {
+    id,
+    status,
+    chainId: 31337,
+    contract: CONTRACT,
+    from: SIGNER,
+    signerId: "default",
+    nonce: 5,
+    data: "0x",
+    gas: "100000",
+    feeCap: null,
+    atFeeCap: false,
+    attempts: hashes.map(([attemptHash, kind], index) => ({
+      hash: attemptHash,
+      kind,
+      fees: { maxFeePerGas: String(gwei(20 + index * 3)), maxPriorityFeePerGas: String(gwei(1)) },
+      sentAt: createdAt,
+    })),
+    minedHash,
+    error,
+    createdAt,
+    updatedAt: createdAt,
+  };
+}
+
+let server;
+const originalEnv = { ...process.env };
+
+before(async () => {
+  server = http.createServer((req, res) => {
+    let body = "";
+    req.on("data", (chunk) => {
+      body += chunk;
+    });
+    req.on("end", () => {
+      const request = JSON.parse(body);
+      const response = Array.isArray(request) ? request.map(answer) : answer(request);
+      res.setHeader("Content-Type", "application/json");
+      res.end(JSON.stringify(response));
+    });
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+
+  const registryPath = path.join(dataDir, "contracts.json");
+  fs.writeFileSync(
+    registryPath,
+    JSON.stringify({
+      defaultContract: "nft",
+      chains: { local: { chainId: 31337, rpc: `http://127.0.0.1:${server.address().port}` } },
+      contracts: { nft: { chain: "local", address: CONTRACT } },
+    })
+  );
+  process.env.CONTRACTS_CONFIG_PATH = registryPath;
+
+  const transactions = [
+    storedTransaction({
+      id: "sped-up",
+      status: "confirmed",
+      hashes: [
+        [hash(10), "original"],
+        [hash(11), "speedup"],
+      ],
+      minedHash: hash(11),
+      createdAt: "2026-01-01T00:00:00.000Z",
+    }),
+    storedTransaction({
+      id: "cancelled",
+      status: "cancelled",
+      hashes: [
+        [hash(20), "original"],
+        [hash(21), "cancel"],
+      ],
+      minedHash: hash(21),
+      createdAt: "2026-01-02T00:00:00.000Z",
+    }),
+  ];
+  fs.writeFileSync(
+    path.join(dataDir, "transactions.json"),
+    JSON.stringify({ transactions: Object.fromEntries(transactions.map((t) => [t.id, t])) })
+  );
+});
+
+after(() => {
+  server.close();
+  process.env = originalEnv;
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+describe("getFeePolicy", () => {
+  it("lets requests lower the fee cap but not raise it", () => {
+    process.env.GAS_MAX_FEE_GWEI = "50";
+    try {
+      assert.equal(getFeePolicy().maxFeePerGas, gwei(50));
+      assert.equal(getFeePolicy({ maxFeeGwei: 80 }).maxFeePerGas, gwei(50));
+      assert.equal(getFeePolicy({ maxFeeGwei: 20 }).maxFeePerGas, gwei(20));
+      assert.equal(getFeePolicy({ priorityFeeGwei: 2.5 }).maxPriorityFeePerGas, gwei(2.5));
+    } finally {
+      delete process.env.GAS_MAX_FEE_GWEI;
+    }
+  });
+
+  it("leaves fees to the network when nothing is configured", () => {
+    assert.deepEqual(getFeePolicy(), { maxFeePerGas: null, maxPriorityFeePerGas: null });
+  });
+});
+
+describe("resolveFees", () => {
+  it("sets the max fee to twice the base fee plus the tip", async () => {
+    const { chain } = resolveContractTarget();
+    assert.deepEqual(await resolveFees(client, chain), {
+      maxFeePerGas: gwei(21),
+      maxPriorityFeePerGas: gwei(1),
+    });
+  });
+
+  it("keeps fees under the fee cap", async () => {
+    const { chain } = resolveContractTarget();
+    assert.deepEqual(
+      await resolveFees(client, chain, { maxFeePerGas: gwei(15), maxPriorityFeePerGas: gwei(3) }),
+      { maxFeePerGas: gwei(15), maxPriorityFeePerGas: gwei(3) }
+    );
+  });
+
+  it("uses a legacy gas price on chains without a base fee", async () => {
+    const { chain } = resolveContractTarget();
+    fixture.baseFeePerGas = null;
+    try {
+      assert.deepEqual(await resolveFees(client, chain), { gasPrice: gwei(30) });
+      assert.deepEqual(
+        await resolveFees(client, chain, { maxFeePerGas: gwei(25), maxPriorityFeePerGas: null }),
+        { gasPrice: gwei(25) }
+      );
+    } finally {
+      fixture.baseFeePerGas = gwei(10);
+    }
+  });
+});
+
+describe("getTransactionStatus", () => {
+  it("counts confirmations from the chain head", async () => {
+    process.env.TX_CONFIRMATIONS = "3";
+    try {
+      const included = await getTransactionStatus(client, hash(1));
+      assert.equal(included.status, "included");
+      assert.equal(included.confirmations, 1);
+      assert.equal(included.requiredConfirmations, 3);
+      assert.equal(included.blockNumber, 100);
+
+      const confirmed = await getTransactionStatus(client, hash(2));
+      assert.equal(confirmed.status, "confirmed");
+      assert.equal(confirmed.confirmations, 3);
+    } finally {
+      delete process.env.TX_CONFIRMATIONS;
+    }
+  });
+
+  it("reports reverted, pending and unknown transactions", async () => {
+    assert.equal((await getTransactionStatus(client, hash(3))).status, "reverted");
+    assert.equal((await getTransactionStatus(client, hash(4))).status, "pending");
+    assert.equal(await getTransactionStatus(client, hash(5)), null);
+  });
+
+  it("reports a sped-up transaction by its mined replacement", async () => {
+    const status = await getTransactionStatus(client, hash(10));
+    assert.equal(status.status, "confirmed");
+    assert.equal(status.transactionHash, hash(10));
+    assert.equal(status.minedHash, hash(11));
+    assert.equal(status.blockNumber, 90);
+  });
+
+  it("reports a cancelled transaction as dropped", async () => {
+    const status = await getTransactionStatus(client, hash(20));
+    assert.equal(status.status, "dropped");
+    assert.equal(status.error, `Cancelled by ${hash(21)} after being stuck`);
+  });
+});
+
+describe("listTransactions", () => {
+  it("lists tracked transactions newest first with fees in gwei", () => {
+    assert.deepEqual(
+      listTransactions().map(({ id }) => id),
+      ["cancelled", "sped-up"]
+    );
+
+    const [spedUp] = listTransactions({ status: "confirmed" });
+    assert.equal(spedUp.transactionHash, hash(11));
+    assert.deepEqual(spedUp.fees, { maxFeePerGasGwei: "23", maxPriorityFeePerGasGwei: "1" });
+    assert.deepEqual(
+      spedUp.attempts.map(({ kind }) => kind),
+      ["original", "speedup"]
+    );
+  });
+});
@@ -0,0 +1,136 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { validate, validateSchema } from "../src/middleware/validate.js";
+import { tokenParamsSchema } from "../src/schemas/requestSchemas.js";
+
+const CHECKSUMMED = "0x8ba1f109551bD432803012645Ac136ddd64DBA72";
+const MAX_UINT256 = (2n ** 256n - 1n).toString();
+
+/**
+ * Runs the validate middleware on a request
+ * @param {Object} schemas - Schemas for body, query and/or params
+ * @param {Object} request - The body, query and params
+ * @returns {Object} The request after validation, whether next was called,
+ *   and the response status and body if one was sent
+ */
+function run(schemas, request) {
+  const req = { body: {}, query: {}, params: {}, ...request };
+  const res = {
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      this.body = body;
+      return this;
+    },
+  };
+  let called = false;
+  validate(schemas)(req, res, () => {
+    called = true;
+  });
+  return { req, called, status: res.statusCode, body: res.body };
+}
+
+const addressBody = {
+  type: "object",
+  required: ["toAddress"],
+  properties: { toAddress: { type: "string", format: "address" } },
+};
+
+describe("validate", () => {
+  it("checksums lowercase and uppercase addresses", () => {
+    for (const toAddress of [CHECKSUMMED.toLowerCase(), `0x${CHECKSUMMED.slice(2).toUpperCase()}`]) {
+      const { req, called } = run({ body: addressBody }, { body: { toAddress } });
+      assert.ok(called, toAddress);
+      assert.equal(req.body.toAddress, CHECKSUMMED);
+    }
+  });
+
+  it("rejects mixed-case addresses with a wrong checksum", () => {
+    const toAddress = CHECKSUMMED.replace("bD", "Bd");
+    const { called, status, body } = run({ body: addressBody }, { body: { toAddress } });
+    assert.equal(called, false);
+    assert.equal(status, 400);
+    assert.deepEqual(body, {
+      success: false,
+      error: "Validation failed",
+      code: "validation_error",
+      details: [
+        {
+          location: "body",
+          field: "toAddress",
+          code: "invalid_checksum",
+          message: "Address checksum does not match",
+        },
+      ],
+    });
+  });
+
+  it("rejects malformed addresses and reports every field", () => {
+    const { body } = run(
+      { body: { ...addressBody, required: ["toAddress", "text"] } },
+      { body: { toAddress: "0x1234" } }
+    );
+    assert.deepEqual(
+      body.details.map(({ field, code }) => [field, code]),
+      [
+        ["text", "required"],
+        ["toAddress", "invalid_address"],
+      ]
+    );
+  });
+
+  it("accepts token IDs up to 2^256 - 1", () => {
+    const { called } = run({ params: tokenParamsSchema }, { params: { tokenId: MAX_UINT256 } });
+    assert.ok(called);
+  });
+
+  it("rejects token IDs above 2^256 - 1 or not in decimal", () => {
+    const tooLarge = run({ params: tokenParamsSchema }, { params: { tokenId: (2n ** 256n).toString() } });
+    assert.equal(tooLarge.status, 400);
+    assert.equal(tooLarge.body.details[0].code, "too_large");
+
+    const hex = run({ params: tokenParamsSchema }, { params: { tokenId: "0x1f" } });
+    assert.equal(hex.body.details[0].code, "invalid_format");
+  });
+
+  it("converts query numbers and booleans", () => {
+    const { req } = run(
+      {
+        query: {
+          type: "object",
+          properties: { limit: { type: "integer", minimum: 1 }, all: { type: "boolean" } },
+        },
+      },
+      { query: { limit: "25", all: "true" } }
+    );
+    assert.deepEqual(req.query, { limit: 25, all: true });
+  });
+
+  it("does not convert body values", () => {
+    const { body } = run(
+      { body: { type: "object", properties: { limit: { type: "integer" } } } },
+      { body: { limit: "25" } }
+    );
+    assert.equal(body.details[0].code, "invalid_type");
+  });
+});
+
+describe("validateSchema", () => {
+  it("reports fields the schema does not list in strict mode", () => {
+    const schema = { type: "object", properties: { a: { type: "string" } } };
+    assert.deepEqual(validateSchema(schema, { a: "x", b: 1 }), []);
+    assert.deepEqual(
+      validateSchema(schema, { a: "x", b: 1 }, { strict: true }).map(({ code }) => code),
+      ["unknown_field"]
+    );
+  });
+
+  it("accepts a value matching any option of anyOf", () => {
+    const schema = { anyOf: [{ type: "string", minLength: 2 }, { type: "integer" }] };
+    assert.deepEqual(validateSchema(schema, "ab"), []);
+    assert.deepEqual(validateSchema(schema, 3), []);
+    assert.equal(validateSchema(schema, "a")[0].code, "too_short");
+  });
+});
@@ -0,0 +1,140 @@
+import assert from "node:assert/strict";
+import crypto from "node:crypto";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { after, before, describe, it } from "node:test";
+import {
+  checkWebhookUrl,
+  createWebhookEndpoint,
+  deleteWebhookEndpoint,
+  emitWebhookEvent,
+  getWebhookEndpoint,
+  listWebhookDeliveries,
+  listWebhookEndpoints,
+  replayWebhookDelivery,
+  signWebhookPayload,
+} from "../src/services/webhookService.js";
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "webhooks-test-"));
+process.env.DATA_DIR = dataDir;
+
+let originalLog;
+
+before(() => {
+  originalLog = console.log;
+  console.log = () => {};
+});
+
+after(() => {
+  console.log = originalLog;
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+describe("checkWebhookUrl", () => {
+  it("requires https", async () => {
+    assert.equal(await checkWebhookUrl("http://93.184.215.14/hook"), "Webhook URLs must use https");
+  });
+
+  it("refuses hosts with non-public addresses", async () => {
+    for (const url of [
+      "https://localhost/hook",
+      "https://127.0.0.1/hook",
+      "https://169.254.169.254/latest",
+      "https://192.168.1.10/hook",
+      "https://[::1]/hook",
+      "https://[::ffff:10.0.0.1]/hook",
+    ]) {
+      assert.match(await checkWebhookUrl(url), /resolves to a non-public address/, url);
+    }
+  });
+
+  it("allows https URLs on public addresses", async () => {
+    assert.equal(await checkWebhookUrl("https://93.184.215.14/hook"), null);
+  });
+});
+
+describe("signWebhookPayload", () => {
+  it("signs the timestamp and body with HMAC-SHA256", () => {
+    const body = JSON.stringify({ id: "evt", type: "mint.confirmed" });
+    const expected = crypto.createHmac("sha256", "whsec_test").update(`1700000000.${body}`).digest("hex");
+    assert.equal(signWebhookPayload("whsec_test", body, 1700000000), `t=1700000000,v1=${expected}`);
+  });
+});
+
+describe("webhook endpoints", () => {
+  it("returns the secret only when the endpoint is created", () => {
+    const created = createWebhookEndpoint({
+      url: "https://example.com/hook",
+      events: ["mint.confirmed"],
+      apiKeyId: "key-list",
+    });
+    assert.match(created.secret, /^whsec_/);
+    assert.equal(getWebhookEndpoint(created.id).secret, undefined);
+    assert.deepEqual(
+      listWebhookEndpoints("key-list").map(({ id }) => id),
+      [created.id]
+    );
+    assert.deepEqual(listWebhookEndpoints("key-other"), []);
+  });
+
+  it("queues events for the subscribed endpoints of the key that emitted them", () => {
+    const subscribed = createWebhookEndpoint({
+      url: "https://example.com/a",
+      events: ["mint.submitted", "mint.confirmed"],
+      apiKeyId: "key-emit",
+    });
+    const otherEvents = createWebhookEndpoint({
+      url: "https://example.com/b",
+      events: ["mint.failed"],
+      apiKeyId: "key-emit",
+    });
+    const otherKey = createWebhookEndpoint({
+      url: "https://example.com/c",
+      events: ["mint.confirmed"],
+      apiKeyId: "key-other",
+    });
+
+    assert.equal(emitWebhookEvent("mint.confirmed", "key-emit", { tokenId: "1" }), 1);
+
+    const [delivery] = listWebhookDeliveries(subscribed.id);
+    assert.equal(delivery.event, "mint.confirmed");
+    assert.equal(delivery.status, "pending");
+    assert.equal(delivery.attempts, 0);
+    assert.deepEqual(listWebhookDeliveries(otherEvents.id), []);
+    assert.deepEqual(listWebhookDeliveries(otherKey.id), []);
+  });
+
+  it("replays a delivery with its original event", () => {
+    const endpoint = createWebhookEndpoint({
+      url: "https://example.com/replay",
+      events: ["mint.failed"],
+      apiKeyId: "key-replay",
+    });
+    emitWebhookEvent("mint.failed", "key-replay", { error: "reverted" });
+    const [original] = listWebhookDeliveries(endpoint.id);
+
+    const replay = replayWebhookDelivery(endpoint.id, original.id);
+    assert.notEqual(replay.id, original.id);
+    assert.equal(replay.eventId, original.eventId);
+    assert.equal(replay.replayOf, original.id);
+    assert.equal(replayWebhookDelivery("missing", original.id), null);
+  });
+
+  it("cancels pending deliveries when the endpoint is deleted", () => {
+    const endpoint = createWebhookEndpoint({
+      url: "https://example.com/delete",
+      events: ["mint.submitted"],
+      apiKeyId: "key-delete",
+    });
+    emitWebhookEvent("mint.submitted", "key-delete", {});
+
+    assert.equal(deleteWebhookEndpoint(endpoint.id).id, endpoint.id);
+    assert.equal(getWebhookEndpoint(endpoint.id), null);
+    assert.deepEqual(
+      listWebhookDeliveries(endpoint.id).map(({ status }) => status),
+      ["cancelled"]
+    );
+    assert.equal(deleteWebhookEndpoint(endpoint.id), null);
+  });
+});